@@ -5,6 +5,7 @@ process.env.AWS_SDK_JS_SUPPRESS_MAINTENANCE_MODE_MESSAGE = '1';
 const { Command } = require('commander');
 const chalk = require('chalk');
 const packageJson = require('../package.json');
+const CommandContext = require('../src/utils/context');
 
 const configCommand = require('../src/commands/config');
 const subtitlesCommand = require('../src/commands/subtitle');
@@ -15,6 +16,7 @@ const videoCommand = require('../src/commands/video');
 const filesCommand = require('../src/commands/files');
 const rssCommand = require('../src/commands/rss');
 const episodesCommand = require('../src/commands/episodes');
+const storageCommand = require('../src/commands/storage');
 
 const program = new Command();
 
@@ -24,8 +26,14 @@ program
   .version(packageJson.version);
 
 program
-  .option('--quiet, -q', 'quiet mode')
-  .option('--config <file>', 'custom config file');
+  .option('-q, --quiet', 'quiet mode')
+  .option('--config <file>', 'custom config file')
+  .option('--profile <name>', 'configuration profile to use (PeerTube, R2, database and AniTorrent API)');
+
+// Subcommands read the config manager, logger and profile from this context
+program.hook('preAction', () => {
+  program.context = new CommandContext(program.opts());
+});
 
 program.addCommand(configCommand);
 program.addCommand(subtitlesCommand);
@@ -36,6 +44,7 @@ program.addCommand(videoCommand);
 program.addCommand(filesCommand);
 program.addCommand(rssCommand);
 program.addCommand(episodesCommand);
+program.addCommand(storageCommand);
 
 program.on('command:*', () => {
   console.error(chalk.red(`Invalid command: ${program.args.join(' ')}`));
@@ -47,4 +56,4 @@ if (process.argv.length === 2) {
   program.outputHelp();
 }
 
-program.parse(process.argv); 
\ No newline at end of file
+program.parseAsync(process.argv); 
\ No newline at end of file
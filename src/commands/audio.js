@@ -1,6 +1,6 @@
 const { Command } = require('commander');
 const ora = require('ora');
-const { Logger } = require('../utils/logger');
+const CommandContext = require('../utils/context');
 const Validators = require('../utils/validators');
 const AudioService = require('../services/audio-service');
 
@@ -13,10 +13,8 @@ audioCommand
   .argument('<file>', 'video file path')
   .action(async (file, options) => {
     const isLogs = audioCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({ 
-      verbose: false,
-      quiet: audioCommand.parent?.opts()?.quiet || false
-    });
+    const context = CommandContext.fromCommand(audioCommand);
+    const logger = context.createLogger();
 
     try {
       const pathValidation = await Validators.validateFilePath(file);
@@ -106,10 +104,8 @@ audioCommand
   .option('--prefix <prefix>', 'custom prefix for output files (default: video filename)')
   .action(async (file, options) => {
     const isLogs = audioCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({ 
-      verbose: false,
-      quiet: audioCommand.parent?.opts()?.quiet || false
-    });
+    const context = CommandContext.fromCommand(audioCommand);
+    const logger = context.createLogger();
 
     try {
       let audioTrack = null;
@@ -2,10 +2,14 @@ const { Command } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ora = require('ora');
+const Table = require('cli-table3');
 const ConfigManager = require('../utils/config');
+const ConfigSchema = require('../utils/config-schema');
+const CommandContext = require('../utils/context');
 const { logger } = require('../utils/logger');
 const Validators = require('../utils/validators');
 const PeerTubeService = require('../services/peertube-service');
+const NotificationService = require('../services/notification-service');
 const SystemCheck = require('../utils/system-check');
 
 const configCommand = new Command('config');
@@ -16,7 +20,7 @@ configCommand
   .description('Create configuration template file')
   .action(async () => {
     try {
-      const config = new ConfigManager();
+      const { config } = CommandContext.fromCommand(configCommand);
       
       if (await config.exists()) {
         const { overwrite } = await inquirer.prompt([{
@@ -49,7 +53,7 @@ configCommand
     try {
       logger.header('AniTorrent CLI - Interactive Configuration');
       
-      const config = new ConfigManager();
+      const { config } = CommandContext.fromCommand(configCommand);
       const existingConfig = await config.exists();
       
       if (existingConfig) {
@@ -334,13 +338,85 @@ configCommand
 
       const finalAnswers = await inquirer.prompt(finalQuestions);
 
-      Object.entries({...channelAnswer, ...apiKeysAnswers, ...databaseAnswers, ...finalAnswers}).forEach(([key, value]) => {
+      const notificationEvents = Object.values(NotificationService.EVENTS);
+      const CLEAR_VALUE = '-';
+      const optionalUrl = input => {
+        if (!input.trim() || input.trim() === CLEAR_VALUE) return true;
+        return Validators.isValidUrl(input) || 'Invalid URL format';
+      };
+      // Defaults come from config.json only, so secrets set through the environment or _FILE keys are never written into it
+      const storedDefault = key => config.getStored(key) || undefined;
+
+      const hasNotifier = !!(config.get('NOTIFY_WEBHOOK_URL') || config.get('NOTIFY_DISCORD_WEBHOOK_URL') || config.get('NOTIFY_COMMAND'));
+      const selectedEvents = ConfigSchema.coerce('NOTIFY_EVENTS', config.getStored('NOTIFY_EVENTS') || [])
+        .filter(event => notificationEvents.includes(event));
+
+      const notificationQuestions = [
+        {
+          type: 'confirm',
+          name: 'configureNotifications',
+          message: hasNotifier
+            ? 'Change notification settings (webhook, Discord, command and events)?'
+            : 'Send notifications for upload and RSS events (webhook, Discord or command)?',
+          default: false
+        },
+        {
+          type: 'input',
+          name: 'NOTIFY_WEBHOOK_URL',
+          message: `Generic webhook URL (receives JSON events, optional, ${CLEAR_VALUE} to remove):`,
+          default: () => storedDefault('NOTIFY_WEBHOOK_URL'),
+          validate: optionalUrl,
+          when: answers => answers.configureNotifications
+        },
+        {
+          type: 'input',
+          name: 'NOTIFY_DISCORD_WEBHOOK_URL',
+          message: `Discord webhook URL (optional, ${CLEAR_VALUE} to remove):`,
+          default: () => storedDefault('NOTIFY_DISCORD_WEBHOOK_URL'),
+          validate: optionalUrl,
+          when: answers => answers.configureNotifications
+        },
+        {
+          type: 'input',
+          name: 'NOTIFY_COMMAND',
+          message: `Shell command to run for each event (optional, ${CLEAR_VALUE} to remove):`,
+          default: () => storedDefault('NOTIFY_COMMAND'),
+          when: answers => answers.configureNotifications
+        },
+        {
+          type: 'checkbox',
+          name: 'NOTIFY_EVENTS',
+          message: 'Events to notify:',
+          choices: notificationEvents,
+          default: selectedEvents.length > 0 ? selectedEvents : notificationEvents,
+          validate: input => input.length > 0 || 'Select at least one event',
+          when: answers => answers.configureNotifications
+        }
+      ];
+
+      const { configureNotifications, ...notificationAnswers } = await inquirer.prompt(notificationQuestions);
+      const clearedKeys = [];
+      Object.keys(notificationAnswers).forEach(key => {
+        if (typeof notificationAnswers[key] !== 'string') {
+          return;
+        }
+        const answer = notificationAnswers[key].trim();
+        if (answer === CLEAR_VALUE) {
+          clearedKeys.push(key);
+        }
+        if (!answer || answer === CLEAR_VALUE) {
+          delete notificationAnswers[key];
+        }
+      });
+
+      Object.entries({...channelAnswer, ...apiKeysAnswers, ...databaseAnswers, ...finalAnswers, ...notificationAnswers}).forEach(([key, value]) => {
         config.set(key, value);
       });
+      clearedKeys.forEach(key => config.unset(key));
 
       await config.saveConfig();
       
-      const allAnswers = {...r2Answers, ...peertubeBaseAnswers, ...peertubeCredentials, ...channelAnswer, ...apiKeysAnswers, ...databaseAnswers, ...finalAnswers};
+      const allAnswers = {...r2Answers, ...peertubeBaseAnswers, ...peertubeCredentials, ...channelAnswer, ...apiKeysAnswers, ...databaseAnswers, ...finalAnswers, ...notificationAnswers};
       const configuredKeys = Object.keys(allAnswers);
       
       logger.success('Configuration saved successfully');
@@ -348,7 +424,11 @@ configCommand
       
       if (configuredKeys.length > 0) {
         logger.info(`Updated configurations: ${configuredKeys.join(', ')}`);
-      } else {
+      }
+      if (clearedKeys.length > 0) {
+        logger.info(`Removed configurations: ${clearedKeys.join(', ')}`);
+      }
+      if (configuredKeys.length === 0 && clearedKeys.length === 0) {
         logger.info('All configurations were already set - no changes needed');
       }
       
@@ -365,15 +445,24 @@ configCommand
   .description('Verify current configuration')
   .action(async () => {
     try {
-      const config = new ConfigManager();
+      const { config } = CommandContext.fromCommand(configCommand);
       
-      if (!(await config.exists())) {
+      if (!(await config.exists()) && !config.hasEnvOverrides()) {
         logger.error('Configuration not found');
         logger.info('Run "anitorrent config init" or "anitorrent config setup" first');
         process.exit(1);
       }
       
       logger.info('Checking configuration...');
+
+      const { errors, warnings } = config.validate();
+      warnings.forEach(warning => logger.warning(warning));
+      if (errors.length > 0) {
+        logger.error(`Found ${errors.length} invalid configuration values:`);
+        errors.forEach(error => logger.error(error, 1));
+        process.exit(1);
+      }
+      logger.success(`All configuration values are valid (config version ${config.getConfigVersion()})`);
       
       try {
         config.validateRequired();
@@ -382,6 +471,14 @@ configCommand
         logger.error(error.message);
         process.exit(1);
       }
+
+      try {
+        const feeds = config.getRssFeeds();
+        logger.success(`RSS feeds are valid (${feeds.length} configured)`);
+      } catch (error) {
+        logger.error(`RSS feed configuration error: ${error.message}`);
+        process.exit(1);
+      }
       
       try {
         const r2Config = config.getR2Config();
@@ -412,11 +509,12 @@ configCommand
 configCommand
   .command('show')
   .description('Show current configuration (hides sensitive values)')
-  .action(async () => {
+  .option('--sources', 'show where each value comes from (config file, profile, environment)')
+  .action(async (options) => {
     try {
-      const config = new ConfigManager();
+      const { config } = CommandContext.fromCommand(configCommand);
       
-      if (!(await config.exists())) {
+      if (!(await config.exists()) && !config.hasEnvOverrides()) {
         logger.error('Configuration not found');
         logger.info('Run "anitorrent config init" or "anitorrent config setup" first');
         process.exit(1);
@@ -424,14 +522,16 @@ configCommand
       
       logger.info('Current Configuration:');
       logger.separator();
-      logger.info(`Config file: ${config.getConfigPath()}`);
+      logger.info(`Config file: ${config.getConfigPath()}${config.isEncrypted() ? ' (encrypted)' : ''}`);
+      logger.info(`Profile: ${config.getProfileName()}`);
       logger.separator();
       
       const configData = config.showConfig(true);
       Object.entries(configData)
-        .filter(([key]) => key.startsWith('R2_') || key.startsWith('PEERTUBE_') || key.startsWith('DEFAULT_') || key.startsWith('CLAUDE_') || key.startsWith('ANITORRENT_') || key.startsWith('DB_'))
+        .filter(([key]) => key.startsWith('R2_') || key.startsWith('PEERTUBE_') || key.startsWith('DEFAULT_') || key.startsWith('CLAUDE_') || key.startsWith('ANITORRENT_') || key.startsWith('DB_') || key.startsWith('NOTIFY_'))
         .forEach(([key, value]) => {
-          logger.info(`${key}: ${value}`, 1);
+          const source = options.sources ? chalk.gray(` (${config.getSource(key)})`) : '';
+          logger.info(`${key}: ${value}${source}`, 1);
         });
       
     } catch (error) {
@@ -445,7 +545,7 @@ configCommand
   .description('Test connections to services')
   .action(async () => {
     try {
-      const config = new ConfigManager();
+      const { config } = CommandContext.fromCommand(configCommand);
       config.validateRequired();
       
       logger.header('Testing Service Connections');
@@ -561,7 +661,7 @@ configCommand
   .description('Reset configuration')
   .action(async () => {
     try {
-      const config = new ConfigManager();
+      const { config } = CommandContext.fromCommand(configCommand);
       
       const { confirm } = await inquirer.prompt([{
         type: 'confirm',
@@ -598,6 +698,83 @@ configCommand
     }
   });
 
+configCommand
+  .command('encrypt')
+  .description('Encrypt the configuration and PeerTube tokens with a passphrase')
+  .action(async () => {
+    try {
+      const { config } = CommandContext.fromCommand(configCommand);
+
+      if (!(await config.exists())) {
+        logger.error('Configuration not found');
+        logger.info('Run "anitorrent config init" or "anitorrent config setup" first');
+        process.exit(1);
+      }
+
+      if (config.isEncrypted()) {
+        logger.info('Configuration is already encrypted');
+        return;
+      }
+
+      let passphrase = config.passphrase;
+      if (!passphrase) {
+        const answers = await inquirer.prompt([
+          {
+            type: 'password',
+            name: 'passphrase',
+            message: 'New passphrase:',
+            mask: '*',
+            validate: input => input.length >= 8 || 'Passphrase must be at least 8 characters'
+          },
+          {
+            type: 'password',
+            name: 'confirmation',
+            message: 'Repeat passphrase:',
+            mask: '*'
+          }
+        ]);
+
+        if (answers.passphrase !== answers.confirmation) {
+          logger.error('Passphrases do not match');
+          process.exit(1);
+        }
+        passphrase = answers.passphrase;
+      }
+
+      const spinner = ora('Encrypting configuration...').start();
+      const tokenCount = await config.setEncryption(passphrase);
+      spinner.succeed(`Configuration encrypted${tokenCount > 0 ? ` (${tokenCount} PeerTube tokens)` : ''}`);
+
+      logger.info('You will be asked for the passphrase whenever a command reads the configuration');
+      logger.info('Set ANITLAN_CONFIG_PASSPHRASE or ANITLAN_CONFIG_PASSPHRASE_FILE for unattended runs such as "rss auto"');
+      logger.warning('The passphrase cannot be recovered. Keep it somewhere safe');
+    } catch (error) {
+      logger.error(`Failed to encrypt configuration: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+configCommand
+  .command('decrypt')
+  .description('Store the configuration and PeerTube tokens in plaintext again')
+  .action(async () => {
+    try {
+      const { config } = CommandContext.fromCommand(configCommand);
+
+      if (!config.isEncrypted()) {
+        logger.info('Configuration is not encrypted');
+        return;
+      }
+
+      const spinner = ora('Decrypting configuration...').start();
+      const tokenCount = await config.setEncryption(null);
+      spinner.succeed(`Configuration decrypted${tokenCount > 0 ? ` (${tokenCount} PeerTube tokens)` : ''}`);
+    } catch (error) {
+      logger.error(`Failed to decrypt configuration: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 configCommand
   .command('system-check')
   .description('Check system dependencies and compatibility')
@@ -659,4 +836,188 @@ configCommand
     }
   });
 
+const PROFILE_QUESTIONS = [
+  { name: 'PEERTUBE_API_URL', message: 'PeerTube API URL', url: true },
+  { name: 'PEERTUBE_USERNAME', message: 'PeerTube username' },
+  { name: 'PEERTUBE_PASSWORD', message: 'PeerTube password', secret: true },
+  { name: 'DEFAULT_CHANNEL_ID', message: 'Default channel ID' },
+  { name: 'R2_ENDPOINT', message: 'R2 endpoint URL', url: true },
+  { name: 'R2_BUCKET_NAME', message: 'R2 bucket name' },
+  { name: 'R2_ACCESS_KEY_ID', message: 'R2 access key ID' },
+  { name: 'R2_SECRET_ACCESS_KEY', message: 'R2 secret access key', secret: true },
+  { name: 'R2_PUBLIC_DOMAIN', message: 'R2 public domain', url: true },
+  { name: 'DB_HOST', message: 'Database host' },
+  { name: 'DB_NAME', message: 'Database name' },
+  { name: 'DB_USER', message: 'Database user' },
+  { name: 'DB_PASSWORD', message: 'Database password', secret: true },
+  { name: 'ANITORRENT_API_URL', message: 'AniTorrent API URL', url: true },
+  { name: 'ANITORRENT_API_KEY', message: 'AniTorrent API key', secret: true }
+];
+
+// Profile management works on the raw file, so a broken ACTIVE_PROFILE can still be fixed
+const loadProfileConfig = () => {
+  return CommandContext.fromCommand(configCommand).loadConfig({ profile: ConfigManager.DEFAULT_PROFILE });
+};
+
+const profileCommand = configCommand
+  .command('profile')
+  .description('Manage named profiles for multiple PeerTube instances');
+
+profileCommand
+  .command('list')
+  .description('List configuration profiles')
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .action(async (options) => {
+    try {
+      const config = loadProfileConfig();
+      const activeProfile = config.getActiveProfile();
+      const baseValues = config.getProfileValues(ConfigManager.DEFAULT_PROFILE);
+
+      const profiles = config.getProfiles().map(name => {
+        const values = { ...baseValues, ...config.getProfileValues(name) };
+        return {
+          name,
+          active: name === activeProfile,
+          peertubeUrl: values.PEERTUBE_API_URL || 'https://peertube.anitorrent.com/api/v1',
+          peertubeUser: values.PEERTUBE_USERNAME || null,
+          bucket: values.R2_BUCKET_NAME || null,
+          dbHost: values.DB_HOST || null,
+          overrides: name === ConfigManager.DEFAULT_PROFILE ? [] : Object.keys(config.getProfileValues(name))
+        };
+      });
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(profiles, null, 2));
+        return;
+      }
+
+      const table = new Table({
+        head: [chalk.cyan('Profile'), chalk.cyan('Active'), chalk.cyan('PeerTube'), chalk.cyan('User'), chalk.cyan('R2 Bucket'), chalk.cyan('DB Host')]
+      });
+      profiles.forEach(profile => table.push([
+        profile.name,
+        profile.active ? chalk.green('✓') : '',
+        profile.peertubeUrl,
+        profile.peertubeUser || chalk.gray('-'),
+        profile.bucket || chalk.gray('-'),
+        profile.dbHost || chalk.gray('-')
+      ]));
+
+      console.log(table.toString());
+
+      const runProfile = CommandContext.fromCommand(configCommand).profile || process.env.ANITLAN_PROFILE;
+      if (runProfile && runProfile !== activeProfile) {
+        logger.info(`This run uses profile "${runProfile}" (--profile or ANITLAN_PROFILE)`);
+      }
+    } catch (error) {
+      logger.error(`Failed to list profiles: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+profileCommand
+  .command('add <name>')
+  .description('Add a profile; empty answers fall back to the default profile')
+  .option('--from <profile>', 'start from the values of an existing profile')
+  .option('--use', 'make the new profile active')
+  .action(async (name, options) => {
+    try {
+      const config = loadProfileConfig();
+      config.validateProfileName(name);
+
+      const sourceValues = options.from ? config.getProfileValues(options.from) : {};
+
+      logger.header(`New profile: ${name}`);
+      logger.info('Leave a value empty to use the one from the default profile');
+      logger.separator();
+
+      const answers = await inquirer.prompt(PROFILE_QUESTIONS.map(question => ({
+        type: question.secret ? 'password' : 'input',
+        name: question.name,
+        message: `${question.message}:`,
+        default: question.secret ? undefined : sourceValues[question.name],
+        validate: input => {
+          if (!question.url || !input.trim()) return true;
+          return Validators.isValidUrl(input) || 'Invalid URL format';
+        }
+      })));
+
+      const values = { ...sourceValues };
+      Object.entries(answers).forEach(([key, value]) => {
+        if (typeof value === 'string' && value.trim()) {
+          values[key] = value.trim();
+        } else if (!PROFILE_QUESTIONS.find(question => question.name === key).secret) {
+          delete values[key];
+        }
+      });
+
+      config.addProfile(name, values);
+      if (options.use) {
+        config.useProfile(name);
+      }
+      await config.saveConfig();
+
+      logger.success(`Profile "${name}" added${options.use ? ' and activated' : ''}`);
+      logger.info(`Run "anitlan --profile ${name} config test" to verify the connections`);
+    } catch (error) {
+      logger.error(`Failed to add profile: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+profileCommand
+  .command('use <name>')
+  .description('Set the profile used when --profile is not given')
+  .action(async (name) => {
+    try {
+      const config = loadProfileConfig();
+      config.useProfile(name);
+      await config.saveConfig();
+      logger.success(`Active profile: ${name}`);
+    } catch (error) {
+      logger.error(`Failed to switch profile: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+profileCommand
+  .command('remove <name>')
+  .description('Remove a profile and its PeerTube token')
+  .option('-y, --yes', 'do not ask for confirmation')
+  .action(async (name, options) => {
+    try {
+      const config = loadProfileConfig();
+      config.getProfileValues(name);
+
+      if (!options.yes) {
+        const { confirm } = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'confirm',
+          message: `Remove profile "${name}"?`,
+          default: false
+        }]);
+
+        if (!confirm) {
+          logger.info('Operation cancelled');
+          return;
+        }
+      }
+
+      config.removeProfile(name);
+      await config.saveConfig();
+
+      const fs = require('fs').promises;
+      try {
+        await fs.unlink(config.getProfileTokenFile(name));
+      } catch (error) {
+        // Token file might not exist, ignore
+      }
+
+      logger.success(`Profile "${name}" removed`);
+    } catch (error) {
+      logger.error(`Failed to remove profile: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 module.exports = configCommand; 
\ No newline at end of file
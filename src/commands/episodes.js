@@ -2,7 +2,7 @@ const { Command } = require('commander');
 const chalk = require('chalk');
 const ora = require('ora');
 const Table = require('cli-table3');
-const ConfigManager = require('../utils/config');
+const CommandContext = require('../utils/context');
 const { logger } = require('../utils/logger');
 const PostgreSQLService = require('../services/postgresql-service');
 const AniTorrentService = require('../services/anitorrent-service');
@@ -18,7 +18,7 @@ episodesCommand
   .option('--format <format>', 'Output format: table, json', 'table')
   .action(async (options) => {
     try {
-      const config = new ConfigManager();
+      const { config } = CommandContext.fromCommand(episodesCommand);
       
       if (!config.get('DB_HOST')) {
         logger.error('Database configuration not found. Please run "anitorrent config setup" first.');
@@ -99,7 +99,7 @@ episodesCommand
   .option('--format <format>', 'Output format: table, json', 'table')
   .action(async (options) => {
     try {
-      const config = new ConfigManager();
+      const { config } = CommandContext.fromCommand(episodesCommand);
       
       if (!config.get('DB_HOST')) {
         logger.error('Database configuration not found. Please run "anitorrent config setup" first.');
@@ -173,7 +173,7 @@ episodesCommand
   .requiredOption('--anilist-id <id>', 'AniList ID of the anime')
   .action(async (options) => {
     try {
-      const config = new ConfigManager();
+      const { config } = CommandContext.fromCommand(episodesCommand);
       
       if (!config.get('DB_HOST')) {
         logger.error('Database configuration not found. Please run "anitorrent config setup" first.');
@@ -237,7 +237,7 @@ episodesCommand
   .option('--limit <number>', 'Maximum number of episodes to check', '100')
   .action(async (options) => {
     try {
-      const config = new ConfigManager();
+      const { config } = CommandContext.fromCommand(episodesCommand);
       
       if (!config.get('DB_HOST')) {
         logger.error('Database configuration not found. Please run "anitorrent config setup" first.');
@@ -480,7 +480,7 @@ episodesCommand
   .option('--format <format>', 'Output format: table, json', 'table')
   .action(async (options) => {
     try {
-      const config = new ConfigManager();
+      const { config } = CommandContext.fromCommand(episodesCommand);
       
       if (!config.get('DB_HOST')) {
         logger.error('Database configuration not found. Please run "anitorrent config setup" first.');
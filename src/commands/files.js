@@ -4,7 +4,7 @@ const chalk = require('chalk');
 const ora = require('ora');
 const path = require('path');
 const anitomy = require('anitomyscript');
-const { Logger } = require('../utils/logger');
+const CommandContext = require('../utils/context');
 const FileService = require('../services/file-service');
 const Validators = require('../utils/validators');
 
@@ -22,10 +22,8 @@ filesCommand
   .option('--dry-run', 'show preview without making changes')
   .action(async (options) => {
     const isLogs = filesCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({
-      verbose: false,
-      quiet: filesCommand.parent?.opts()?.quiet || false,
-    });
+    const context = CommandContext.fromCommand(filesCommand);
+    const logger = context.createLogger();
 
     try {
       const targetPath = options.path || process.cwd();
@@ -38,7 +36,7 @@ filesCommand
 
       const fileService = new FileService({
         verbose: false,
-        quiet: filesCommand.parent?.opts()?.quiet || false,
+        quiet: context.quiet,
       });
 
       logger.step('📁', 'Scanning directories');
@@ -193,10 +191,8 @@ filesCommand
   .option('--text', 'treat input as text instead of file path')
   .action(async (input, options) => {
     const isLogs = filesCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({
-      verbose: false,
-      quiet: filesCommand.parent?.opts()?.quiet || false,
-    });
+    const context = CommandContext.fromCommand(filesCommand);
+    const logger = context.createLogger();
 
     try {
       let filesToParse = [];
@@ -1,15 +1,94 @@
 const { Command } = require('commander');
+const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
+const Table = require('cli-table3');
 const anitomy = require('anitomyscript');
-const ConfigManager = require('../utils/config');
-const { Logger } = require('../utils/logger');
+const CommandContext = require('../utils/context');
 const Validators = require('../utils/validators');
 const PeerTubeService = require('../services/peertube-service');
 
 const peertubeCommand = new Command('peertube');
 peertubeCommand.description('PeerTube video management');
 
+const fetchRecentVideos = async (peertubeService, totalCount) => {
+  const allVideos = [];
+  const requestsNeeded = Math.ceil(totalCount / 100);
+
+  for (let i = 0; i < requestsNeeded; i++) {
+    const limit = Math.min(100, totalCount - (i * 100));
+    const start = i * 100;
+
+    const data = await peertubeService.listVideos(limit, start);
+    allVideos.push(...data.data);
+
+    if (data.data.length < limit) break;
+  }
+
+  return allVideos;
+};
+
+// Groups videos by "<title> - Season <n>", which is also the name given to their playlist
+const groupVideosByAnime = async (videos) => {
+  const animeGroups = {};
+
+  for (const video of videos) {
+    try {
+      const parsed = await anitomy(video.name);
+
+      if (parsed.anime_title) {
+        const animeTitle = parsed.anime_title;
+        const season = parsed.anime_season || '1';
+        const episode = parsed.episode_number || '1';
+
+        const groupKey = `${animeTitle} - Season ${season}`;
+
+        if (!animeGroups[groupKey]) {
+          animeGroups[groupKey] = {
+            title: animeTitle,
+            season: season,
+            videos: []
+          };
+        }
+
+        animeGroups[groupKey].videos.push({
+          ...video,
+          episode: parseInt(episode) || 1
+        });
+      }
+    } catch (error) {
+      // Skip videos that can't be parsed
+    }
+  }
+
+  Object.values(animeGroups).forEach(group => {
+    group.videos.sort((a, b) => a.episode - b.episode);
+  });
+
+  return animeGroups;
+};
+
+const parseEpisodeNumber = async (video) => {
+  if (!video) {
+    return null;
+  }
+
+  try {
+    const parsed = await anitomy(video.name);
+    return parseInt(parsed.episode_number) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizePlaylistName = (name) => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+const findPlaylistElement = (elements, videoId) => elements.find(element =>
+  element.video && [String(element.video.id), element.video.uuid, element.video.shortUUID].includes(String(videoId))
+);
+
+const getWebUrl = (peertubeConfig) => peertubeConfig.apiUrl.replace('/api/v1', '');
+
 peertubeCommand
   .command('import')
   .description('Import video from URL')
@@ -21,10 +100,8 @@ peertubeCommand
   .option('--wait <minutes>', 'wait for processing to complete', '120')
   .action(async (url, options) => {
     const isLogs = peertubeCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({ 
-      verbose: false,
-      quiet: peertubeCommand.parent?.opts()?.quiet || false
-    });
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
 
     try {
       if (!Validators.isValidUrl(url)) {
@@ -32,7 +109,7 @@ peertubeCommand
         process.exit(1);
       }
 
-      const config = new ConfigManager();
+      const config = context.config;
       config.validateRequired();
       
       const peertubeConfig = config.getPeerTubeConfig();
@@ -91,10 +168,17 @@ peertubeCommand
           logger.step('⏳', 'Waiting for PeerTube to import from S3');
           
           const processingSpinner = ora('Monitoring processing status...').start();
-          const processingResult = await peertubeService.waitForProcessing(videoId, maxWaitMinutes);
+          const processingResult = await peertubeService.waitForProcessing(videoId, maxWaitMinutes, { importId: result.id });
           
           if (processingResult.success) {
             processingSpinner.succeed(`Processing completed: ${processingResult.finalState}`);
+          } else if (processingResult.failed) {
+            processingSpinner.fail(`Import failed: ${processingResult.finalState}`);
+            if (processingResult.error) {
+              logger.error(processingResult.error, 1);
+            }
+            logger.info(`Retry with: anitorrent peertube retry ${result.id}`);
+            process.exit(1);
           } else {
             processingSpinner.warn(`Processing timeout: ${processingResult.finalState}`);
           }
@@ -142,13 +226,11 @@ peertubeCommand
   .argument('<import-id>', 'import ID to check')
   .action(async (importId) => {
     const isLogs = peertubeCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({ 
-      verbose: false,
-      quiet: peertubeCommand.parent?.opts()?.quiet || false
-    });
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
 
     try {
-      const config = new ConfigManager();
+      const config = context.config;
       config.validateRequired();
       
       const peertubeConfig = config.getPeerTubeConfig();
@@ -178,19 +260,233 @@ peertubeCommand
     }
   });
 
+peertubeCommand
+  .command('imports')
+  .description('List your recent video imports and their states')
+  .option('--limit <number>', 'number of imports to list', '20')
+  .option('--state <state>', 'only show imports in this state (pending, processing, success, failed, rejected, cancelled)')
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .action(async (options) => {
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
+
+    try {
+      const limit = parseInt(options.limit);
+
+      if (isNaN(limit) || limit < 1) {
+        logger.error('Invalid limit (must be a positive number)');
+        process.exit(1);
+      }
+
+      const config = context.config;
+      config.validateRequired();
+
+      const peertubeService = new PeerTubeService(config.getPeerTubeConfig());
+      const state = options.state ? options.state.toLowerCase() : null;
+
+      const spinner = ora('Fetching imports...').start();
+      const imports = [];
+      let total = 0;
+
+      // Filtering happens locally, so keep paging until enough imports match
+      for (let start = 0; imports.length < limit && start < 1000; start += 100) {
+        const data = await peertubeService.listMyImports({ start, count: 100 });
+        total = data.total;
+        imports.push(...data.data.filter(item => !state || (item.state?.label || '').toLowerCase() === state));
+
+        if (data.data.length < 100) {
+          break;
+        }
+      }
+      imports.splice(limit);
+      spinner.stop();
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(imports, null, 2));
+        return;
+      }
+
+      if (imports.length === 0) {
+        logger.warning(`No imports found${state ? ` in state "${state}"` : ''}`);
+        return;
+      }
+
+      const stateColor = (videoImport) => {
+        const label = videoImport.state?.label || 'Unknown';
+        if (videoImport.state?.id === 2) {
+          return chalk.green(label);
+        }
+        return PeerTubeService.FAILED_IMPORT_STATES.includes(videoImport.state?.id) ? chalk.red(label) : chalk.yellow(label);
+      };
+
+      const table = new Table({
+        head: [chalk.cyan('Import ID'), chalk.cyan('Video ID'), chalk.cyan('Name'), chalk.cyan('State'), chalk.cyan('Created'), chalk.cyan('Target / Error')],
+        colWidths: [11, 10, 36, 12, 22, 50],
+        wordWrap: true
+      });
+      imports.forEach(videoImport => table.push([
+        videoImport.id,
+        videoImport.video ? videoImport.video.id : '-',
+        videoImport.video ? videoImport.video.name : '-',
+        stateColor(videoImport),
+        new Date(videoImport.createdAt).toLocaleString(),
+        videoImport.error ? chalk.red(videoImport.error) : (videoImport.targetUrl || videoImport.torrentName || videoImport.magnetUri || '-')
+      ]));
+
+      console.log(table.toString());
+      console.log(chalk.gray(`\nShowing ${imports.length} of ${total} imports`));
+    } catch (error) {
+      logger.error(`List imports failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+peertubeCommand
+  .command('retry')
+  .description('Re-submit a failed import with the same target URL and options')
+  .argument('<import-id>', 'ID of the failed import')
+  .option('--name <name>', 'override the video name')
+  .option('--channel <id>', 'override the PeerTube channel ID')
+  .option('--privacy <level>', 'override the privacy level (1-5)')
+  .option('--password <password>', 'override the video password')
+  .option('--wait <minutes>', 'wait for processing to complete')
+  .option('--delete-failed', 'delete the video left by the failed import')
+  .option('--force', 'retry even if the import has not failed')
+  .action(async (importId, options) => {
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
+
+    try {
+      const config = context.config;
+      config.validateRequired();
+
+      const peertubeService = new PeerTubeService(config.getPeerTubeConfig());
+      const defaults = config.getDefaults();
+
+      const spinner = ora(`Looking up import ${importId}...`).start();
+      const videoImport = await peertubeService.findMyImport(importId);
+
+      if (!videoImport) {
+        spinner.fail(`Import ${importId} not found in your recent imports`);
+        process.exit(1);
+      }
+
+      if (!PeerTubeService.FAILED_IMPORT_STATES.includes(videoImport.state?.id) && !options.force) {
+        spinner.fail(`Import ${importId} is "${videoImport.state?.label}", not failed (use --force to retry anyway)`);
+        process.exit(1);
+      }
+
+      if (!videoImport.targetUrl) {
+        spinner.fail('Only imports from a URL can be retried');
+        process.exit(1);
+      }
+      spinner.stop();
+
+      const failedVideo = videoImport.video || null;
+      const channelId = options.channel
+        ? parseInt(options.channel)
+        : failedVideo?.channel?.id || await config.getDefaultChannelId();
+      const privacy = options.privacy
+        ? parseInt(options.privacy)
+        : failedVideo?.privacy?.id || defaults.privacy;
+
+      if (!Validators.isValidChannelId(channelId)) {
+        logger.error('Invalid channel ID');
+        process.exit(1);
+      }
+
+      if (!Validators.isValidPrivacyLevel(privacy)) {
+        logger.error('Invalid privacy level (must be 1-5)');
+        process.exit(1);
+      }
+
+      let videoPasswords = options.password ? [options.password] : null;
+      if (!videoPasswords && privacy === 5 && failedVideo) {
+        try {
+          videoPasswords = await peertubeService.getVideoPasswords(failedVideo.id);
+        } catch (error) {
+          logger.verbose(`Could not read the passwords of video ${failedVideo.id}: ${error.message}`);
+        }
+      }
+      if (!videoPasswords || videoPasswords.length === 0) {
+        videoPasswords = [defaults.videoPassword];
+      }
+
+      logger.header('Retry PeerTube Import');
+      logger.info(`Failed import: ${videoImport.id} (${videoImport.state?.label})`);
+      if (videoImport.error) {
+        logger.info(`Error: ${videoImport.error}`);
+      }
+      logger.info(`URL: ${decodeURIComponent(videoImport.targetUrl)}`);
+      logger.info(`Channel ID: ${channelId}`);
+      logger.info(`Privacy: ${privacy}`);
+      logger.separator();
+
+      const importSpinner = ora('Re-submitting import...').start();
+      let result;
+
+      try {
+        result = await peertubeService.importVideo(videoImport.targetUrl, {
+          channelId,
+          name: options.name || failedVideo?.name || null,
+          privacy,
+          videoPasswords,
+          silent: true
+        });
+        importSpinner.succeed('Import re-submitted');
+      } catch (error) {
+        importSpinner.fail(`Retry failed: ${error.message}`);
+        process.exit(1);
+      }
+
+      const videoId = result.video?.id;
+      logger.info(`Import ID: ${result.id}`, 1);
+      logger.info(`Video ID: ${videoId}`, 1);
+
+      if (options.deleteFailed && failedVideo && failedVideo.id !== videoId) {
+        const deleteSpinner = ora(`Deleting failed video ${failedVideo.id}...`).start();
+        try {
+          await peertubeService.deleteVideo(failedVideo.id);
+          deleteSpinner.succeed(`Failed video ${failedVideo.id} deleted`);
+        } catch (error) {
+          deleteSpinner.warn(`Could not delete failed video ${failedVideo.id}: ${error.message}`);
+        }
+      }
+
+      if (options.wait !== undefined && videoId) {
+        const maxWaitMinutes = parseInt(options.wait);
+        const processingSpinner = ora('Monitoring import status...').start();
+        const processingResult = await peertubeService.waitForProcessing(videoId, maxWaitMinutes, { importId: result.id });
+
+        if (processingResult.success) {
+          processingSpinner.succeed(`Import completed: ${processingResult.finalState}`);
+        } else if (processingResult.failed) {
+          processingSpinner.fail(`Import failed again: ${processingResult.finalState}`);
+          if (processingResult.error) {
+            logger.error(processingResult.error, 1);
+          }
+          process.exit(1);
+        } else {
+          processingSpinner.warn(`Processing timeout: ${processingResult.finalState}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Retry import failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 peertubeCommand
   .command('get')
   .description('Get video information by ID')
   .argument('<video-id>', 'video ID to retrieve')
   .action(async (videoId) => {
     const isLogs = peertubeCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({ 
-      verbose: false,
-      quiet: peertubeCommand.parent?.opts()?.quiet || false
-    });
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
 
     try {
-      const config = new ConfigManager();
+      const config = context.config;
       config.validateRequired();
       
       const peertubeConfig = config.getPeerTubeConfig();
@@ -246,10 +542,8 @@ peertubeCommand
   .option('--limit <number>', 'number of videos to list', '10')
   .action(async (options) => {
     const isLogs = peertubeCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({ 
-      verbose: false,
-      quiet: peertubeCommand.parent?.opts()?.quiet || false
-    });
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
 
     try {
       const limit = parseInt(options.limit);
@@ -259,7 +553,7 @@ peertubeCommand
         process.exit(1);
       }
 
-      const config = new ConfigManager();
+      const config = context.config;
       config.validateRequired();
       
       const peertubeConfig = config.getPeerTubeConfig();
@@ -300,15 +594,254 @@ peertubeCommand
   });
 
 peertubeCommand
+  .command('update')
+  .description('Update video metadata')
+  .argument('<video-id>', 'video ID, UUID or short UUID')
+  .option('--name <name>', 'new video name')
+  .option('--description <text>', 'new video description')
+  .option('--tags <tags>', 'comma-separated tags (up to 5, replaces existing tags)')
+  .option('--category <id>', 'category ID')
+  .option('--language <code>', 'language code (e.g. es, ja)')
+  .option('--privacy <level>', 'privacy level (1-5)')
+  .option('--password <passwords>', 'comma-separated video passwords (used with privacy 5)')
+  .option('--nsfw', 'mark the video as NSFW')
+  .option('--no-nsfw', 'remove the NSFW flag')
+  .action(async (videoId, options) => {
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
+
+    try {
+      const updates = {};
+
+      if (options.name !== undefined) {
+        if (options.name.length < 3 || options.name.length > 120) {
+          logger.error('Invalid name (must be 3-120 characters)');
+          process.exit(1);
+        }
+        updates.name = options.name;
+      }
+
+      if (options.description !== undefined) {
+        updates.description = options.description;
+      }
+
+      if (options.tags !== undefined) {
+        const tags = options.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (tags.length > 5 || tags.some(tag => tag.length < 2 || tag.length > 30)) {
+          logger.error('Invalid tags (up to 5 tags of 2-30 characters each)');
+          process.exit(1);
+        }
+        updates.tags = tags;
+      }
+
+      if (options.category !== undefined) {
+        updates.category = parseInt(options.category);
+        if (isNaN(updates.category)) {
+          logger.error('Invalid category ID');
+          process.exit(1);
+        }
+      }
+
+      if (options.language !== undefined) {
+        updates.language = options.language;
+      }
+
+      if (options.privacy !== undefined) {
+        updates.privacy = parseInt(options.privacy);
+        if (!Validators.isValidPrivacyLevel(updates.privacy)) {
+          logger.error('Invalid privacy level (must be 1-5)');
+          process.exit(1);
+        }
+      }
+
+      if (options.password !== undefined) {
+        updates.videoPasswords = options.password.split(',').map(password => password.trim()).filter(Boolean);
+      }
+
+      if (options.nsfw !== undefined) {
+        updates.nsfw = options.nsfw;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        logger.error('Nothing to update. Use --help to see the available fields.');
+        process.exit(1);
+      }
+
+      const config = context.config;
+      config.validateRequired();
+
+      const peertubeService = new PeerTubeService(config.getPeerTubeConfig());
+
+      if (updates.category !== undefined || updates.language !== undefined) {
+        const [categories, languages] = await Promise.all([
+          updates.category !== undefined ? peertubeService.getVideoCategories() : {},
+          updates.language !== undefined ? peertubeService.getVideoLanguages() : {}
+        ]);
+
+        if (updates.category !== undefined && !categories[updates.category]) {
+          logger.error(`Unknown category ${updates.category}`);
+          logger.info(`Available categories: ${Object.entries(categories).map(([id, label]) => `${id} (${label})`).join(', ')}`);
+          process.exit(1);
+        }
+
+        if (updates.language !== undefined && !languages[updates.language]) {
+          logger.error(`Unknown language "${updates.language}"`);
+          process.exit(1);
+        }
+      }
+
+      logger.header('Update Video');
+      logger.info(`Video ID: ${videoId}`);
+      Object.entries(updates).forEach(([field, value]) => {
+        const display = field === 'videoPasswords' ? '*'.repeat(8) : Array.isArray(value) ? value.join(', ') : value;
+        logger.info(`${field}: ${display}`, 1);
+      });
+      logger.separator();
+
+      const spinner = ora('Updating video...').start();
+
+      try {
+        await peertubeService.updateVideo(videoId, updates);
+        const video = await peertubeService.getVideoById(videoId);
+        spinner.succeed('Video updated');
+
+        logger.info(`Name: ${video.name}`, 1);
+        logger.info(`Privacy: ${video.privacy?.label} (${video.privacy?.id})`, 1);
+        if (video.category?.label) {
+          logger.info(`Category: ${video.category.label}`, 1);
+        }
+        if (video.language?.label) {
+          logger.info(`Language: ${video.language.label}`, 1);
+        }
+        if (video.tags && video.tags.length > 0) {
+          logger.info(`Tags: ${video.tags.join(', ')}`, 1);
+        }
+        logger.info(`NSFW: ${video.nsfw ? 'Yes' : 'No'}`, 1);
+        logger.info(`Watch URL: ${video.url}`, 1);
+      } catch (error) {
+        spinner.fail(`Failed to update video: ${error.message}`);
+        process.exit(1);
+      }
+
+    } catch (error) {
+      logger.error(`Update video failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+peertubeCommand
+  .command('delete')
+  .description('Delete a video')
+  .argument('<video-id>', 'video ID, UUID or short UUID')
+  .option('-y, --yes', 'do not ask for confirmation')
+  .action(async (videoId, options) => {
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
+
+    try {
+      const config = context.config;
+      config.validateRequired();
+
+      const peertubeService = new PeerTubeService(config.getPeerTubeConfig());
+
+      const spinner = ora('Fetching video information...').start();
+      let video;
+      try {
+        video = await peertubeService.getVideoById(videoId);
+        spinner.stop();
+      } catch (error) {
+        spinner.fail(`Failed to get video: ${error.message}`);
+        process.exit(1);
+      }
+
+      logger.header('Delete Video');
+      logger.info(`ID: ${video.id}`);
+      logger.info(`Name: ${video.name}`);
+      logger.info(`Published: ${new Date(video.publishedAt).toLocaleString()}`);
+      logger.separator();
+
+      if (!options.yes) {
+        const { confirm } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Delete "${video.name}"? This cannot be undone.`,
+            default: false
+          }
+        ]);
+
+        if (!confirm) {
+          logger.info('Operation cancelled');
+          return;
+        }
+      }
+
+      const deleteSpinner = ora('Deleting video...').start();
+
+      try {
+        await peertubeService.deleteVideo(video.id);
+        deleteSpinner.succeed(`Video ${video.id} deleted`);
+      } catch (error) {
+        deleteSpinner.fail(`Failed to delete video: ${error.message}`);
+        process.exit(1);
+      }
+
+    } catch (error) {
+      logger.error(`Delete video failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+peertubeCommand
+  .command('thumbnail')
+  .description('Replace the thumbnail of a video')
+  .argument('<video-id>', 'video ID, UUID or short UUID')
+  .argument('<image>', 'JPG or PNG image to use as thumbnail and preview')
+  .action(async (videoId, image) => {
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
+
+    try {
+      const imageInfo = await Validators.validateFilePath(image);
+      if (!imageInfo.exists) {
+        logger.error(`Image not found: ${imageInfo.resolvedPath}`);
+        process.exit(1);
+      }
+
+      const config = context.config;
+      config.validateRequired();
+
+      const peertubeService = new PeerTubeService(config.getPeerTubeConfig());
+
+      logger.header('Update Thumbnail');
+      logger.info(`Video ID: ${videoId}`);
+      logger.info(`Image: ${imageInfo.resolvedPath}`);
+      logger.separator();
+
+      const spinner = ora('Uploading thumbnail...').start();
+
+      try {
+        await peertubeService.updateThumbnail(videoId, imageInfo.resolvedPath);
+        spinner.succeed('Thumbnail updated');
+      } catch (error) {
+        spinner.fail(`Failed to update thumbnail: ${error.message}`);
+        process.exit(1);
+      }
+
+    } catch (error) {
+      logger.error(`Update thumbnail failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+const playlistCommand = peertubeCommand
   .command('playlist')
-  .description('Create playlist from recent videos')
+  .description('Create playlist from recent videos (use the subcommands to manage existing playlists)')
   .option('--count <number>', 'number of videos to fetch (max per request: 100)', '200')
   .action(async (options) => {
     const isLogs = peertubeCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({ 
-      verbose: false,
-      quiet: peertubeCommand.parent?.opts()?.quiet || false
-    });
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
 
     try {
       const totalCount = parseInt(options.count);
@@ -318,7 +851,7 @@ peertubeCommand
         process.exit(1);
       }
 
-      const config = new ConfigManager();
+      const config = context.config;
       config.validateRequired();
       
       const peertubeConfig = config.getPeerTubeConfig();
@@ -333,55 +866,14 @@ peertubeCommand
       const spinner = ora('Fetching videos from PeerTube...').start();
       
       try {
-        const allVideos = [];
-        const requestsNeeded = Math.ceil(totalCount / 100);
-        
-        for (let i = 0; i < requestsNeeded; i++) {
-          const limit = Math.min(100, totalCount - (i * 100));
-          const start = i * 100;
-          
-          const data = await peertubeService.listVideos(limit, start);
-          allVideos.push(...data.data);
-          
-          if (data.data.length < limit) break;
-        }
+        const allVideos = await fetchRecentVideos(peertubeService, totalCount);
 
         spinner.succeed(`Fetched ${allVideos.length} videos`);
 
         logger.info('Parsing video names with anitomy...');
         const parseSpinner = ora('Analyzing anime information...').start();
 
-        const animeGroups = {};
-        
-        for (const video of allVideos) {
-          try {
-            const parsed = await anitomy(video.name);
-            
-            if (parsed.anime_title) {
-              const animeTitle = parsed.anime_title;
-              const season = parsed.anime_season || '1';
-              const episode = parsed.episode_number || '1';
-              
-              const groupKey = `${animeTitle} - Season ${season}`;
-              
-              if (!animeGroups[groupKey]) {
-                animeGroups[groupKey] = {
-                  title: animeTitle,
-                  season: season,
-                  videos: []
-                };
-              }
-              
-              animeGroups[groupKey].videos.push({
-                ...video,
-                episode: parseInt(episode) || 1
-              });
-            }
-          } catch (error) {
-            // Skip videos that can't be parsed
-          }
-        }
-
+        const animeGroups = await groupVideosByAnime(allVideos);
         const groupKeys = Object.keys(animeGroups);
         
         if (groupKeys.length === 0) {
@@ -391,10 +883,6 @@ peertubeCommand
 
         parseSpinner.succeed(`Found ${groupKeys.length} anime series`);
 
-        groupKeys.forEach(key => {
-          animeGroups[key].videos.sort((a, b) => a.episode - b.episode);
-        });
-
         logger.separator();
         logger.info('Available anime series:');
         groupKeys.forEach((key, index) => {
@@ -415,6 +903,15 @@ peertubeCommand
         ]);
 
         const selectedAnime = animeGroups[selectedGroup];
+
+        const existingPlaylist = (await peertubeService.listMyPlaylists())
+          .find(playlist => normalizePlaylistName(playlist.displayName) === normalizePlaylistName(selectedGroup));
+
+        if (existingPlaylist) {
+          logger.warning(`Playlist "${existingPlaylist.displayName}" already exists (ID: ${existingPlaylist.id})`);
+          logger.info(`Use "anitorrent peertube playlist sync --anime \\"${selectedAnime.title}\\" --season ${selectedAnime.season}" to add missing episodes`);
+          return;
+        }
         
         logger.separator();
         logger.header(`Creating Playlist: ${selectedGroup}`);
@@ -460,7 +957,7 @@ peertubeCommand
 
           logger.separator();
           logger.success('Playlist created successfully!');
-          logger.info(`Playlist URL: ${peertubeConfig.apiUrl.replace('/api/v1', '')}/video-playlists/${playlistResult.videoPlaylist.shortUUID}`);
+          logger.info(`Playlist URL: ${getWebUrl(peertubeConfig)}/video-playlists/${playlistResult.videoPlaylist.shortUUID}`);
 
         } catch (error) {
           createSpinner.fail(`Failed to create playlist: ${error.message}`);
@@ -478,4 +975,369 @@ peertubeCommand
     }
   });
 
+playlistCommand
+  .command('list')
+  .description('List your playlists')
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .action(async (options) => {
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
+
+    try {
+      const config = context.config;
+      config.validateRequired();
+
+      const peertubeService = new PeerTubeService(config.getPeerTubeConfig());
+
+      const spinner = ora('Fetching playlists...').start();
+      const playlists = await peertubeService.listMyPlaylists();
+      spinner.stop();
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(playlists, null, 2));
+        return;
+      }
+
+      if (playlists.length === 0) {
+        logger.warning('No playlists found');
+        return;
+      }
+
+      const table = new Table({
+        head: [chalk.cyan('ID'), chalk.cyan('Short UUID'), chalk.cyan('Name'), chalk.cyan('Videos'), chalk.cyan('Privacy')]
+      });
+      playlists.forEach(playlist => table.push([
+        playlist.id,
+        playlist.shortUUID,
+        playlist.displayName,
+        playlist.videosLength,
+        playlist.privacy?.label || 'Unknown'
+      ]));
+
+      console.log(table.toString());
+      console.log(chalk.gray(`\n${playlists.length} playlists`));
+    } catch (error) {
+      logger.error(`List playlists failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+playlistCommand
+  .command('show')
+  .description('Show the videos of a playlist in order')
+  .argument('<playlist-id>', 'playlist ID, UUID or short UUID')
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .action(async (playlistId, options) => {
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
+
+    try {
+      const config = context.config;
+      config.validateRequired();
+
+      const peertubeConfig = config.getPeerTubeConfig();
+      const peertubeService = new PeerTubeService(peertubeConfig);
+
+      const spinner = ora('Fetching playlist...').start();
+      const playlist = await peertubeService.getPlaylist(playlistId);
+      const elements = await peertubeService.getPlaylistElements(playlist.id);
+      spinner.stop();
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify({ playlist, elements }, null, 2));
+        return;
+      }
+
+      logger.header(playlist.displayName);
+      logger.info(`ID: ${playlist.id}`);
+      logger.info(`Privacy: ${playlist.privacy?.label || 'Unknown'}`);
+      logger.info(`URL: ${getWebUrl(peertubeConfig)}/video-playlists/${playlist.shortUUID}`);
+      logger.separator();
+
+      if (elements.length === 0) {
+        logger.warning('Playlist is empty');
+        return;
+      }
+
+      const table = new Table({
+        head: [chalk.cyan('Position'), chalk.cyan('Episode'), chalk.cyan('Video ID'), chalk.cyan('Name')]
+      });
+      for (const element of elements) {
+        const episode = await parseEpisodeNumber(element.video);
+        table.push([
+          element.position,
+          episode !== null ? episode : '-',
+          element.video ? element.video.id : '-',
+          element.video ? element.video.name : chalk.gray('(unavailable)')
+        ]);
+      }
+
+      console.log(table.toString());
+    } catch (error) {
+      logger.error(`Show playlist failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+playlistCommand
+  .command('sync')
+  .description('Append missing episodes to existing anime playlists in episode order')
+  .option('--anime <title>', 'only sync series whose title contains this text')
+  .option('--season <number>', 'only sync this season')
+  .option('--count <number>', 'number of recent videos to scan', '200')
+  .option('--create', 'create playlists for series that do not have one yet')
+  .option('--dry-run', 'only show what would be added')
+  .action(async (options) => {
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
+
+    try {
+      const totalCount = parseInt(options.count);
+
+      if (isNaN(totalCount) || totalCount < 1) {
+        logger.error('Invalid count (must be a positive number)');
+        process.exit(1);
+      }
+
+      const config = context.config;
+      config.validateRequired();
+
+      const peertubeService = new PeerTubeService(config.getPeerTubeConfig());
+
+      logger.header('PeerTube Playlist Sync');
+
+      const spinner = ora('Fetching videos from PeerTube...').start();
+      const allVideos = await fetchRecentVideos(peertubeService, totalCount);
+      spinner.text = 'Analyzing anime information...';
+
+      const animeGroups = await groupVideosByAnime(allVideos);
+      const groups = Object.entries(animeGroups).filter(([, group]) => {
+        if (options.anime && !group.title.toLowerCase().includes(options.anime.toLowerCase())) {
+          return false;
+        }
+        return !options.season || parseInt(group.season) === parseInt(options.season);
+      });
+
+      spinner.text = 'Fetching playlists...';
+      const playlistsByName = new Map(
+        (await peertubeService.listMyPlaylists()).map(playlist => [normalizePlaylistName(playlist.displayName), playlist])
+      );
+      spinner.succeed(`Scanned ${allVideos.length} videos, ${groups.length} series to sync`);
+
+      if (groups.length === 0) {
+        logger.warning('No matching anime series found in the recent videos');
+        return;
+      }
+
+      const channelId = options.create && !options.dryRun ? await config.getDefaultChannelId() : null;
+      const summary = [];
+
+      for (const [name, group] of groups) {
+        let playlist = playlistsByName.get(normalizePlaylistName(name));
+
+        if (!playlist && !options.create) {
+          summary.push({ name, added: 0, status: 'no playlist (use --create)' });
+          continue;
+        }
+
+        // Elements track the playlist order locally so new episodes can be moved into place
+        const order = [];
+        const existingIds = new Set();
+
+        if (playlist) {
+          const elements = await peertubeService.getPlaylistElements(playlist.id);
+          for (const element of elements) {
+            order.push(await parseEpisodeNumber(element.video));
+            if (element.video) {
+              existingIds.add(element.video.id);
+            }
+          }
+        }
+
+        const existingEpisodes = new Set(order.filter(episode => episode !== null));
+        const missing = group.videos.filter(video => {
+          if (existingIds.has(video.id) || existingEpisodes.has(video.episode)) {
+            return false;
+          }
+          existingEpisodes.add(video.episode);
+          return true;
+        });
+
+        if (missing.length === 0) {
+          summary.push({ name, added: 0, status: 'up to date' });
+          continue;
+        }
+
+        if (options.dryRun) {
+          summary.push({
+            name,
+            added: missing.length,
+            status: `${playlist ? 'would add' : 'would create with'} episodes ${missing.map(video => video.episode).join(', ')}`
+          });
+          continue;
+        }
+
+        const syncSpinner = ora(`Syncing ${name}...`).start();
+
+        try {
+          if (!playlist) {
+            const playlistResult = await peertubeService.createPlaylist({
+              displayName: name,
+              privacy: 1,
+              videoChannelId: channelId
+            });
+            playlist = playlistResult.videoPlaylist;
+          }
+
+          let added = 0;
+          for (const video of missing) {
+            try {
+              await peertubeService.addVideoToPlaylist(playlist.id, video.id);
+              added++;
+
+              const insertIndex = order.findIndex(episode => episode !== null && episode > video.episode);
+              if (insertIndex === -1) {
+                order.push(video.episode);
+              } else {
+                await peertubeService.reorderPlaylist(playlist.id, order.length + 1, insertIndex);
+                order.splice(insertIndex, 0, video.episode);
+              }
+
+              syncSpinner.text = `Added episode ${video.episode} to ${name}`;
+            } catch (error) {
+              logger.warning(`Failed to add video ${video.id}: ${error.message}`);
+            }
+          }
+
+          syncSpinner.succeed(`${name}: added ${added} episodes`);
+          summary.push({ name, added, status: added === missing.length ? 'synced' : `${missing.length - added} failed` });
+        } catch (error) {
+          syncSpinner.fail(`${name}: ${error.message}`);
+          summary.push({ name, added: 0, status: `failed: ${error.message}` });
+          process.exitCode = 1;
+        }
+      }
+
+      const table = new Table({
+        head: [chalk.cyan('Playlist'), chalk.cyan('Added'), chalk.cyan('Status')]
+      });
+      summary.forEach(entry => table.push([entry.name, entry.added, entry.status]));
+      console.log(table.toString());
+
+      if (options.dryRun) {
+        logger.info('Dry run - no playlists changed');
+      }
+    } catch (error) {
+      logger.error(`Playlist sync failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+playlistCommand
+  .command('remove-video')
+  .description('Remove a video from a playlist')
+  .argument('<playlist-id>', 'playlist ID, UUID or short UUID')
+  .argument('<video-id>', 'video ID, UUID or short UUID')
+  .action(async (playlistId, videoId) => {
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
+
+    try {
+      const config = context.config;
+      config.validateRequired();
+
+      const peertubeService = new PeerTubeService(config.getPeerTubeConfig());
+
+      const spinner = ora('Fetching playlist...').start();
+      const playlist = await peertubeService.getPlaylist(playlistId);
+      const element = findPlaylistElement(await peertubeService.getPlaylistElements(playlist.id), videoId);
+
+      if (!element) {
+        spinner.fail(`Video ${videoId} is not in playlist "${playlist.displayName}"`);
+        process.exit(1);
+      }
+
+      spinner.text = `Removing ${element.video.name}...`;
+      await peertubeService.removeVideoFromPlaylist(playlist.id, element.id);
+      spinner.succeed(`Removed "${element.video.name}" from "${playlist.displayName}"`);
+    } catch (error) {
+      logger.error(`Remove video failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+playlistCommand
+  .command('reorder')
+  .description('Sort a playlist by episode number, or move one video with --from/--to')
+  .argument('<playlist-id>', 'playlist ID, UUID or short UUID')
+  .option('--from <position>', 'current position of the video to move')
+  .option('--to <position>', 'new position of the video')
+  .action(async (playlistId, options) => {
+    const context = CommandContext.fromCommand(peertubeCommand);
+    const logger = context.createLogger();
+
+    try {
+      if ((options.from === undefined) !== (options.to === undefined)) {
+        logger.error('--from and --to must be used together');
+        process.exit(1);
+      }
+
+      const config = context.config;
+      config.validateRequired();
+
+      const peertubeService = new PeerTubeService(config.getPeerTubeConfig());
+
+      const spinner = ora('Fetching playlist...').start();
+      const playlist = await peertubeService.getPlaylist(playlistId);
+      const elements = await peertubeService.getPlaylistElements(playlist.id);
+
+      if (options.from !== undefined) {
+        const from = parseInt(options.from);
+        const to = parseInt(options.to);
+
+        if ([from, to].some(position => isNaN(position) || position < 1 || position > elements.length)) {
+          spinner.fail(`Positions must be between 1 and ${elements.length}`);
+          process.exit(1);
+        }
+
+        if (from !== to) {
+          // insertAfterPosition counts positions before the move
+          await peertubeService.reorderPlaylist(playlist.id, from, to < from ? to - 1 : to);
+        }
+        spinner.succeed(`Moved position ${from} to ${to} in "${playlist.displayName}"`);
+        return;
+      }
+
+      spinner.text = 'Sorting by episode number...';
+      const order = [];
+      for (const element of elements) {
+        const episode = await parseEpisodeNumber(element.video);
+        order.push(episode !== null ? episode : Infinity);
+      }
+
+      let moved = 0;
+      for (let target = 0; target < order.length; target++) {
+        let smallest = target;
+        for (let i = target + 1; i < order.length; i++) {
+          if (order[i] < order[smallest]) {
+            smallest = i;
+          }
+        }
+
+        if (smallest !== target) {
+          await peertubeService.reorderPlaylist(playlist.id, smallest + 1, target);
+          order.splice(target, 0, order.splice(smallest, 1)[0]);
+          moved++;
+        }
+      }
+
+      spinner.succeed(moved > 0
+        ? `Sorted "${playlist.displayName}" (${moved} videos moved)`
+        : `"${playlist.displayName}" is already in episode order`);
+    } catch (error) {
+      logger.error(`Reorder playlist failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 module.exports = peertubeCommand; 
\ No newline at end of file
@@ -1,25 +1,65 @@
 const { Command } = require('commander');
 const ora = require('ora');
 const chalk = require('chalk');
+const Table = require('cli-table3');
 const anitomy = require('anitomyscript');
-const { Logger } = require('../utils/logger');
-const ConfigManager = require('../utils/config');
+const CommandContext = require('../utils/context');
 const Validators = require('../utils/validators');
+const ConcurrencyLimiter = require('../utils/concurrency');
 const UploadService = require('../services/upload-service');
 const AniTorrentService = require('../services/anitorrent-service');
 const PostgreSQLService = require('../services/postgresql-service');
 const TorrentService = require('../services/torrent-service');
 const AniZipService = require('../services/anizip-service');
+const JobQueueService = require('../services/job-queue-service');
+const ControlService = require('../services/control-service');
+const FeedService = require('../services/feed-service');
+const WatchlistService = require('../services/watchlist-service');
+const ReleaseRankingService = require('../services/release-ranking-service');
+const PeerTubeService = require('../services/peertube-service');
+const NotificationService = require('../services/notification-service');
+
+const JOB_STATES = JobQueueService.STATES;
+const PIPELINE_STAGES = ['download', 'upload', 'import'];
 
 const rssCommand = new Command('rss');
 rssCommand.description('RSS feed operations');
 
-const buildToshoUrl = (includeHevc = false) => {
-  const excludePattern = includeHevc 
-    ? '!("REPACK"|"v2"|"(ita)"|"~"|"BATCH"|"HIDIVE")'
-    : '!("REPACK"|"v2"|"(ita)"|"~"|"BATCH"|"HIDIVE"|"HEVC")';
-  
-  return `https://feed.animetosho.org/json?qx=1&q="[Erai-raws] ""1080p""MultiSub"${excludePattern}`;
+const fetchFeedEpisodes = async (feedService, feeds, limit, logger) => {
+  const episodes = [];
+
+  for (const feed of feeds) {
+    const feedSpinner = ora(`Fetching feed ${feed.name}...`).start();
+
+    try {
+      const feedEpisodes = await feedService.fetchEpisodes(feed, limit);
+      feedSpinner.succeed(`Feed ${feed.name}: ${feedEpisodes.length} matching releases`);
+      episodes.push(...feedEpisodes);
+    } catch (error) {
+      feedSpinner.fail(`Feed ${feed.name} failed: ${error.message}`);
+    }
+  }
+
+  return episodes;
+};
+
+const createWatchlistService = (config, logger) => {
+  const watchlistConfig = config.getWatchlistConfig();
+  return new WatchlistService({
+    ...watchlistConfig,
+    dbConfig: watchlistConfig.storage === 'database' ? config.getDatabaseConfig() : null,
+    logger
+  });
+};
+
+const loadWatchlist = async (config, logger) => {
+  const watchlistService = createWatchlistService(config, logger);
+  try {
+    const shows = await watchlistService.list();
+    return new Map(shows.map(show => [show.anilistId, show]));
+  } finally {
+    await watchlistService.close();
+  }
 };
 
 const fetchWithRetry = async (url, retries = 3) => {
@@ -67,10 +107,12 @@ const fetchWithRetry = async (url, retries = 3) => {
   });
 };
 
-const filterDuplicateEpisodes = async (episodes, logger) => {
+// A null watchlist (rss auto --all) follows every show in the feeds
+const filterDuplicateEpisodes = async (episodes, logger, watchlist = null, rankingService = new ReleaseRankingService()) => {
   const episodeMap = new Map();
   const duplicates = [];
   const invalidEpisodes = [];
+  const unwatched = [];
   const aniZipService = new AniZipService();
   
   for (const episode of episodes) {
@@ -90,6 +132,13 @@ const filterDuplicateEpisodes = async (episodes, logger) => {
       }
       
       const anilistId = anizipData.mappings.anilist_id;
+      
+      if (watchlist && !watchlist.has(anilistId)) {
+        unwatched.push(episode);
+        logger.verbose(`Skipped episode (not on watchlist): ${episode.title}`);
+        continue;
+      }
+      
       const episodeMatch = Object.values(anizipData.episodes || {}).find(ep => 
         ep.anidbEid === episode.anidb_eid
       );
@@ -109,25 +158,23 @@ const filterDuplicateEpisodes = async (episodes, logger) => {
       
       const episodeNumber = episodeMatch.episode;
       const key = `${anilistId}_${episodeNumber}`;
+      const show = watchlist?.get(anilistId);
+      
+      episode.anilistId = anilistId;
+      episode.episodeNumber = episodeNumber;
+      episode.score = rankingService.score(episode, { preferredGroup: show?.releaseGroup });
       
       if (episodeMap.has(key)) {
         const existing = episodeMap.get(key);
         
-        const isCurrentJA = episode.title.includes('(JA)');
-        const isExistingJA = existing.title.includes('(JA)');
-        const isCurrentCA = episode.title.includes('(CA)');
-        const isExistingCA = existing.title.includes('(CA)');
-        
-        if (isCurrentJA && isExistingCA) {
+        // Ties keep the release seen first, which is the newest in the feed
+        if (episode.score > existing.score) {
           episodeMap.set(key, episode);
           duplicates.push(existing);
-          logger.verbose(`Replaced CA with JA: AniList ${anilistId} EP${episodeNumber}`);
-        } else if (isExistingJA && isCurrentCA) {
-          duplicates.push(episode);
-          logger.verbose(`Kept JA over CA: AniList ${anilistId} EP${episodeNumber}`);
+          logger.verbose(`Replaced with higher ranked release (${episode.score} > ${existing.score}): ${episode.title}`);
         } else {
           duplicates.push(episode);
-          logger.verbose(`Duplicate found: AniList ${anilistId} EP${episodeNumber}`);
+          logger.verbose(`Duplicate found: AniList ${anilistId} EP${episodeNumber} (kept ${existing.title})`);
         }
       } else {
         episodeMap.set(key, episode);
@@ -141,11 +188,75 @@ const filterDuplicateEpisodes = async (episodes, logger) => {
   const filteredEpisodes = Array.from(episodeMap.values());
   logger.info(`Filtered ${duplicates.length} duplicate episodes`);
   logger.info(`Skipped ${invalidEpisodes.length} invalid episodes`);
+  if (watchlist) {
+    logger.info(`Skipped ${unwatched.length} episodes not on the watchlist`);
+  }
   
   return filteredEpisodes;
 };
 
-const checkEpisodeExists = async (episode, dbService, logger, maxRetries = 3) => {
+const getEpisodeJobId = (episode) => episode.info_hash || episode.torrent_url;
+
+const toJobEpisode = (episode) => ({
+  title: episode.title,
+  torrent_url: episode.torrent_url,
+  info_hash: episode.info_hash,
+  anidb_aid: episode.anidb_aid,
+  anidb_eid: episode.anidb_eid,
+  total_size: episode.total_size,
+  seeders: episode.seeders,
+  leechers: episode.leechers,
+  feed: episode.feed,
+  anilistId: episode.anilistId,
+  episodeNumber: episode.episodeNumber,
+  score: episode.score,
+  upgrade: episode.upgrade || null
+});
+
+const collectSeedingStatus = (torrentServices) => {
+  const seedingStatus = torrentServices.flatMap(service => service.getSeedingStatus());
+  const totalSize = seedingStatus.reduce((sum, torrent) => sum + (torrent.fileSize || 0), 0);
+  const totalUploaded = seedingStatus.reduce((sum, torrent) => sum + (torrent.uploaded || 0), 0);
+  const totalDownloaded = seedingStatus.reduce((sum, torrent) => sum + (torrent.downloaded || 0), 0);
+
+  return {
+    seedingStatus,
+    seedingStats: {
+      totalFiles: seedingStatus.length,
+      totalSize,
+      totalUploaded,
+      totalDownloaded,
+      avgRatio: totalDownloaded > 0 ? (totalUploaded / totalDownloaded) : 0,
+      maxFiles: torrentServices.reduce((sum, service) => sum + service.maxSeedingTorrents, 0)
+    }
+  };
+};
+
+const printSeedingStatus = (logger, seedingStatus, seedingStats) => {
+  const formatBytes = TorrentService.prototype.formatBytes;
+
+  logger.info(`Currently seeding: ${chalk.blue(seedingStats.totalFiles)}/${chalk.blue(seedingStats.maxFiles)} torrents`);
+  logger.info(`Total disk usage: ${chalk.white(formatBytes(seedingStats.totalSize))}`);
+  logger.info(`Total uploaded: ${chalk.green(formatBytes(seedingStats.totalUploaded))}`);
+  logger.info(`Average ratio: ${chalk.yellow(seedingStats.avgRatio.toFixed(2))}`);
+  logger.separator();
+  
+  logger.info('Seeding Status:');
+  seedingStatus.forEach((torrent, index) => {
+    logger.info(`${index + 1}. ${chalk.cyan(torrent.fileName)}`);
+    logger.info(`   Hash: ${chalk.gray(torrent.hash.substring(0, 16))}...`);
+    logger.info(`   Ratio: ${chalk.yellow(torrent.ratio.toFixed(2))}`);
+    logger.info(`   Uploaded: ${chalk.green(formatBytes(torrent.uploaded))}`);
+    logger.info(`   Downloaded: ${chalk.blue(formatBytes(torrent.downloaded))}`);
+    if (torrent.fileSize) {
+      logger.info(`   File Size: ${chalk.white(formatBytes(torrent.fileSize))}`);
+    }
+    logger.info(`   Added: ${chalk.blue(new Date(torrent.addedAt).toLocaleString())}`);
+  });
+  logger.separator();
+};
+
+const findExistingEpisode = async (episode, dbService, logger, watchlist = new Map(), maxRetries = 3) => {
   if (!dbService) {
     throw new Error('Database service is required but not configured. Please configure database settings first.');
   }
@@ -172,11 +283,10 @@ const checkEpisodeExists = async (episode, dbService, logger, maxRetries = 3) =>
         return null;
       }
       
-      const episodeNumber = episodeMatch.episode;
-      
-      const existingEpisode = await dbService.getEpisodeByNumber(anilistId, episodeNumber);
+      const episodeOffset = watchlist.get(anilistId)?.episodeOffset || 0;
+      const episodeNumber = parseInt(episodeMatch.episode) + episodeOffset;
       
-      return existingEpisode !== null;
+      return await dbService.getEpisodeByNumber(anilistId, episodeNumber);
       
     } catch (error) {
       lastError = error;
@@ -196,25 +306,26 @@ const checkEpisodeExists = async (episode, dbService, logger, maxRetries = 3) =>
 rssCommand
   .command('test')
   .description('Test RSS feed integration with anime data and optional upload')
-  .option('--debug, -d', 'debug output')
-  .option('--quiet, -q', 'quiet mode')
+  .option('-d, --debug', 'debug output')
+  .option('-q, --quiet', 'quiet mode')
   .option('--upload', 'download torrent and upload to PeerTube')
   .option('--channel <id>', 'PeerTube channel ID')
   .option('--privacy <level>', 'privacy level (1-5)')
   .option('--password <password>', 'video password')
   .option('--wait <minutes>', 'max wait time for processing', '120')
   .option('--keep-r2', 'keep file in R2 after import')
+  .option('--direct', 'upload straight to PeerTube with the resumable upload API instead of importing from R2')
   .option('--anime-id <id>', 'AniList anime ID for episode update')
   .option('--track <number>', 'subtitle track number for extraction')
+  .option('--captions', 'also upload extracted subtitles to PeerTube as player captions (WebVTT)')
   .option('--use-title', 'use the title of the video for the upload name')
   .option('--kill-existing', 'kill existing torrent processes before starting')
   .option('--clean-downloads', 'clean existing files from download directory before starting')
   .option('--hevc', 'include HEVC episodes in search results')
+  .option('--feed <name>', 'only use the configured feed with this name')
   .action(async (options) => {
-    const logger = new Logger({ 
-      verbose: options.debug || false,
-      quiet: options.quiet || false
-    });
+    const context = CommandContext.fromCommand(rssCommand);
+    const logger = context.createLogger(options);
 
     try {
       if (options.killExisting) {
@@ -237,23 +348,59 @@ rssCommand
       }
       logger.separator();
       
-      const toshoSpinner = ora('Fetching from AnimeToSho RSS...').start();
+      const config = context.config;
+      const feedService = new FeedService({ logger });
+      const feeds = feedService.prepareFeeds(config.getRssFeeds(), { feed: options.feed, includeHevc: options.hevc });
+      
+      if (feeds.length === 0) {
+        logger.error('No RSS feeds are enabled');
+        process.exit(1);
+      }
       
-      const toshoData = await fetchWithRetry(buildToshoUrl(options.hevc));
-      toshoSpinner.succeed('AnimeToSho data fetched successfully');
+      let firstEpisode = null;
+      let firstFeed = null;
       
-      if (!toshoData || !Array.isArray(toshoData) || toshoData.length === 0) {
-        logger.error('No episodes found in AnimeToSho RSS feed');
+      for (const feed of feeds) {
+        const feedSpinner = ora(`Fetching feed ${feed.name} (${feed.type})...`).start();
+        
+        let feedEpisodes;
+        try {
+          feedEpisodes = await feedService.fetchEpisodes(feed, 1);
+        } catch (error) {
+          feedSpinner.fail(`Feed ${feed.name} failed: ${error.message}`);
+          continue;
+        }
+        
+        if (feedEpisodes.length === 0) {
+          feedSpinner.warn(`Feed ${feed.name}: no matching releases`);
+          continue;
+        }
+        
+        feedSpinner.succeed(`Feed ${feed.name} fetched successfully`);
+        
+        const episode = feedEpisodes[0];
+        logger.info(`Found episode: ${chalk.cyan(episode.title)}`);
+        logger.info(`AniDB ID: ${chalk.yellow(episode.anidb_aid)}`);
+        logger.info(`Episode ID: ${chalk.yellow(episode.anidb_eid)}`);
+        logger.info(`Seeders: ${chalk.green(episode.seeders)} | Leechers: ${chalk.red(episode.leechers)}`);
+        logger.info(`Size: ${chalk.blue((episode.total_size / 1024 / 1024 / 1024).toFixed(2) + ' GB')}`);
+        logger.separator();
+        
+        if (!firstEpisode) {
+          firstEpisode = episode;
+          firstFeed = feed;
+        }
+      }
+      
+      if (!firstEpisode) {
+        logger.error('No episodes found in the configured RSS feeds');
         process.exit(1);
       }
       
-      const firstEpisode = toshoData[0];
-      logger.info(`Found episode: ${chalk.cyan(firstEpisode.title)}`);
-      logger.info(`AniDB ID: ${chalk.yellow(firstEpisode.anidb_aid)}`);
-      logger.info(`Episode ID: ${chalk.yellow(firstEpisode.anidb_eid)}`);
-      logger.info(`Seeders: ${chalk.green(firstEpisode.seeders)} | Leechers: ${chalk.red(firstEpisode.leechers)}`);
-      logger.info(`Size: ${chalk.blue((firstEpisode.total_size / 1024 / 1024 / 1024).toFixed(2) + ' GB')}`);
-      logger.separator();
+      if (feeds.length > 1) {
+        logger.info(`Testing first episode from feed ${chalk.cyan(firstFeed.name)}`);
+        logger.separator();
+      }
       
       if (!firstEpisode.anidb_aid) {
         logger.error('No AniDB ID found for this episode');
@@ -327,19 +474,18 @@ rssCommand
         logger.separator();
         logger.header('Starting Upload Process');
         
-        const config = new ConfigManager();
         config.validateRequired();
         
         const defaults = config.getDefaults();
         
-        const channelId = options.channel ? parseInt(options.channel) : await config.getDefaultChannelId();
-        const privacy = options.privacy ? parseInt(options.privacy) : defaults.privacy;
+        const channelId = options.channel ? parseInt(options.channel) : (firstFeed.channelId || await config.getDefaultChannelId());
+        const privacy = options.privacy ? parseInt(options.privacy) : (firstFeed.privacy || defaults.privacy);
         const videoPassword = options.password || defaults.videoPassword;
         const maxWaitMinutes = parseInt(options.wait);
         const keepR2File = options.keepR2;
         const animeId = options.animeId ? parseInt(options.animeId) : anizipData.mappings.anilist_id;
         
-        let subtitleTrack = null;
+        let subtitleTrack = firstFeed.subtitleTrack;
         if (options.track !== undefined) {
           subtitleTrack = parseInt(options.track);
           if (!Validators.isValidSubtitleTrack(subtitleTrack)) {
@@ -360,7 +506,10 @@ rssCommand
 
         logger.info(`Channel ID: ${channelId}`);
         logger.info(`Privacy: ${privacy}`);
-        logger.info(`Keep R2 file: ${keepR2File ? 'Yes' : 'No'}`);
+        logger.info(`Upload mode: ${options.direct ? 'Direct to PeerTube' : 'R2 import'}`);
+        if (!options.direct) {
+          logger.info(`Keep R2 file: ${keepR2File ? 'Yes' : 'No'}`);
+        }
         logger.info(`Max wait time: ${maxWaitMinutes} minutes`);
         if (subtitleTrack !== null) {
           logger.info(`Subtitle track: ${subtitleTrack}`);
@@ -387,7 +536,9 @@ rssCommand
             keepR2File,
             animeId,
             subtitleTrack,
-            useTitle: options.useTitle
+            useTitle: options.useTitle,
+            direct: options.direct,
+            captions: options.captions
           };
 
           logger.header(`Processing: ${fileInfo.fileName}`);
@@ -439,8 +590,8 @@ rssCommand
 rssCommand
   .command('auto')
   .description('Automatically download and upload latest episodes from RSS feed (runs continuously)')
-  .option('--debug, -d', 'debug output')
-  .option('--quiet, -q', 'quiet mode')
+  .option('-d, --debug', 'debug output')
+  .option('-q, --quiet', 'quiet mode')
   .option('--limit <number>', 'maximum number of episodes to process per check', '25')
   .option('--interval <minutes>', 'check interval in minutes', '2')
   .option('--channel <id>', 'PeerTube channel ID')
@@ -448,7 +599,9 @@ rssCommand
   .option('--password <password>', 'video password')
   .option('--wait <minutes>', 'max wait time for processing', '120')
   .option('--keep-r2', 'keep file in R2 after import')
+  .option('--direct', 'upload straight to PeerTube with the resumable upload API instead of importing from R2')
   .option('--track <number>', 'subtitle track number for extraction')
+  .option('--captions', 'also upload extracted subtitles to PeerTube as player captions (WebVTT)')
   .option('--use-title', 'use the title of the video for the upload name')
   .option('--dry-run', 'show what would be processed without downloading (single run)')
   .option('--single-run', 'run once instead of continuously')
@@ -457,14 +610,18 @@ rssCommand
   .option('--memory-cleanup', 'force garbage collection and memory cleanup between episodes')
   .option('--no-seeding', 'disable seeding to reduce network connections (recommended for ENOBUFS issues)')
   .option('--hevc', 'include HEVC episodes in search results')
+  .option('--feed <name>', 'only use the configured feed with this name')
+  .option('--no-control', 'disable the local control socket used by "rss status"')
+  .option('--all', 'process every show in the feeds instead of only the watchlist')
+  .option('--upgrade', 're-import episodes when a higher ranked release appears, replacing the PeerTube video')
+  .option('--concurrency <stages>', 'parallel episodes per pipeline stage, e.g. download=2,upload=1,import=4', 'download=1,upload=1,import=1')
+  .option('--max-in-flight <number>', 'episodes downloaded but not yet finished at once (default: sum of the stage limits)')
   .action(async (options) => {
-    const logger = new Logger({ 
-      verbose: options.debug || false,
-      quiet: options.quiet || false
-    });
+    const context = CommandContext.fromCommand(rssCommand);
+    const logger = context.createLogger(options);
 
     try {
-      const config = new ConfigManager();
+      const config = context.config;
       config.validateRequired();
       
       const dbConfig = config.getDatabaseConfig();
@@ -516,6 +673,58 @@ rssCommand
         process.exit(1);
       }
 
+      let concurrency;
+      try {
+        concurrency = ConcurrencyLimiter.parseStageLimits(options.concurrency, PIPELINE_STAGES);
+      } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+      }
+
+      // Without a cap the download stage runs ahead of slow imports and fills the disk
+      const maxInFlight = options.maxInFlight !== undefined
+        ? Number(options.maxInFlight)
+        : PIPELINE_STAGES.reduce((sum, stage) => sum + concurrency[stage], 0);
+      let inFlight;
+      try {
+        inFlight = new ConcurrencyLimiter(maxInFlight);
+      } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+      }
+
+      const feedService = new FeedService({ logger });
+      const feeds = feedService.prepareFeeds(config.getRssFeeds(), { feed: options.feed, includeHevc: options.hevc });
+      const rankingService = new ReleaseRankingService(config.getReleaseRankingConfig());
+
+      if (feeds.length === 0) {
+        logger.error('No RSS feeds are enabled');
+        process.exit(1);
+      }
+
+      for (const feed of feeds) {
+        if (feed.privacy && !Validators.isValidPrivacyLevel(feed.privacy)) {
+          logger.error(`Invalid privacy level for feed ${feed.name} (must be 1-5)`);
+          process.exit(1);
+        }
+        if (feed.subtitleTrack !== null && !Validators.isValidSubtitleTrack(feed.subtitleTrack)) {
+          logger.error(`Invalid subtitle track for feed ${feed.name}`);
+          process.exit(1);
+        }
+      }
+
+      // Explicit CLI options win over watchlist and per-feed defaults, which win over the global config
+      const getUploadDefaults = (feedName, show = null) => {
+        const feed = feeds.find(f => f.name === feedName) || {};
+        return {
+          channelId: options.channel ? channelId : (feed.channelId || channelId),
+          privacy: options.privacy ? privacy : (feed.privacy || privacy),
+          subtitleTrack: options.track !== undefined ? subtitleTrack : (show?.subtitleTrack ?? feed.subtitleTrack ?? subtitleTrack),
+          useTitle: options.useTitle || show?.useTitle || false,
+          episodeOffset: show?.episodeOffset || 0
+        };
+      };
+
       if (options.killExisting) {
         logger.info('🔄 Cleaning up existing torrent processes...');
         await TorrentService.killExistingProcesses();
@@ -528,11 +737,17 @@ rssCommand
       }
 
       logger.header('RSS Auto Download & Upload');
+      logger.info(`Feeds: ${feeds.map(feed => chalk.cyan(feed.name)).join(', ')}`);
       logger.info(`Episode limit per check: ${episodeLimit}`);
       logger.info(`Channel ID: ${channelId}`);
       logger.info(`Privacy: ${privacy}`);
-      logger.info(`Keep R2 file: ${keepR2File ? 'Yes' : 'No'}`);
+      logger.info(`Upload mode: ${options.direct ? 'Direct to PeerTube' : 'R2 import'}`);
+      if (!options.direct) {
+        logger.info(`Keep R2 file: ${keepR2File ? 'Yes' : 'No'}`);
+      }
       logger.info(`Max wait time: ${maxWaitMinutes} minutes`);
+      logger.info(`Concurrency: ${PIPELINE_STAGES.map(stage => `${stage}=${concurrency[stage]}`).join(', ')}`);
+      logger.info(`Max episodes in flight: ${maxInFlight}`);
       if (subtitleTrack !== null) {
         logger.info(`Subtitle track: ${subtitleTrack}`);
       } else {
@@ -551,6 +766,10 @@ rssCommand
         logger.info('📺 HEVC: Disabled (will exclude HEVC episodes)');
       }
       
+      if (options.upgrade) {
+        logger.info('⬆️  Upgrade: Enabled (higher ranked releases replace existing episodes)');
+      }
+      
       if (options.dryRun) {
         logger.info('Mode: Dry run (single check)');
       } else if (isContinuous) {
@@ -561,12 +780,54 @@ rssCommand
       logger.separator();
 
       const uploadService = new UploadService(config, logger);
-      let lastTorrentService = null;
+      // Every download shares one client so parallel downloads don't each open their own port and peers
+      const torrentService = new TorrentService({ logger });
+      const limiters = Object.fromEntries(
+        PIPELINE_STAGES.map(stage => [stage, new ConcurrencyLimiter(concurrency[stage])])
+      );
       let totalProcessed = 0;
       let totalSuccessful = 0;
       let totalFailed = 0;
       let runCount = 0;
 
+      const jobQueue = new JobQueueService({ jobsFile: config.getJobsFile(), logger });
+      await jobQueue.load();
+      await jobQueue.prune();
+
+      const unfinishedJobs = jobQueue.getPendingJobs();
+      if (unfinishedJobs.length > 0 && !options.dryRun) {
+        logger.info(`♻️  Resuming ${unfinishedJobs.length} unfinished job(s) from a previous session`);
+        unfinishedJobs.forEach(job => {
+          logger.verbose(`${job.episode.title} (${job.state})`, 1);
+        });
+        logger.separator();
+      }
+
+      const torrentServices = [torrentService];
+      const session = {
+        paused: false,
+        checking: false,
+        checkRequested: false,
+        nextCheckAt: null
+      };
+      let wakeUp = null;
+
+      // Resolves after the given delay, or earlier when "rss status" asks for a check or resume
+      const waitForWakeUp = (delay = null) => new Promise(resolve => {
+        if (session.checkRequested) {
+          resolve();
+          return;
+        }
+
+        const timer = delay !== null ? setTimeout(() => done(), delay) : null;
+        const done = () => {
+          clearTimeout(timer);
+          wakeUp = null;
+          resolve();
+        };
+        wakeUp = done;
+      });
+
       const processEpisodes = async () => {
         runCount++;
         const runStartTime = new Date();
@@ -591,42 +852,66 @@ rssCommand
         }
         
         try {
-          const toshoSpinner = ora('Fetching from AnimeToSho RSS...').start();
-          
-          const toshoData = await fetchWithRetry(buildToshoUrl(options.hevc));
-          toshoSpinner.succeed('AnimeToSho data fetched successfully');
+          const latestEpisodes = await fetchFeedEpisodes(feedService, feeds, episodeLimit, logger);
           
-          if (!toshoData || !Array.isArray(toshoData) || toshoData.length === 0) {
-            logger.info('No episodes found in AnimeToSho RSS feed');
+          if (latestEpisodes.length === 0 && jobQueue.getPendingJobs().length === 0) {
+            logger.info('No episodes found in the configured RSS feeds');
             return { processed: 0, successful: 0, failed: 0 };
           }
           
-          const latestEpisodes = toshoData.slice(0, episodeLimit);
           logger.info(`Found ${latestEpisodes.length} episodes in RSS`);
           
+          // A watchlist that fails to load fails the check, so it never falls back to uploading everything
+          const watchlist = await loadWatchlist(config, logger);
+          if (options.all) {
+            logger.info('Watchlist: ignored (--all), every show in the feeds is processed');
+          } else if (watchlist.size > 0) {
+            logger.info(`Watchlist: following ${watchlist.size} shows`);
+          } else {
+            logger.warning('Watchlist is empty, so no new episodes are processed. Add shows with "rss watch add <anilist-id>" or run with --all');
+          }
+          
           const filterSpinner = ora('Filtering duplicate episodes...').start();
-          const filteredEpisodes = await filterDuplicateEpisodes(latestEpisodes, logger);
+          const filteredEpisodes = await filterDuplicateEpisodes(latestEpisodes, logger, options.all ? null : watchlist, rankingService);
           filterSpinner.succeed(`Filtered to ${filteredEpisodes.length} unique episodes`);
           
           const checkSpinner = ora('Checking for existing episodes...').start();
           const episodesToProcess = [];
           
           try {
+            let upgradeCount = 0;
+            
             for (const episode of filteredEpisodes) {
-              const exists = await checkEpisodeExists(episode, dbService, logger);
-              if (!exists) {
+              const existingEpisode = await findExistingEpisode(episode, dbService, logger, watchlist);
+              if (!existingEpisode) {
+                episodesToProcess.push(episode);
+                continue;
+              }
+              
+              const previousRelease = options.upgrade
+                ? jobQueue.getRelease(`${episode.anilistId}_${episode.episodeNumber}`)
+                : null;
+              
+              // Only releases imported by rss auto have a recorded score to compare against
+              if (previousRelease && previousRelease.infoHash !== episode.info_hash && episode.score > previousRelease.score) {
+                episode.upgrade = {
+                  previousVideoId: existingEpisode.peertubeId,
+                  previousTitle: previousRelease.title,
+                  previousScore: previousRelease.score
+                };
                 episodesToProcess.push(episode);
+                upgradeCount++;
               } else {
                 logger.verbose(`Episode already exists: ${episode.title}`);
               }
             }
-            checkSpinner.succeed(`Found ${episodesToProcess.length} new episodes to process`);
+            checkSpinner.succeed(`Found ${episodesToProcess.length} new episodes to process${upgradeCount > 0 ? ` (${upgradeCount} upgrades)` : ''}`);
           } catch (error) {
             checkSpinner.fail('Failed to check existing episodes');
             throw error;
           }
           
-          if (episodesToProcess.length === 0) {
+          if (options.dryRun && episodesToProcess.length === 0) {
             logger.info('No new episodes to process');
             return { processed: 0, successful: 0, failed: 0 };
           }
@@ -637,6 +922,11 @@ rssCommand
             for (let index = 0; index < episodesToProcess.length; index++) {
               const episode = episodesToProcess[index];
               logger.info(`${index + 1}. ${chalk.cyan(episode.title)}`);
+              logger.info(`   Feed: ${chalk.white(episode.feed)}`);
+              logger.info(`   Score: ${chalk.yellow(episode.score)}`);
+              if (episode.upgrade) {
+                logger.info(`   Upgrade: ${chalk.magenta(`replaces ${episode.upgrade.previousTitle} (score ${episode.upgrade.previousScore})`)}`);
+              }
               logger.info(`   Size: ${chalk.blue((episode.total_size / 1024 / 1024 / 1024).toFixed(2) + ' GB')}`);
               logger.info(`   Seeders: ${chalk.green(episode.seeders)} | Leechers: ${chalk.red(episode.leechers)}`);
               
@@ -676,60 +966,155 @@ rssCommand
             return { processed: episodesToProcess.length, successful: 0, failed: 0 };
           }
 
+          for (const episode of episodesToProcess) {
+            const jobId = getEpisodeJobId(episode);
+            const existingJob = jobQueue.getJob(jobId);
+
+            if (existingJob && existingJob.state === JOB_STATES.FAILED && !jobQueue.isRetryable(existingJob)) {
+              logger.verbose(`Skipping episode after ${existingJob.attempts} failed attempts: ${episode.title}`);
+              continue;
+            }
+
+            await jobQueue.enqueue(jobId, toJobEpisode(episode));
+          }
+
+          const jobsToProcess = jobQueue.getPendingJobs();
+
+          if (jobsToProcess.length === 0) {
+            logger.info('No new episodes to process');
+            return { processed: 0, successful: 0, failed: 0 };
+          }
+
           logger.header('Processing Episodes');
           
           let successCount = 0;
           let errorCount = 0;
+          let startedCount = 0;
+          let stopScheduling = false;
           
-          for (let i = 0; i < episodesToProcess.length; i++) {
-            const episode = episodesToProcess[i];
-            
-            logger.step(`📥 [${i + 1}/${episodesToProcess.length}]`, `Processing: ${episode.title}`);
-            logger.info(`Size: ${chalk.blue((episode.total_size / 1024 / 1024 / 1024).toFixed(2) + ' GB')}`);
-            logger.info(`Seeders: ${chalk.green(episode.seeders)} | Leechers: ${chalk.red(episode.leechers)}`);
-            
-            let torrentService = null;
+          // Each job flows through download -> upload -> import, and each stage admits a limited number of episodes at once
+          const processJob = (queuedJob, index) => inFlight.run(async () => {
+            const label = `[${index + 1}/${jobsToProcess.length}]`;
+            let job = null;
+            let episode = queuedJob.episode;
             let fileInfo = null;
             
             try {
-              const aniZipService = new AniZipService();
-              const anizipData = await aniZipService.getAnimeMappingsByAniDbId(episode.anidb_aid);
-              
-              if (!anizipData || !anizipData.mappings || !anizipData.mappings.anilist_id) {
-                throw new Error('No AniList ID found in ani.zip mapping');
+              const downloaded = await limiters.download.run(async () => {
+                // Jobs that never started stay queued for the next check
+                if (stopScheduling || isShuttingDown) {
+                  return false;
+                }
+                
+                job = await jobQueue.start(queuedJob.id);
+                episode = job.episode;
+                startedCount++;
+                
+                logger.step(`📥 ${label}`, `Processing: ${episode.title}`);
+                logger.info(`Size: ${chalk.blue((episode.total_size / 1024 / 1024 / 1024).toFixed(2) + ' GB')}`);
+                logger.info(`Seeders: ${chalk.green(episode.seeders)} | Leechers: ${chalk.red(episode.leechers)}`);
+                if (episode.upgrade) {
+                  logger.info(`Upgrade: replaces ${chalk.magenta(episode.upgrade.previousTitle)} (PeerTube video ${episode.upgrade.previousVideoId})`);
+                }
+                if (job.state !== JOB_STATES.QUEUED) {
+                  logger.info(`Resuming from stage: ${chalk.yellow(job.state)} (attempt ${job.attempts})`);
+                }
+                
+                let animeId = job.data.animeId;
+
+                if (!animeId) {
+                  const aniZipService = new AniZipService();
+                  const anizipData = await aniZipService.getAnimeMappingsByAniDbId(episode.anidb_aid);
+                  
+                  if (!anizipData || !anizipData.mappings || !anizipData.mappings.anilist_id) {
+                    throw new Error('No AniList ID found in ani.zip mapping');
+                  }
+                  
+                  animeId = anizipData.mappings.anilist_id;
+                }
+
+                if (job.state === JOB_STATES.QUEUED) {
+                  await jobQueue.updateState(job.id, JOB_STATES.DOWNLOADING, { animeId });
+                }
+                
+                // Re-adding a partially or fully downloaded torrent only verifies the pieces already on disk
+                // Pinned until this job is done, so seeding eviction never deletes a file still to be uploaded
+                const downloadResult = await uploadService.downloadFromTorrent(
+                  episode.torrent_url, 
+                  logger, 
+                  { keepSeeding: !options.noSeeding, torrentService, pin: true }
+                );
+                
+                fileInfo = downloadResult.fileInfo;
+
+                if (job.state === JOB_STATES.DOWNLOADING) {
+                  await jobQueue.updateState(job.id, JOB_STATES.DOWNLOADING, {
+                    filePath: fileInfo.resolvedPath,
+                    torrentHash: fileInfo.torrentHash
+                  });
+                }
+
+                return true;
+              });
+
+              if (!downloaded) {
+                return;
               }
-              
-              const animeId = anizipData.mappings.anilist_id;
-              
-              const downloadResult = await uploadService.downloadFromTorrent(
-                episode.torrent_url, 
-                logger, 
-                { keepSeeding: !options.noSeeding }
-              );
-              
-              fileInfo = downloadResult.fileInfo;
-              torrentService = downloadResult.torrentService;
-              lastTorrentService = torrentService;
 
+              const animeId = job.data.animeId;
               const uploadOptions = {
-                channelId,
-                privacy,
+                ...getUploadDefaults(episode.feed, watchlist.get(animeId)),
                 videoPassword,
                 maxWaitMinutes,
                 keepR2File,
                 animeId,
-                subtitleTrack,
-                useTitle: options.useTitle
+                direct: options.direct,
+                captions: options.captions,
+                resume: { ...job.data },
+                onStage: (state, data) => jobQueue.updateState(job.id, state, data),
+                runStage: (stage, task) => limiters[stage].run(task)
               };
               
               const result = await uploadService.processFileUpload(fileInfo, uploadOptions);
+
+              if (!result.video) {
+                throw new Error(`PeerTube import did not complete: ${result.finalState}`);
+              }
               
+              torrentService.unpinFile(fileInfo.resolvedPath);
               await uploadService.cleanupTorrentFile(fileInfo, torrentService, false);
 
-              logger.success(`✅ Episode ${i + 1} completed successfully!`);
+              if (episode.upgrade && episode.upgrade.previousVideoId && String(episode.upgrade.previousVideoId) !== String(result.video.id)) {
+                if (result.episodeRegistered) {
+                  const deleteSpinner = ora(`Deleting replaced PeerTube video ${episode.upgrade.previousVideoId}...`).start();
+                  try {
+                    const peertubeService = new PeerTubeService(config.getPeerTubeConfig());
+                    await peertubeService.deleteVideo(episode.upgrade.previousVideoId);
+                    deleteSpinner.succeed(`Replaced PeerTube video ${episode.upgrade.previousVideoId} deleted`);
+                  } catch (deleteError) {
+                    deleteSpinner.fail(`Failed to delete replaced video: ${deleteError.message}`);
+                  }
+                } else {
+                  logger.warning(`Episode record was not updated, keeping previous PeerTube video ${episode.upgrade.previousVideoId}`);
+                }
+              }
+
+              await jobQueue.markDone(job.id, { videoId: result.video.id });
+
+              if (episode.anilistId && result.episodeRegistered) {
+                await jobQueue.recordRelease(`${episode.anilistId}_${episode.episodeNumber}`, {
+                  title: episode.title,
+                  infoHash: episode.info_hash,
+                  score: episode.score,
+                  videoId: result.video.id
+                });
+              }
+
+              logger.success(`✅ Episode ${label} completed successfully: ${episode.title}`);
               logger.info(`Video ID: ${result.video.id}`);
               logger.info(`Watch URL: ${result.video.url}`);
               logger.info(`Embed URL: ${result.video.url.replace('/w/', '/videos/embed/')}`);
+              logger.separator();
               
               successCount++;
               
@@ -747,18 +1132,45 @@ rssCommand
                 
                 // Clean up any temporary variables
                 fileInfo = null;
-                torrentService = null;
                 
                 // Small delay to allow cleanup
                 await new Promise(resolve => setTimeout(resolve, 1000));
               }
               
             } catch (error) {
-              logger.error(`❌ Episode ${i + 1} failed: ${error.message}`);
+              logger.error(`❌ Episode ${label} failed: ${episode.title}: ${error.message}`);
+
+              let failedJob = null;
+              if (job) {
+                try {
+                  failedJob = await jobQueue.markFailed(job.id, error);
+                } catch (jobError) {
+                  logger.warning(`Failed to record job failure: ${jobError.message}`);
+                }
+              }
+
+              // A failed import keeps its S3 file for the retry, which reuses it; without retries left nothing will
+              if (failedJob && failedJob.data.r2Key && !keepR2File && !jobQueue.isRetryable(failedJob)) {
+                try {
+                  await uploadService.discardKeptUpload(failedJob.data.r2Key);
+                  await jobQueue.updateState(job.id, JOB_STATES.FAILED, { r2Key: null, publicUrl: null, videoUrl: null });
+                } catch (cleanupError) {
+                  logger.warning(`Failed to delete S3 file ${failedJob.data.r2Key}: ${cleanupError.message}`);
+                }
+              }
               
-              if (fileInfo && torrentService) {
+              const diskSpaceError = TorrentService.isDiskSpaceError(error);
+
+              // Other episodes still read their files from the shared download directory, so only this one's are removed
+              if (fileInfo) {
+                torrentService.unpinFile(fileInfo.resolvedPath);
                 try {
-                  await uploadService.cleanupTorrentFile(fileInfo, torrentService, false);
+                  if (diskSpaceError && fileInfo.downloadedFromTorrent) {
+                    await torrentService.removeDownload(fileInfo.torrentHash, fileInfo.resolvedPath);
+                    logger.info(`Removed downloaded file: ${fileInfo.fileName}`);
+                  } else {
+                    await uploadService.cleanupTorrentFile(fileInfo, torrentService, false);
+                  }
                 } catch (cleanupError) {
                   logger.warning(`Failed to cleanup torrent file: ${cleanupError.message}`);
                 }
@@ -766,31 +1178,45 @@ rssCommand
               
               errorCount++;
               
-              if (error.message.includes('ENOSPC') || error.message.includes('disk space')) {
-                logger.error('🚨 Disk space issue detected. Cleaning up download directory...');
-                
-                if (lastTorrentService) {
-                  try {
-                    await lastTorrentService.cleanupDownloadDirectory();
-                    logger.info('Download directory cleaned up');
-                  } catch (cleanupError) {
-                    logger.warning(`Failed to cleanup download directory: ${cleanupError.message}`);
-                  }
-                }
-                
-                logger.warning('Stopping processing due to disk space issues');
-                break;
+              if (diskSpaceError && !stopScheduling) {
+                stopScheduling = true;
+                logger.error('🚨 Disk space issue detected');
+                logger.warning('Stopping processing due to disk space issues (episodes already in progress will finish, then the download directory is cleaned up)');
+
+                await uploadService.notificationService.notify(NotificationService.EVENTS.DISK_SPACE_STOP, {
+                  title: episode.title,
+                  error: error.message,
+                  check: runCount,
+                  queuedJobs: jobQueue.getPendingJobs().length
+                });
               }
               
               if (options.debug) {
                 console.error(error);
               }
+              
+              logger.separator();
+            } finally {
+              if (fileInfo) {
+                torrentService.unpinFile(fileInfo.resolvedPath);
+              }
+            }
+          });
+          
+          await Promise.all(jobsToProcess.map((job, index) => processJob(job, index)));
+
+          if (stopScheduling) {
+            logger.info('Cleaning up download directory...');
+            try {
+              const stopped = await torrentService.stopAllSeeding();
+              await torrentService.cleanupDownloadDirectory();
+              logger.info(`Download directory cleaned up${stopped > 0 ? ` (stopped seeding ${stopped} files)` : ''}`);
+            } catch (cleanupError) {
+              logger.warning(`Failed to cleanup download directory: ${cleanupError.message}`);
             }
-            
-            logger.separator();
           }
 
-          return { processed: episodesToProcess.length, successful: successCount, failed: errorCount };
+          return { processed: startedCount, successful: successCount, failed: errorCount };
           
         } catch (error) {
           logger.error(`Check #${runCount} failed: ${error.message}`);
@@ -809,18 +1235,95 @@ rssCommand
         }
       };
 
+      const getActiveTorrentServices = () => torrentServices.filter(service => service.getSeedingStatus().length > 0);
+
+      let controlService = null;
+      if (options.control && !options.dryRun) {
+        controlService = new ControlService({ socketPath: config.getControlSocketPath(), logger });
+
+        await controlService.start({
+          'GET /status': () => ({
+            pid: process.pid,
+            mode: isContinuous ? 'continuous' : 'single-run',
+            paused: session.paused,
+            checking: session.checking,
+            nextCheckAt: session.nextCheckAt,
+            runCount,
+            totals: { processed: totalProcessed, successful: totalSuccessful, failed: totalFailed },
+            ...collectSeedingStatus(getActiveTorrentServices())
+          }),
+          'POST /stop': async (hash) => {
+            if (!hash) {
+              throw new Error('Torrent hash is required');
+            }
+
+            const matches = getActiveTorrentServices().flatMap(service =>
+              service.getSeedingStatus()
+                .filter(torrent => torrent.hash.startsWith(hash.toLowerCase()))
+                .map(torrent => ({ service, torrent }))
+            );
+
+            if (matches.length === 0) {
+              throw new Error(`No seeding torrent matches hash: ${hash}`);
+            }
+            if (matches.length > 1) {
+              throw new Error(`Hash prefix is ambiguous, matches ${matches.length} torrents: ${hash}`);
+            }
+
+            const { service, torrent } = matches[0];
+            await service.stopSeeding(torrent.hash);
+            logger.info(`🛑 Stopped seeding via control socket: ${torrent.fileName}`);
+            return { stopped: [torrent.fileName] };
+          },
+          'POST /stop-all': async () => {
+            const stopped = [];
+            for (const service of getActiveTorrentServices()) {
+              for (const torrent of service.getSeedingStatus()) {
+                await service.stopSeeding(torrent.hash);
+                stopped.push(torrent.fileName);
+              }
+            }
+            logger.info(`🛑 Stopped seeding ${stopped.length} torrents via control socket`);
+            return { stopped };
+          },
+          'POST /pause': () => {
+            session.paused = true;
+            logger.info('⏸️  Polling paused via control socket');
+            return { paused: true };
+          },
+          'POST /resume': () => {
+            session.paused = false;
+            logger.info('▶️  Polling resumed via control socket');
+            if (wakeUp) {
+              wakeUp();
+            }
+            return { paused: false };
+          },
+          'POST /check': () => {
+            session.checkRequested = true;
+            logger.info('🔔 Immediate check requested via control socket');
+            if (wakeUp) {
+              wakeUp();
+            }
+            return { queued: session.checking, checkRequested: true };
+          }
+        });
+      }
+
       // Handle graceful shutdown
       let isShuttingDown = false;
       const shutdown = () => {
         if (!isShuttingDown) {
           isShuttingDown = true;
           logger.info('\n🛑 Shutting down gracefully...');
+
+          if (controlService) {
+            controlService.close();
+          }
           
-          if (lastTorrentService) {
-            const seedingStatus = lastTorrentService.getSeedingStatus();
-            if (seedingStatus.length > 0) {
-              logger.info(`Currently seeding ${seedingStatus.length} torrents - they will continue in background`);
-            }
+          const { seedingStatus } = collectSeedingStatus(getActiveTorrentServices());
+          if (seedingStatus.length > 0) {
+            logger.info(`Currently seeding ${seedingStatus.length} torrents - they will continue in background`);
           }
           
           logger.header('Final Summary');
@@ -845,38 +1348,20 @@ rssCommand
         totalSuccessful += result.successful;
         totalFailed += result.failed;
         
-                  if (lastTorrentService) {
-            const seedingStatus = lastTorrentService.getSeedingStatus();
-            const seedingStats = lastTorrentService.getSeedingStats();
-            
-            if (seedingStatus.length > 0) {
-              logger.info(`Currently seeding: ${chalk.blue(seedingStats.totalFiles)}/${chalk.blue(seedingStats.maxFiles)} torrents`);
-              logger.info(`Total disk usage: ${chalk.white(lastTorrentService.formatBytes(seedingStats.totalSize))}`);
-              logger.info(`Total uploaded: ${chalk.green(lastTorrentService.formatBytes(seedingStats.totalUploaded))}`);
-              logger.info(`Average ratio: ${chalk.yellow(seedingStats.avgRatio.toFixed(2))}`);
-              logger.separator();
-              
-              logger.info('Seeding Status:');
-              seedingStatus.forEach((torrent, index) => {
-                logger.info(`${index + 1}. ${chalk.cyan(torrent.fileName)}`);
-                logger.info(`   Hash: ${chalk.gray(torrent.hash.substring(0, 16))}...`);
-                logger.info(`   Ratio: ${chalk.yellow(torrent.ratio.toFixed(2))}`);
-                logger.info(`   Uploaded: ${chalk.green(lastTorrentService.formatBytes(torrent.uploaded))}`);
-                logger.info(`   Downloaded: ${chalk.blue(lastTorrentService.formatBytes(torrent.downloaded))}`);
-                if (torrent.fileSize) {
-                  logger.info(`   File Size: ${chalk.white(lastTorrentService.formatBytes(torrent.fileSize))}`);
-                }
-                logger.info(`   Added: ${chalk.blue(torrent.addedAt.toLocaleString())}`);
-              });
-              logger.separator();
-              
-              logger.info('📁 Seeding Management:');
-              logger.info('• Physical files are kept on disk for seeding');
-              logger.info('• Maximum concurrent seeding: 10 torrents');
-              logger.info('• When limit exceeded: oldest torrents are stopped and files deleted');
-              logger.info('• Files remain available for sharing until replaced by newer downloads');
-            }
+        const { seedingStatus, seedingStats } = collectSeedingStatus(getActiveTorrentServices());
+
+        if (seedingStatus.length > 0) {
+          printSeedingStatus(logger, seedingStatus, seedingStats);
+          
+          logger.info('📁 Seeding Management:');
+          logger.info('• Physical files are kept on disk for seeding');
+          logger.info('• Maximum concurrent seeding: 10 torrents');
+          logger.info('• When limit exceeded: oldest torrents are stopped and files deleted');
+          logger.info('• Files remain available for sharing until replaced by newer downloads');
+          if (controlService) {
+            logger.info('• Use "anitorrent rss status" from another terminal to manage seeding');
           }
+        }
         
         logger.success(options.dryRun ? 'Dry run completed!' : 'Single run completed!');
       } else {
@@ -886,25 +1371,29 @@ rssCommand
         logger.separator();
         
         while (!isShuttingDown) {
-          const result = await processEpisodes();
-          totalProcessed += result.processed;
-          totalSuccessful += result.successful;
-          totalFailed += result.failed;
-          
-          if (result.processed > 0) {
-            logger.info(`Session totals: ${totalProcessed} processed, ${chalk.green(totalSuccessful)} successful, ${chalk.red(totalFailed)} failed`);
+          if (!session.paused || session.checkRequested) {
+            session.checkRequested = false;
+            session.checking = true;
+            session.nextCheckAt = null;
+
+            const result = await processEpisodes();
+            session.checking = false;
+            totalProcessed += result.processed;
+            totalSuccessful += result.successful;
+            totalFailed += result.failed;
             
-            if (lastTorrentService) {
-              const seedingStats = lastTorrentService.getSeedingStats();
+            if (result.processed > 0) {
+              logger.info(`Session totals: ${totalProcessed} processed, ${chalk.green(totalSuccessful)} successful, ${chalk.red(totalFailed)} failed`);
+              
+              const { seedingStatus, seedingStats } = collectSeedingStatus(getActiveTorrentServices());
               if (seedingStats.totalFiles > 0) {
-                logger.info(`Currently seeding: ${chalk.blue(seedingStats.totalFiles)}/${chalk.blue(seedingStats.maxFiles)} torrents (${chalk.white(lastTorrentService.formatBytes(seedingStats.totalSize))} total)`);
+                logger.info(`Currently seeding: ${chalk.blue(seedingStats.totalFiles)}/${chalk.blue(seedingStats.maxFiles)} torrents (${chalk.white(TorrentService.prototype.formatBytes(seedingStats.totalSize))} total)`);
                 
                 if (options.debug) {
-                  const seedingStatus = lastTorrentService.getSeedingStatus();
                   logger.info('📁 Active seeding files:');
                   seedingStatus.forEach((torrent, index) => {
                     logger.info(`   ${index + 1}. ${chalk.cyan(torrent.fileName)}`);
-                    logger.info(`      Ratio: ${chalk.yellow(torrent.ratio.toFixed(2))} | Uploaded: ${chalk.green(lastTorrentService.formatBytes(torrent.uploaded))}`);
+                    logger.info(`      Ratio: ${chalk.yellow(torrent.ratio.toFixed(2))} | Uploaded: ${chalk.green(TorrentService.prototype.formatBytes(torrent.uploaded))}`);
                   });
                 }
               }
@@ -912,11 +1401,19 @@ rssCommand
           }
           
           if (!isShuttingDown) {
-            const nextCheck = new Date(Date.now() + checkInterval);
-            logger.info(`⏰ Next check in ${options.interval} minutes (${nextCheck.toLocaleTimeString()})`);
-            logger.separator();
-            
-            await new Promise(resolve => setTimeout(resolve, checkInterval));
+            if (session.paused) {
+              logger.info('⏸️  Polling paused - waiting for "rss status --resume" or "--check-now"');
+              logger.separator();
+
+              await waitForWakeUp();
+            } else {
+              const nextCheck = new Date(Date.now() + checkInterval);
+              session.nextCheckAt = nextCheck.toISOString();
+              logger.info(`⏰ Next check in ${options.interval} minutes (${nextCheck.toLocaleTimeString()})`);
+              logger.separator();
+              
+              await waitForWakeUp(checkInterval);
+            }
           }
         }
       }
@@ -932,37 +1429,77 @@ rssCommand
 
 rssCommand
   .command('status')
-  .description('Show seeding status and manage active torrents')
-  .option('--debug, -d', 'debug output')
-  .option('--quiet, -q', 'quiet mode')
-  .option('--stop <hash>', 'stop seeding specific torrent by hash')
+  .description('Show seeding status and manage a running rss auto session')
+  .option('-d, --debug', 'debug output')
+  .option('-q, --quiet', 'quiet mode')
+  .option('--stop <hash>', 'stop seeding specific torrent by hash (or hash prefix)')
   .option('--stop-all', 'stop seeding all torrents')
+  .option('--pause', 'pause RSS polling')
+  .option('--resume', 'resume RSS polling')
+  .option('--check-now', 'trigger an immediate RSS check')
   .action(async (options) => {
-    const logger = new Logger({ 
-      verbose: options.debug || false,
-      quiet: options.quiet || false
-    });
+    const context = CommandContext.fromCommand(rssCommand);
+    const logger = context.createLogger(options);
 
     try {
-      logger.header('Torrent Seeding Status');
-      
-      const config = new ConfigManager();
-      const uploadService = new UploadService(config, logger);
-      
-      logger.info('Note: Seeding status is only available during active RSS auto sessions');
-      logger.info('To view current seeding status, run this command during an active RSS auto process');
-      
+      const config = context.config;
+      const controlService = new ControlService({ socketPath: config.getControlSocketPath(), logger });
+
+      if (options.stop) {
+        const result = await controlService.send('POST', `/stop/${encodeURIComponent(options.stop)}`);
+        logger.success(`Stopped seeding: ${result.stopped.join(', ')}`);
+      }
+
       if (options.stopAll) {
-        logger.info('Stop-all functionality requires active torrent service instance');
-        logger.warning('This feature is only available during active RSS auto sessions');
+        const result = await controlService.send('POST', '/stop-all');
+        logger.success(`Stopped seeding ${result.stopped.length} torrents`);
       }
-      
-      if (options.stop) {
-        logger.info(`Stop torrent ${options.stop} functionality requires active torrent service instance`);
-        logger.warning('This feature is only available during active RSS auto sessions');
+
+      if (options.pause) {
+        await controlService.send('POST', '/pause');
+        logger.success('RSS polling paused');
       }
-      
-      logger.success('For real-time seeding management, use the RSS auto command with debug mode');
+
+      if (options.resume) {
+        await controlService.send('POST', '/resume');
+        logger.success('RSS polling resumed');
+      }
+
+      if (options.checkNow) {
+        const result = await controlService.send('POST', '/check');
+        logger.success(result.queued ? 'Check in progress, another check will run right after it' : 'Immediate check triggered');
+      }
+
+      const status = await controlService.send('GET', '/status');
+
+      logger.header('RSS Auto Session');
+      logger.info(`PID: ${chalk.white(status.pid)}`);
+      logger.info(`Mode: ${chalk.white(status.mode)}`);
+
+      if (status.checking) {
+        logger.info(`Polling: ${chalk.blue('checking now')}`);
+      } else if (status.paused) {
+        logger.info(`Polling: ${chalk.yellow('paused')}`);
+      } else {
+        logger.info(`Polling: ${chalk.green('active')}`);
+      }
+
+      if (status.nextCheckAt) {
+        logger.info(`Next check: ${chalk.blue(new Date(status.nextCheckAt).toLocaleTimeString())}`);
+      }
+
+      logger.info(`Checks performed: ${status.runCount}`);
+      logger.info(`Episodes: ${status.totals.processed} processed, ${chalk.green(status.totals.successful)} successful, ${chalk.red(status.totals.failed)} failed`);
+      logger.separator();
+
+      logger.header('Torrent Seeding Status');
+
+      if (status.seedingStatus.length === 0) {
+        logger.info('No torrents are currently seeding');
+        return;
+      }
+
+      printSeedingStatus(logger, status.seedingStatus, status.seedingStats);
       
     } catch (error) {
       logger.error(`Status check failed: ${error.message}`);
@@ -973,4 +1510,194 @@ rssCommand
     }
   });
 
+const watchCommand = new Command('watch');
+watchCommand.description('Manage the list of shows followed by rss auto');
+
+watchCommand
+  .command('add <anilist-id>')
+  .description('Follow a show, or update its overrides if already followed')
+  .option('-d, --debug', 'debug output')
+  .option('-q, --quiet', 'quiet mode')
+  .option('--title <title>', 'display title for the show')
+  .option('--track <number>', 'subtitle track number for this show')
+  .option('--use-title', 'use the episode title for the upload name')
+  .option('--no-use-title', 'do not use the episode title for the upload name')
+  .option('--group <name>', 'preferred release group when several releases exist')
+  .option('--offset <number>', 'number added to the release episode number before registering')
+  .action(async (anilistIdArg, options) => {
+    const context = CommandContext.fromCommand(rssCommand);
+    const logger = context.createLogger(options);
+    let watchlistService = null;
+
+    try {
+      const anilistId = parseInt(anilistIdArg);
+      if (isNaN(anilistId) || anilistId <= 0) {
+        logger.error('Invalid AniList ID');
+        process.exit(1);
+      }
+
+      const overrides = {};
+
+      if (options.track !== undefined) {
+        overrides.subtitleTrack = parseInt(options.track);
+        if (!Validators.isValidSubtitleTrack(overrides.subtitleTrack)) {
+          logger.error('Invalid subtitle track number');
+          process.exit(1);
+        }
+      }
+
+      if (options.offset !== undefined) {
+        overrides.episodeOffset = parseInt(options.offset);
+        if (isNaN(overrides.episodeOffset)) {
+          logger.error('Invalid episode offset');
+          process.exit(1);
+        }
+      }
+
+      if (options.useTitle !== undefined) {
+        overrides.useTitle = options.useTitle;
+      }
+
+      if (options.group) {
+        overrides.releaseGroup = options.group;
+      }
+
+      const config = context.config;
+      watchlistService = createWatchlistService(config, logger);
+
+      if (options.title) {
+        overrides.title = options.title;
+      } else if (!(await watchlistService.get(anilistId))?.title) {
+        try {
+          const anitorrentService = new AniTorrentService(config);
+          const animeData = await anitorrentService.getAnimeById(anilistId);
+          overrides.title = animeData.title?.english || animeData.title?.romaji || null;
+        } catch (error) {
+          logger.verbose(`Could not fetch anime title: ${error.message}`);
+        }
+      }
+
+      const entry = await watchlistService.add(anilistId, overrides);
+
+      logger.success(`Following ${chalk.cyan(entry.title || `AniList ${anilistId}`)}`);
+      logger.info(`AniList ID: ${chalk.yellow(entry.anilistId)}`);
+      logger.info(`Subtitle track: ${entry.subtitleTrack !== null ? entry.subtitleTrack : 'Default'}`);
+      logger.info(`Use episode title: ${entry.useTitle ? 'Yes' : 'No'}`);
+      logger.info(`Preferred group: ${entry.releaseGroup || 'Any'}`);
+      logger.info(`Episode offset: ${entry.episodeOffset}`);
+    } catch (error) {
+      logger.error(`Failed to update watchlist: ${error.message}`);
+      if (options.debug) {
+        console.error(error);
+      }
+      process.exit(1);
+    } finally {
+      if (watchlistService) {
+        await watchlistService.close();
+      }
+    }
+  });
+
+watchCommand
+  .command('remove <anilist-id>')
+  .description('Stop following a show')
+  .option('-d, --debug', 'debug output')
+  .option('-q, --quiet', 'quiet mode')
+  .action(async (anilistId, options) => {
+    const context = CommandContext.fromCommand(rssCommand);
+    const logger = context.createLogger(options);
+    let watchlistService = null;
+
+    try {
+      const config = context.config;
+      watchlistService = createWatchlistService(config, logger);
+
+      const removed = await watchlistService.remove(anilistId);
+      if (!removed) {
+        logger.warning(`AniList ${anilistId} is not on the watchlist`);
+        return;
+      }
+
+      logger.success(`Stopped following AniList ${anilistId}`);
+    } catch (error) {
+      logger.error(`Failed to update watchlist: ${error.message}`);
+      if (options.debug) {
+        console.error(error);
+      }
+      process.exit(1);
+    } finally {
+      if (watchlistService) {
+        await watchlistService.close();
+      }
+    }
+  });
+
+watchCommand
+  .command('list')
+  .description('List followed shows')
+  .option('-d, --debug', 'debug output')
+  .option('-q, --quiet', 'quiet mode')
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .action(async (options) => {
+    const context = CommandContext.fromCommand(rssCommand);
+    const logger = context.createLogger(options);
+    let watchlistService = null;
+
+    try {
+      const config = context.config;
+      watchlistService = createWatchlistService(config, logger);
+
+      const shows = await watchlistService.list();
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(shows, null, 2));
+        return;
+      }
+
+      if (shows.length === 0) {
+        logger.info('Watchlist is empty, rss auto processes every show in the configured feeds');
+        return;
+      }
+
+      const table = new Table({
+        head: [
+          chalk.cyan('AniList ID'),
+          chalk.cyan('Title'),
+          chalk.cyan('Track'),
+          chalk.cyan('Use Title'),
+          chalk.cyan('Group'),
+          chalk.cyan('Offset')
+        ],
+        colWidths: [12, 40, 8, 11, 18, 8]
+      });
+
+      shows.forEach(show => {
+        table.push([
+          show.anilistId,
+          show.title || 'N/A',
+          show.subtitleTrack !== null ? show.subtitleTrack : 'Default',
+          show.useTitle ? chalk.green('✓') : chalk.gray('✗'),
+          show.releaseGroup || 'Any',
+          show.episodeOffset
+        ]);
+      });
+
+      console.log(`\n${chalk.bold('RSS Watchlist')}`);
+      console.log(`${chalk.gray(`Storage: ${config.getWatchlistConfig().storage} | Shows: ${shows.length}`)}\n`);
+      console.log(table.toString());
+    } catch (error) {
+      logger.error(`Failed to list watchlist: ${error.message}`);
+      if (options.debug) {
+        console.error(error);
+      }
+      process.exit(1);
+    } finally {
+      if (watchlistService) {
+        await watchlistService.close();
+      }
+    }
+  });
+
+rssCommand.addCommand(watchCommand);
+
 module.exports = rssCommand; 
\ No newline at end of file
@@ -0,0 +1,399 @@
+const { Command } = require('commander');
+const chalk = require('chalk');
+const ora = require('ora');
+const inquirer = require('inquirer');
+const Table = require('cli-table3');
+const path = require('path');
+const CommandContext = require('../utils/context');
+const { logger } = require('../utils/logger');
+const Validators = require('../utils/validators');
+const S3Service = require('../services/s3-service');
+const PostgreSQLService = require('../services/postgresql-service');
+const JobQueueService = require('../services/job-queue-service');
+const PeerTubeService = require('../services/peertube-service');
+
+// PeerTube short UUIDs are 22 base58 characters (older ones can be shorter)
+const SHORT_UUID_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{20,22}$/;
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const storageCommand = new Command('storage');
+storageCommand.description('Browse and clean up the S3 bucket');
+
+const createS3Service = () => {
+  const { config } = CommandContext.fromCommand(storageCommand);
+  config.validateRequired();
+  return { config, s3Service: new S3Service(config.getR2Config()) };
+};
+
+const parseDuration = (value) => {
+  const match = String(value).trim().match(/^(\d+)\s*([mhdw])$/i);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}" (use a number followed by m, h, d or w, e.g. 30d)`);
+  }
+  return parseInt(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+};
+
+const formatAge = (date) => {
+  const hours = Math.floor((Date.now() - date.getTime()) / DURATION_UNITS.h);
+  if (hours < 1) {
+    return '< 1h';
+  }
+  return hours < 48 ? `${hours}h` : `${Math.floor(hours / 24)}d`;
+};
+
+// S3 keys of unfinished rss auto jobs are still needed to resume their import
+const getPendingJobKeys = async (config) => {
+  const jobQueue = new JobQueueService({ jobsFile: config.getJobsFile() });
+  await jobQueue.load();
+  return new Set(jobQueue.getPendingJobs().map(job => job.data.r2Key).filter(Boolean));
+};
+
+// rss auto jobs that gave up after their last retry, by the S3 key they uploaded
+const getAbandonedJobKeys = async (config) => {
+  const jobQueue = new JobQueueService({ jobsFile: config.getJobsFile() });
+  await jobQueue.load();
+  return new Set(jobQueue.getJobs(JobQueueService.STATES.FAILED)
+    .filter(job => !jobQueue.isRetryable(job))
+    .map(job => job.data.r2Key)
+    .filter(Boolean));
+};
+
+// Imports point at the public URL of the S3 file, with the file name URL-encoded
+const getImportsByUrl = async (peertubeService, maxImports = 1000) => {
+  const imports = new Map();
+
+  for (let start = 0; start < maxImports; start += 100) {
+    const data = await peertubeService.listMyImports({ start, count: 100 });
+    // Newest first, so a retried import wins over the failed one before it
+    data.data.filter(item => item.targetUrl).forEach(item => {
+      const url = decodeURIComponent(item.targetUrl);
+      if (!imports.has(url)) {
+        imports.set(url, item);
+      }
+    });
+
+    if (data.data.length < 100) {
+      break;
+    }
+  }
+
+  return imports;
+};
+
+const confirmDeletion = async (count, size, skipConfirm) => {
+  if (skipConfirm) {
+    return true;
+  }
+
+  const { confirm } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'confirm',
+    message: `Delete ${count} files (${Validators.formatFileSize(size)}) from the bucket? This cannot be undone.`,
+    default: false
+  }]);
+  return confirm;
+};
+
+const deleteObjects = async (s3Service, objects) => {
+  const spinner = ora(`Deleting ${objects.length} files...`).start();
+  const result = await s3Service.deleteFiles(objects.map(object => object.key));
+
+  if (result.errors.length > 0) {
+    spinner.warn(`Deleted ${result.deleted} files, ${result.errors.length} failed`);
+    result.errors.forEach(error => logger.error(`${error.key}: ${error.message}`, 1));
+    process.exitCode = 1;
+  } else {
+    spinner.succeed(`Deleted ${result.deleted} files`);
+  }
+};
+
+const printObjectTable = (objects, extraColumn = null) => {
+  const head = [chalk.cyan('Key'), chalk.cyan('Size'), chalk.cyan('Last Modified')];
+  if (extraColumn) {
+    head.push(chalk.cyan(extraColumn.title));
+  }
+
+  const table = new Table({ head });
+  objects.forEach(object => {
+    const row = [object.key, Validators.formatFileSize(object.size), `${object.lastModified.toLocaleString()} (${formatAge(object.lastModified)})`];
+    if (extraColumn) {
+      row.push(extraColumn.value(object));
+    }
+    table.push(row);
+  });
+
+  console.log(table.toString());
+};
+
+storageCommand
+  .command('ls')
+  .description('List files in the bucket')
+  .argument('[prefix]', 'only list keys starting with this prefix', '')
+  .option('-r, --recursive', 'list every key under the prefix instead of one level')
+  .option('--limit <number>', 'maximum number of files to list')
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .action(async (prefix, options) => {
+    try {
+      const { s3Service } = createS3Service();
+      const limit = options.limit ? parseInt(options.limit) : Infinity;
+
+      const spinner = ora(`Listing ${prefix || 'bucket root'}...`).start();
+      const { objects, prefixes } = await s3Service.listObjects(prefix, {
+        delimiter: options.recursive ? null : '/',
+        maxKeys: limit
+      });
+      spinner.stop();
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify({ prefixes, objects }, null, 2));
+        return;
+      }
+
+      if (objects.length === 0 && prefixes.length === 0) {
+        logger.warning(`No files found${prefix ? ` under ${prefix}` : ''}`);
+        return;
+      }
+
+      prefixes.forEach(folder => console.log(`${chalk.blue('📁')} ${folder}`));
+      if (objects.length > 0) {
+        printObjectTable(objects);
+      }
+
+      const totalSize = objects.reduce((sum, object) => sum + object.size, 0);
+      console.log(chalk.gray(`\n${prefixes.length} folders, ${objects.length} files, ${Validators.formatFileSize(totalSize)}`));
+    } catch (error) {
+      logger.error(`Failed to list files: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+storageCommand
+  .command('du')
+  .description('Show bucket usage grouped by folder')
+  .argument('[prefix]', 'only count keys starting with this prefix', '')
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .action(async (prefix, options) => {
+    try {
+      const { s3Service } = createS3Service();
+
+      const spinner = ora('Calculating bucket usage...').start();
+      const { objects } = await s3Service.listObjects(prefix);
+      spinner.stop();
+
+      const groups = new Map();
+      objects.forEach(object => {
+        const rest = object.key.slice(prefix.length);
+        const slash = rest.indexOf('/');
+        const group = slash === -1 ? '(files)' : prefix + rest.slice(0, slash + 1);
+        const entry = groups.get(group) || { prefix: group, files: 0, size: 0 };
+        entry.files++;
+        entry.size += object.size;
+        groups.set(group, entry);
+      });
+
+      const usage = [...groups.values()].sort((a, b) => b.size - a.size);
+      const total = {
+        files: objects.length,
+        size: objects.reduce((sum, object) => sum + object.size, 0)
+      };
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify({ prefix, usage, total }, null, 2));
+        return;
+      }
+
+      const table = new Table({
+        head: [chalk.cyan('Folder'), chalk.cyan('Files'), chalk.cyan('Size')]
+      });
+      usage.forEach(entry => table.push([entry.prefix, entry.files, Validators.formatFileSize(entry.size)]));
+      table.push([chalk.bold('Total'), chalk.bold(total.files), chalk.bold(Validators.formatFileSize(total.size))]);
+
+      console.log(table.toString());
+    } catch (error) {
+      logger.error(`Failed to calculate usage: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+storageCommand
+  .command('orphans')
+  .description('Find videos and subtitles that no registered episode uses')
+  .option('--min-age <duration>', 'ignore files newer than this (imports may still be reading them)', '24h')
+  .option('--delete', 'delete the orphaned files')
+  .option('--include-unmatched', 'with --delete, also delete the unmatched videos and subtitles')
+  .option('-y, --yes', 'do not ask for confirmation before deleting')
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .action(async (options) => {
+    let dbService = null;
+
+    try {
+      const { config, s3Service } = createS3Service();
+      const minAge = parseDuration(options.minAge);
+
+      const dbConfig = config.getDatabaseConfig();
+      if (!dbConfig.host || dbConfig.host === 'your_db_host') {
+        logger.error('Database is not configured. Orphan detection needs the peertube_episode table.');
+        logger.info('Please run "anitorrent config setup" to configure database settings.');
+        process.exit(1);
+      }
+
+      const spinner = ora('Loading registered episodes...').start();
+      dbService = new PostgreSQLService(dbConfig);
+      const shortUUIDs = new Set(await dbService.getEpisodeShortUUIDs());
+      const pendingJobKeys = await getPendingJobKeys(config);
+      const abandonedJobKeys = await getAbandonedJobKeys(config);
+
+      spinner.text = 'Loading PeerTube imports...';
+      const peertubeService = new PeerTubeService(config.getPeerTubeConfig());
+      const imports = await getImportsByUrl(peertubeService);
+
+      spinner.text = 'Listing videos/ and subtitles/...';
+      const [videos, subtitles] = await Promise.all([
+        s3Service.listObjects('videos/'),
+        s3Service.listObjects('subtitles/')
+      ]);
+      spinner.succeed(`Checked ${videos.objects.length} videos and ${subtitles.objects.length} subtitles against ${shortUUIDs.size} episodes and ${imports.size} imports`);
+
+      const cutoff = Date.now() - minAge;
+      const isCandidate = object => object.lastModified.getTime() < cutoff && !pendingJobKeys.has(object.key);
+
+      // Extracted subtitles are named <shortUUID>[_suffix].ass, but videos uploaded without --anime-id are never
+      // registered and "upload subtitles" keeps the original file name, so only a video PeerTube no longer has
+      // makes a subtitle an orphan
+      const orphanSubtitles = [];
+      const unmatchedSubtitles = [];
+      const videoExists = new Map();
+      for (const object of subtitles.objects.filter(isCandidate)) {
+        const shortUUID = path.basename(object.key).split(/[_.]/)[0];
+        if (shortUUIDs.has(shortUUID)) {
+          continue;
+        }
+
+        if (!SHORT_UUID_PATTERN.test(shortUUID)) {
+          unmatchedSubtitles.push({ ...object, reason: 'not named after a PeerTube video' });
+          continue;
+        }
+
+        if (!videoExists.has(shortUUID)) {
+          spinner.start(`Checking PeerTube video ${shortUUID}...`);
+          videoExists.set(shortUUID, await peertubeService.videoExists(shortUUID));
+          spinner.stop();
+        }
+
+        if (videoExists.get(shortUUID)) {
+          unmatchedSubtitles.push({ ...object, reason: `video ${shortUUID} is not a registered episode` });
+        } else {
+          orphanSubtitles.push({ ...object, reason: `video ${shortUUID} deleted from PeerTube` });
+        }
+      }
+
+      // Video keys are release names, so they are matched through the import that read them. Only videos
+      // whose import failed or whose rss job gave up are orphans; files kept with --keep-r2 or uploaded
+      // with "upload r2" look the same as leftovers and are only reported
+      const orphanVideos = [];
+      const unmatchedVideos = [];
+      videos.objects.filter(isCandidate).forEach(object => {
+        const videoImport = imports.get(decodeURIComponent(s3Service.getPublicUrl(object.key)));
+
+        if (videoImport && PeerTubeService.FAILED_IMPORT_STATES.includes(videoImport.state?.id)) {
+          orphanVideos.push({ ...object, reason: `import ${videoImport.id} ${(videoImport.state?.label || 'failed').toLowerCase()}` });
+        } else if (abandonedJobKeys.has(object.key)) {
+          orphanVideos.push({ ...object, reason: 'rss auto job gave up' });
+        } else if (videoImport) {
+          unmatchedVideos.push({ ...object, reason: `kept after import ${videoImport.id} (video ${videoImport.video?.id || '?'})` });
+        } else {
+          unmatchedVideos.push({ ...object, reason: 'no import found' });
+        }
+      });
+
+      const orphans = [...orphanVideos, ...orphanSubtitles];
+      const unmatched = [...unmatchedVideos, ...unmatchedSubtitles];
+      const totalSize = orphans.reduce((sum, object) => sum + object.size, 0);
+      const unmatchedSize = unmatched.reduce((sum, object) => sum + object.size, 0);
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify({ orphans, totalSize, unmatched, unmatchedSize }, null, 2));
+      } else {
+        if (orphans.length === 0) {
+          logger.success('No orphaned files found');
+        } else {
+          printObjectTable(orphans, { title: 'Reason', value: object => object.reason });
+          console.log(chalk.gray(`\n${orphans.length} orphaned files, ${Validators.formatFileSize(totalSize)}`));
+        }
+
+        if (unmatched.length > 0) {
+          logger.separator();
+          logger.info('Files that may still be in use (videos kept with --keep-r2 or uploaded with "upload r2", subtitles uploaded with "upload subtitles" or for unregistered videos):');
+          printObjectTable(unmatched, { title: 'Status', value: object => object.reason });
+          console.log(chalk.gray(`\n${unmatched.length} unmatched files, ${Validators.formatFileSize(unmatchedSize)}${options.includeUnmatched ? '' : ' (not deleted without --include-unmatched)'}`));
+        }
+      }
+
+      const toDelete = options.includeUnmatched ? [...orphans, ...unmatched] : orphans;
+      if (options.delete && toDelete.length > 0) {
+        const deleteSize = toDelete.reduce((sum, object) => sum + object.size, 0);
+        if (await confirmDeletion(toDelete.length, deleteSize, options.yes)) {
+          await deleteObjects(s3Service, toDelete);
+        } else {
+          logger.info('Operation cancelled');
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to find orphaned files: ${error.message}`);
+      process.exit(1);
+    } finally {
+      if (dbService) {
+        await dbService.close();
+      }
+    }
+  });
+
+storageCommand
+  .command('prune')
+  .description('Delete files older than a given age')
+  .requiredOption('--older-than <duration>', 'delete files last modified before this age, e.g. 30d, 12h, 2w')
+  .option('--prefix <prefix>', 'only prune keys starting with this prefix', 'videos/')
+  .option('--dry-run', 'only list the files that would be deleted')
+  .option('-y, --yes', 'do not ask for confirmation before deleting')
+  .action(async (options) => {
+    try {
+      const { config, s3Service } = createS3Service();
+      const cutoff = Date.now() - parseDuration(options.olderThan);
+      const pendingJobKeys = await getPendingJobKeys(config);
+
+      const spinner = ora(`Listing ${options.prefix || 'bucket'}...`).start();
+      const { objects } = await s3Service.listObjects(options.prefix);
+      const expired = objects.filter(object => object.lastModified.getTime() < cutoff && !pendingJobKeys.has(object.key));
+      const totalSize = expired.reduce((sum, object) => sum + object.size, 0);
+      spinner.succeed(`${expired.length} of ${objects.length} files are older than ${options.olderThan}`);
+
+      if (expired.length === 0) {
+        return;
+      }
+
+      printObjectTable(expired);
+      console.log(chalk.gray(`\n${expired.length} files, ${Validators.formatFileSize(totalSize)}`));
+
+      if (options.dryRun) {
+        logger.info('Dry run - no files deleted');
+        return;
+      }
+
+      if (await confirmDeletion(expired.length, totalSize, options.yes)) {
+        await deleteObjects(s3Service, expired);
+      } else {
+        logger.info('Operation cancelled');
+      }
+    } catch (error) {
+      logger.error(`Failed to prune files: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+module.exports = storageCommand;
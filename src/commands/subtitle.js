@@ -1,12 +1,67 @@
 const { Command } = require('commander');
 const ora = require('ora');
-const ConfigManager = require('../utils/config');
-const { Logger } = require('../utils/logger');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const CommandContext = require('../utils/context');
 const Validators = require('../utils/validators');
 const SubtitleService = require('../services/subtitle-service');
 const TranslationService = require('../services/translation-service');
+const SubtitleSyncService = require('../services/subtitle-sync-service');
+const SubtitleLintService = require('../services/subtitle-lint-service');
+const SubtitleFormats = require('../utils/subtitle-formats');
+const AssDocument = require('../utils/ass-document');
 const anitomy = require('anitomyscript');
 
+// NTSC rates are really 24000/1001 etc., which matters over a 24 minute episode
+const FRAME_RATES = {
+  '23.976': 24000 / 1001,
+  '23.98': 24000 / 1001,
+  '29.97': 30000 / 1001,
+  '47.952': 48000 / 1001,
+  '59.94': 60000 / 1001,
+};
+
+const parseFrameRate = (value) => {
+  const rate = FRAME_RATES[value] || Number(value);
+  if (!(rate > 0)) {
+    throw new Error(`Invalid frame rate "${value}"`);
+  }
+  return rate;
+};
+
+// Accepts 1500, 1500ms, 1.5s, -2s, 1:02.5, 0:01:02.50 or 00:01:02,500
+const parseTimeValue = (value) => {
+  const text = String(value).trim();
+  const sign = text.startsWith('-') ? -1 : 1;
+  const unsigned = text.replace(/^[+-]/, '');
+
+  let match = unsigned.match(/^(\d+(?:\.\d+)?)(ms|s)?$/i);
+  if (match) {
+    const amount = parseFloat(match[1]);
+    return sign * Math.round(match[2] && match[2].toLowerCase() === 's' ? amount * 1000 : amount);
+  }
+
+  match = unsigned.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:[.,]\d{1,3})?)$/);
+  if (match) {
+    const seconds = parseFloat(match[3].replace(',', '.'));
+    return sign * Math.round(((parseInt(match[1] || '0') * 60 + parseInt(match[2])) * 60 + seconds) * 1000);
+  }
+
+  throw new Error(`Invalid time "${value}" (use milliseconds, 1.5s or H:MM:SS.cc)`);
+};
+
+const parseTimePair = (value, name) => {
+  const parts = String(value).split('=');
+  if (parts.length !== 2) {
+    throw new Error(`Invalid ${name} "${value}" (use <time>=<time>)`);
+  }
+  return parts.map(parseTimeValue);
+};
+
+const collectOption = (value, previous) => previous.concat([value]);
+
+const formatSignedMs = (ms) => `${ms >= 0 ? '+' : ''}${Math.round(ms)}ms`;
+
 const subtitlesCommand = new Command('subtitle');
 subtitlesCommand.description('Subtitle extraction and management');
 
@@ -14,14 +69,12 @@ subtitlesCommand
   .command('list')
   .description('List subtitle tracks from a video file')
   .argument('<file>', 'video file path')
-  .option('--debug, -d', 'debug output')
-  .option('--quiet, -q', 'quiet mode')
+  .option('-d, --debug', 'debug output')
+  .option('-q, --quiet', 'quiet mode')
   .action(async (file, options) => {
     const isDebug = options.debug || false;
-    const logger = new Logger({
-      verbose: isDebug,
-      quiet: options.quiet || false,
-    });
+    const context = CommandContext.fromCommand(subtitlesCommand);
+    const logger = context.createLogger({ debug: isDebug, quiet: options.quiet });
 
     try {
       const pathValidation = await Validators.validateFilePath(file);
@@ -157,10 +210,8 @@ subtitlesCommand
   .action(async (input, options, cmd) => {
     const isLogs = options.logs || false;
 
-    const logger = new Logger({
-      verbose: false,
-      quiet: options.quiet || false,
-    });
+    const context = CommandContext.fromCommand(subtitlesCommand);
+    const logger = context.createLogger({ quiet: options.quiet });
 
     const detectInputType = async (input) => {
       if (!input) return { type: 'folder', value: null };
@@ -261,7 +312,7 @@ subtitlesCommand
 
       let translationConfig = null;
       if (options.translate) {
-        const config = new ConfigManager();
+        const config = context.config;
         translationConfig = config.getTranslationConfig();
 
         if (!translationConfig.apiKey) {
@@ -795,7 +846,7 @@ subtitlesCommand
 
         logger.separator();
 
-        const config = new ConfigManager();
+        const config = context.config;
         const peertubeConfig = config.getPeerTubeConfig();
 
         const spinner = ora('Fetching playlist videos...').start();
@@ -1136,7 +1187,7 @@ subtitlesCommand
   .description('Translate subtitle files using AI')
   .argument(
     '[file]',
-    'subtitle file path (.ass format) - if not provided, translates all .ass files in current directory'
+    'subtitle file path (.ass, .srt or .vtt) - if not provided, translates all subtitle files in current directory'
   )
   .option(
     '--output <path>',
@@ -1149,16 +1200,14 @@ subtitlesCommand
     parseInt
   )
   .option('--logs', 'detailed output')
-  .option('--quiet, -q', 'quiet mode')
+  .option('-q, --quiet', 'quiet mode')
   .action(async (file, options) => {
     const isLogs = options.logs || false;
-    const logger = new Logger({
-      verbose: false,
-      quiet: options.quiet || false,
-    });
+    const context = CommandContext.fromCommand(subtitlesCommand);
+    const logger = context.createLogger({ quiet: options.quiet });
 
     try {
-      const config = new ConfigManager();
+      const config = context.config;
       const translationConfig = config.getTranslationConfig();
 
       if (!translationConfig.apiKey) {
@@ -1190,9 +1239,9 @@ subtitlesCommand
           process.exit(1);
         }
 
-        if (!subtitleFile.toLowerCase().endsWith('.ass')) {
+        if (!SubtitleFormats.isSupported(subtitleFile)) {
           logger.error(
-            'Only .ass subtitle files are supported for translation'
+            'Only .ass, .ssa, .srt and .vtt subtitle files are supported for translation'
           );
           process.exit(1);
         }
@@ -1279,25 +1328,25 @@ subtitlesCommand
         }
         logger.separator();
 
-        const spinner = ora('Finding .ass subtitle files...').start();
+        const spinner = ora('Finding subtitle files...').start();
 
         try {
           const files = await fs.readdir(currentDir);
-          const allAssFiles = files.filter((file) =>
-            file.toLowerCase().endsWith('.ass')
+          const allSubtitleFiles = files.filter((file) =>
+            SubtitleFormats.isSupported(file)
           );
 
-          const assFiles = allAssFiles.filter((file) => {
+          const subtitleFiles = allSubtitleFiles.filter((file) => {
             const fileName = file.toLowerCase();
 
             if (fileName.includes('_translated')) {
               return false;
             }
 
-            const baseName = path.parse(file).name;
-            const translatedVersion = `${baseName}_translated.ass`;
+            const { name: baseName, ext } = path.parse(file);
+            const translatedVersion = `${baseName}_translated${ext}`;
             if (
-              allAssFiles.some(
+              allSubtitleFiles.some(
                 (f) => f.toLowerCase() === translatedVersion.toLowerCase()
               )
             ) {
@@ -1308,18 +1357,18 @@ subtitlesCommand
           });
 
           spinner.succeed(
-            `Found ${assFiles.length} .ass files to translate (${
-              allAssFiles.length - assFiles.length
+            `Found ${subtitleFiles.length} subtitle files to translate (${
+              allSubtitleFiles.length - subtitleFiles.length
             } files ignored)`
           );
 
-          if (assFiles.length === 0) {
-            logger.warning('No .ass subtitle files found in current directory');
+          if (subtitleFiles.length === 0) {
+            logger.warning('No subtitle files found in current directory');
             return;
           }
 
           logger.info('Files to translate:');
-          assFiles.forEach((file, index) => {
+          subtitleFiles.forEach((file, index) => {
             logger.info(`${index + 1}. ${file}`, 1);
           });
           logger.separator();
@@ -1327,11 +1376,11 @@ subtitlesCommand
           const translationService = new TranslationService(translationConfig);
           const results = [];
 
-          for (let i = 0; i < assFiles.length; i++) {
-            const assFile = assFiles[i];
-            const fullPath = path.join(currentDir, assFile);
+          for (let i = 0; i < subtitleFiles.length; i++) {
+            const subtitleFile = subtitleFiles[i];
+            const fullPath = path.join(currentDir, subtitleFile);
 
-            logger.info(`Translating ${i + 1}/${assFiles.length}: ${assFile}`);
+            logger.info(`Translating ${i + 1}/${subtitleFiles.length}: ${subtitleFile}`);
 
             let currentGroup = 0;
             let totalGroups = 0;
@@ -1379,28 +1428,28 @@ subtitlesCommand
 
               if (result.success) {
                 logger.success(
-                  `✓ ${assFile} → ${path.basename(result.outputPath)}`
+                  `✓ ${subtitleFile} → ${path.basename(result.outputPath)}`
                 );
-                results.push({ file: assFile, success: true, result });
+                results.push({ file: subtitleFile, success: true, result });
               } else {
-                logger.error(`✗ ${assFile}: Translation failed`);
+                logger.error(`✗ ${subtitleFile}: Translation failed`);
                 results.push({
-                  file: assFile,
+                  file: subtitleFile,
                   success: false,
                   error: 'Translation failed',
                 });
               }
             } catch (error) {
               fileSpinner.fail(`Translation failed: ${error.message}`);
-              logger.error(`✗ ${assFile}: ${error.message}`);
+              logger.error(`✗ ${subtitleFile}: ${error.message}`);
               results.push({
-                file: assFile,
+                file: subtitleFile,
                 success: false,
                 error: error.message,
               });
             }
 
-            if (i < assFiles.length - 1) {
+            if (i < subtitleFiles.length - 1) {
               logger.separator();
             }
           }
@@ -1465,13 +1514,11 @@ subtitlesCommand
   )
   .option('--dry-run', 'show what would be renamed without actually renaming')
   .option('--logs', 'detailed output')
-  .option('--quiet, -q', 'quiet mode')
+  .option('-q, --quiet', 'quiet mode')
   .action(async (pattern, options) => {
     const isLogs = options.logs || false;
-    const logger = new Logger({
-      verbose: false,
-      quiet: options.quiet || false,
-    });
+    const context = CommandContext.fromCommand(subtitlesCommand);
+    const logger = context.createLogger({ quiet: options.quiet });
 
     const scanSubtitlesRecursively = async (dir, includeTranslated = false) => {
       const foundFiles = [];
@@ -1614,7 +1661,7 @@ subtitlesCommand
         }
         logger.separator();
 
-        const config = new ConfigManager();
+        const config = context.config;
         const peertubeConfig = config.getPeerTubeConfig();
         const subtitleService = new SubtitleService();
 
@@ -2122,7 +2169,7 @@ subtitlesCommand
 
           if (
             options.autoTranslate &&
-            ext.toLowerCase() === '.ass' &&
+            SubtitleFormats.isSupported(file) &&
             !file.toLowerCase().includes('_translated')
           ) {
             const isLatinSubtitle =
@@ -2245,7 +2292,7 @@ subtitlesCommand
           logger.separator();
           logger.step('🌐', 'Auto-translating Latino subtitles');
 
-          const config = new ConfigManager();
+          const config = context.config;
           const translationConfig = config.getTranslationConfig();
 
           if (!translationConfig.apiKey) {
@@ -2401,7 +2448,7 @@ subtitlesCommand
 subtitlesCommand
   .command('offset')
   .description('Adjust subtitle timing by adding or subtracting time offset')
-  .argument('<file>', 'subtitle file path (.ass format)')
+  .argument('<file>', 'subtitle file path (.ass, .srt or .vtt)')
   .argument(
     '<offset>',
     'time offset in milliseconds (positive for forward, negative for backward)'
@@ -2415,13 +2462,11 @@ subtitlesCommand
     'overwrite the original file instead of creating a new one'
   )
   .option('--logs', 'detailed output')
-  .option('--quiet, -q', 'quiet mode')
+  .option('-q, --quiet', 'quiet mode')
   .action(async (file, offset, options) => {
     const isLogs = options.logs || false;
-    const logger = new Logger({
-      verbose: false,
-      quiet: options.quiet || false,
-    });
+    const context = CommandContext.fromCommand(subtitlesCommand);
+    const logger = context.createLogger({ quiet: options.quiet });
 
     try {
       const offsetMs = parseInt(offset);
@@ -2453,9 +2498,9 @@ subtitlesCommand
         process.exit(1);
       }
 
-      if (!subtitleFile.toLowerCase().endsWith('.ass')) {
+      if (!SubtitleFormats.isSupported(subtitleFile)) {
         logger.error(
-          'Only .ass subtitle files are supported for timing adjustment'
+          'Only .ass, .ssa, .srt and .vtt subtitle files are supported for timing adjustment'
         );
         process.exit(1);
       }
@@ -2523,22 +2568,525 @@ subtitlesCommand
     }
   });
 
+subtitlesCommand
+  .command('retime')
+  .description('Fix subtitle drift with frame rate conversion, two-point sync or segment offsets')
+  .argument('<file>', 'subtitle file path (.ass, .srt or .vtt)')
+  .option(
+    '--fps <from:to>',
+    'convert timing between frame rates, e.g. 25:23.976 for subs made for a 25fps source'
+  )
+  .option(
+    '--sync <from=to>',
+    'sync point mapping a subtitle timestamp to the video timestamp (give exactly two)',
+    collectOption,
+    []
+  )
+  .option(
+    '--offset <time>',
+    'shift applied before the first --after timestamp (e.g. 1500, -2s)'
+  )
+  .option(
+    '--after <time=offset>',
+    'from this subtitle timestamp on, shift by offset instead (repeatable)',
+    collectOption,
+    []
+  )
+  .option(
+    '--output <path>',
+    'output file path (default: adds _retimed suffix)'
+  )
+  .option(
+    '--overwrite',
+    'overwrite the original file instead of creating a new one'
+  )
+  .option('-q, --quiet', 'quiet mode')
+  .action(async (file, options) => {
+    const context = CommandContext.fromCommand(subtitlesCommand);
+    const logger = context.createLogger({ quiet: options.quiet });
+
+    try {
+      const retime = {};
+
+      if (options.fps) {
+        const [from, to] = options.fps.split(':');
+        if (!from || !to) {
+          throw new Error(`Invalid --fps "${options.fps}" (use <from>:<to>, e.g. 25:23.976)`);
+        }
+        retime.fps = { from: parseFrameRate(from), to: parseFrameRate(to) };
+      }
+
+      if (options.sync.length > 0) {
+        if (options.sync.length !== 2) {
+          throw new Error('--sync needs exactly two points, e.g. --sync 0:01:02.50=0:01:03.10 --sync 0:21:40.00=0:21:45.30');
+        }
+        retime.points = options.sync.map((point) => {
+          const [from, to] = parseTimePair(point, '--sync point');
+          return { from, to };
+        });
+      }
+
+      if (options.offset !== undefined) {
+        retime.offset = parseTimeValue(options.offset);
+      }
+
+      retime.segments = options.after.map((segment) => {
+        const [at, offset] = parseTimePair(segment, '--after segment');
+        return { at, offset };
+      });
+
+      if (!retime.fps && !retime.points && retime.offset === undefined && retime.segments.length === 0) {
+        logger.error('Nothing to do. Use --fps, --sync, --offset or --after');
+        logger.info('Examples:');
+        logger.info('  --fps 25:23.976');
+        logger.info('  --sync 0:01:02.50=0:01:03.10 --sync 0:21:40.00=0:21:45.30');
+        logger.info('  --offset 0 --after 0:12:30=+5000');
+        process.exit(1);
+      }
+
+      const pathValidation = await Validators.validateFilePath(file);
+      const subtitleFile = pathValidation.resolvedPath;
+
+      if (!pathValidation.exists) {
+        logger.error(`File not found: "${file}"`);
+        if (pathValidation.originalPath !== pathValidation.resolvedPath) {
+          logger.error(`Resolved path: "${pathValidation.resolvedPath}"`);
+        }
+        process.exit(1);
+      }
+
+      if (!SubtitleFormats.isSupported(subtitleFile)) {
+        logger.error(
+          'Only .ass, .ssa, .srt and .vtt subtitle files are supported for retiming'
+        );
+        process.exit(1);
+      }
+
+      logger.header('Subtitle Retiming');
+      logger.info(`File: ${subtitleFile}`);
+      if (retime.fps) {
+        logger.info(`Frame rate: ${options.fps.replace(':', ' → ')}`);
+      }
+      if (retime.points) {
+        retime.points.forEach((point, index) => {
+          logger.info(`Sync point ${index + 1}: ${options.sync[index].replace('=', ' → ')}`);
+        });
+      }
+      if (retime.offset !== undefined || retime.segments.length > 0) {
+        logger.info(`Offset: ${formatSignedMs(retime.offset || 0)}`);
+        options.after.forEach((segment, index) => {
+          const [at] = segment.split('=');
+          logger.info(`From ${at}: ${formatSignedMs(retime.segments[index].offset)}`, 1);
+        });
+      }
+      logger.separator();
+
+      const spinner = ora('Retiming subtitle events...').start();
+      const subtitleService = new SubtitleService();
+      const result = await subtitleService.retimeSubtitle(
+        subtitleFile,
+        retime,
+        options.overwrite ? subtitleFile : options.output
+      );
+
+      if (!result.success) {
+        spinner.fail('Retiming failed');
+        logger.error(`Error: ${result.error}`);
+        process.exit(1);
+      }
+
+      spinner.succeed(`Retimed ${result.events} events`);
+      if (result.scale !== 1 || result.shift !== 0) {
+        logger.info(
+          `Linear mapping: x${result.scale.toFixed(6)}, ${formatSignedMs(result.shift)}`
+        );
+      }
+      logger.success(
+        options.overwrite
+          ? `Original file updated: ${result.outputFile}`
+          : `Retimed file created: ${result.outputFile}`
+      );
+    } catch (error) {
+      logger.error(`Retiming failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+subtitlesCommand
+  .command('autosync')
+  .description('Align subtitles to a video by detecting speech in its audio track')
+  .argument('<video>', 'video file whose audio the subtitles should match')
+  .argument('<subs>', 'subtitle file path (.ass, .srt or .vtt)')
+  .option('--track <number>', 'audio track index to listen to', '0')
+  .option('--max-offset <seconds>', 'largest offset to search in either direction', '60')
+  .option('--drift', 'also detect drift from a frame rate change (e.g. 25 vs 23.976 fps)')
+  .option(
+    '--min-confidence <value>',
+    'do not write the file when confidence is below this value (0-1)',
+    '0.5'
+  )
+  .option('--force', 'write the corrected file even when confidence is low')
+  .option('--dry-run', 'only report the estimated offset')
+  .option(
+    '--output <path>',
+    'output file path (default: adds _synced suffix)'
+  )
+  .option(
+    '--overwrite',
+    'overwrite the original file instead of creating a new one'
+  )
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .option('-q, --quiet', 'quiet mode')
+  .action(async (video, subs, options) => {
+    const context = CommandContext.fromCommand(subtitlesCommand);
+    const isJson = options.format === 'json';
+    const logger = context.createLogger({ quiet: options.quiet || isJson });
+
+    try {
+      const audioTrack = parseInt(options.track);
+      const maxOffsetSeconds = parseFloat(options.maxOffset);
+      const minConfidence = options.force ? 0 : parseFloat(options.minConfidence);
+
+      if (isNaN(audioTrack) || audioTrack < 0) {
+        logger.error('Invalid audio track number');
+        process.exit(1);
+      }
+      if (!(maxOffsetSeconds > 0)) {
+        logger.error('--max-offset must be a positive number of seconds');
+        process.exit(1);
+      }
+      if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        logger.error('--min-confidence must be between 0 and 1');
+        process.exit(1);
+      }
+
+      const videoValidation = await Validators.validateFilePath(video);
+      const subtitleValidation = await Validators.validateFilePath(subs);
+
+      for (const validation of [videoValidation, subtitleValidation]) {
+        if (!validation.exists) {
+          logger.error(`File not found: "${validation.originalPath}"`);
+          if (validation.originalPath !== validation.resolvedPath) {
+            logger.error(`Resolved path: "${validation.resolvedPath}"`);
+          }
+          process.exit(1);
+        }
+      }
+
+      if (!SubtitleFormats.isSupported(subtitleValidation.resolvedPath)) {
+        logger.error(
+          'Only .ass, .ssa, .srt and .vtt subtitle files are supported for syncing'
+        );
+        process.exit(1);
+      }
+
+      logger.header('Subtitle Auto Sync');
+      logger.info(`Video: ${videoValidation.resolvedPath}`);
+      logger.info(`Subtitles: ${subtitleValidation.resolvedPath}`);
+      logger.info(`Audio track: ${audioTrack}`);
+      logger.info(`Search range: ±${maxOffsetSeconds}s${options.drift ? ', with frame rate drift' : ''}`);
+      logger.separator();
+
+      const spinner = isJson || logger.quiet ? null : ora('Detecting speech in audio track...').start();
+      const syncService = new SubtitleSyncService({
+        audioTrack,
+        maxOffsetMs: maxOffsetSeconds * 1000,
+        onProgress: (progress) => {
+          if (spinner && progress.type === 'decode') {
+            spinner.text = `Detecting speech in audio track... ${Math.floor(progress.seconds / 60)} min`;
+          }
+        },
+      });
+
+      const result = await syncService.sync(
+        videoValidation.resolvedPath,
+        subtitleValidation.resolvedPath,
+        {
+          drift: options.drift,
+          dryRun: options.dryRun,
+          minConfidence,
+          outputFile: options.overwrite ? subtitleValidation.resolvedPath : options.output,
+        }
+      );
+      const lowConfidence = !options.dryRun && !result.written;
+
+      if (spinner) {
+        if (lowConfidence) {
+          spinner.fail('No reliable alignment found');
+        } else {
+          spinner.succeed('Alignment estimated');
+        }
+      }
+
+      if (isJson) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        const confidenceColor = result.confidence >= minConfidence ? chalk.green : chalk.red;
+        const table = new Table();
+        table.push(
+          { Offset: formatSignedMs(result.offsetMs) },
+          { 'Speed factor': result.scale === 1 ? '1 (no drift)' : result.scale.toFixed(6) },
+          { Confidence: confidenceColor(`${(result.confidence * 100).toFixed(0)}%`) },
+          { 'Frames in agreement': `${(result.agreement * 100).toFixed(1)}%` },
+          { 'Speech detected': `${(result.speechRatio * 100).toFixed(1)}% of ${Math.round(result.durationMs / 60000)} min` },
+          { 'Dialogue events used': result.events },
+          { Output: result.outputFile || '-' }
+        );
+        console.log(table.toString());
+      }
+
+      if (lowConfidence) {
+        logger.error(
+          `Confidence ${(result.confidence * 100).toFixed(0)}% is below ${(minConfidence * 100).toFixed(0)}%, subtitle file not written`
+        );
+        logger.info('Check --track, widen --max-offset, try --drift, or use --force to write it anyway');
+        process.exit(1);
+      }
+
+      if (result.written) {
+        logger.success(`Synced file created: ${result.outputFile}`);
+      }
+    } catch (error) {
+      logger.error(`Auto sync failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+subtitlesCommand
+  .command('lint')
+  .description('Check subtitle files for timing, reading speed, style and tag problems')
+  .argument('<path>', 'subtitle file or folder of subtitle files')
+  .option(
+    '--max-cps <number>',
+    'maximum characters per second',
+    String(SubtitleLintService.DEFAULT_MAX_CPS)
+  )
+  .option(
+    '--max-line-length <number>',
+    'maximum characters per line',
+    String(SubtitleLintService.DEFAULT_MAX_LINE_LENGTH)
+  )
+  .option(
+    '--ignore <rules>',
+    `comma-separated rules to skip (${Object.keys(SubtitleLintService.RULES).join(', ')})`
+  )
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .option('-q, --quiet', 'quiet mode')
+  .action(async (target, options) => {
+    const context = CommandContext.fromCommand(subtitlesCommand);
+    const isJson = options.format === 'json';
+    const logger = context.createLogger({ quiet: options.quiet || isJson });
+
+    try {
+      const fs = require('fs').promises;
+      const path = require('path');
+      const maxCps = parseFloat(options.maxCps);
+      const maxLineLength = parseInt(options.maxLineLength);
+      const ignore = (options.ignore || '')
+        .split(',')
+        .map((rule) => rule.trim().toLowerCase())
+        .filter(Boolean);
+
+      if (!(maxCps > 0)) {
+        logger.error('--max-cps must be a positive number');
+        process.exit(1);
+      }
+      if (isNaN(maxLineLength) || maxLineLength < 1) {
+        logger.error('--max-line-length must be a positive integer');
+        process.exit(1);
+      }
+      const unknownRules = ignore.filter((rule) => !SubtitleLintService.RULES[rule]);
+      if (unknownRules.length > 0) {
+        logger.error(
+          `Unknown rule ${unknownRules.join(', ')} (use ${Object.keys(SubtitleLintService.RULES).join(', ')})`
+        );
+        process.exit(1);
+      }
+
+      const validation = await Validators.validateFilePath(target);
+      if (!validation.exists) {
+        logger.error(`Path not found: "${validation.originalPath}"`);
+        if (validation.originalPath !== validation.resolvedPath) {
+          logger.error(`Resolved path: "${validation.resolvedPath}"`);
+        }
+        process.exit(1);
+      }
+
+      const lintService = new SubtitleLintService({ maxCps, maxLineLength, ignore });
+      const stats = await fs.stat(validation.resolvedPath);
+      let results;
+
+      if (stats.isDirectory()) {
+        results = await lintService.lintFolder(validation.resolvedPath);
+      } else if (SubtitleFormats.isSupported(validation.resolvedPath)) {
+        results = [await lintService.lintFile(validation.resolvedPath)];
+      } else {
+        logger.error('Only .ass, .ssa, .srt and .vtt subtitle files can be linted');
+        process.exit(1);
+      }
+
+      const issueCount = results.reduce((sum, result) => sum + result.issues.length, 0);
+
+      if (isJson) {
+        console.log(JSON.stringify({ files: results, issues: issueCount }, null, 2));
+        if (issueCount > 0) {
+          process.exit(1);
+        }
+        return;
+      }
+
+      logger.header('Subtitle Lint');
+      logger.info(`Path: ${validation.resolvedPath}`);
+      logger.info(`Limits: ${maxCps} characters per second, ${maxLineLength} characters per line`);
+      if (ignore.length > 0) {
+        logger.info(`Ignored rules: ${ignore.join(', ')}`);
+      }
+      logger.separator();
+
+      if (results.length === 0) {
+        logger.warning('No subtitle files found');
+        return;
+      }
+
+      const showFile = results.length > 1;
+      const issues = results.flatMap((result) =>
+        result.issues.map((issue) => ({ ...issue, file: path.basename(result.file) }))
+      );
+
+      if (issues.length > 0 && !logger.quiet) {
+        const table = new Table({
+          head: [
+            ...(showFile ? [chalk.cyan('File')] : []),
+            chalk.cyan('Event'),
+            chalk.cyan('Start'),
+            chalk.cyan('Rule'),
+            chalk.cyan('Problem'),
+          ],
+          colWidths: [...(showFile ? [30] : []), 7, 12, 15, 60],
+          wordWrap: true,
+        });
+        issues.forEach((issue) => {
+          table.push([
+            ...(showFile ? [issue.file] : []),
+            issue.event,
+            issue.start === null ? '-' : AssDocument.formatTime(issue.start),
+            chalk.yellow(issue.rule),
+            issue.message,
+          ]);
+        });
+        console.log(table.toString());
+      }
+
+      results.forEach((result) => {
+        const source = result.source ? `, compared with ${path.basename(result.source)}` : '';
+        if (result.issues.length === 0) {
+          logger.success(`${path.basename(result.file)}: ${result.events} events, no problems${source}`);
+        } else {
+          logger.warning(
+            `${path.basename(result.file)}: ${result.events} events, ${result.issues.length} problem${result.issues.length === 1 ? '' : 's'}${source}`
+          );
+        }
+      });
+
+      if (issueCount > 0) {
+        logger.error(
+          `Found ${issueCount} problem${issueCount === 1 ? '' : 's'} in ${results.filter((result) => result.issues.length > 0).length} of ${results.length} files`
+        );
+        process.exit(1);
+      }
+
+      logger.success(`All ${results.length} subtitle files passed`);
+    } catch (error) {
+      logger.error(`Lint failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+subtitlesCommand
+  .command('convert')
+  .description('Convert a subtitle file between ASS, SubRip and WebVTT')
+  .argument('<file>', 'subtitle file path (.ass, .srt or .vtt)')
+  .requiredOption('--to <format>', 'target format: ass, srt or vtt')
+  .option(
+    '--output <path>',
+    'output file path (default: same name with the new extension)'
+  )
+  .option('-q, --quiet', 'quiet mode')
+  .action(async (file, options) => {
+    const context = CommandContext.fromCommand(subtitlesCommand);
+    const logger = context.createLogger({ quiet: options.quiet });
+
+    try {
+      const targetFormat = options.to.toLowerCase().replace(/^\./, '');
+      if (!SubtitleFormats.FORMATS.includes(targetFormat)) {
+        logger.error(
+          `Invalid target format "${options.to}". Use one of: ${SubtitleFormats.FORMATS.join(', ')}`
+        );
+        process.exit(1);
+      }
+
+      const pathValidation = await Validators.validateFilePath(file);
+      const subtitleFile = pathValidation.resolvedPath;
+
+      if (!pathValidation.exists) {
+        logger.error(`File not found: "${file}"`);
+        if (pathValidation.originalPath !== pathValidation.resolvedPath) {
+          logger.error(`Resolved path: "${pathValidation.resolvedPath}"`);
+        }
+        process.exit(1);
+      }
+
+      logger.header('Subtitle Conversion');
+      logger.info(`File: ${subtitleFile}`);
+      logger.info(`Target format: ${targetFormat}`);
+      if (options.output) {
+        logger.info(`Output: ${options.output}`);
+      }
+      logger.separator();
+
+      const spinner = ora('Converting subtitle file...').start();
+      const subtitleService = new SubtitleService();
+      const result = await subtitleService.convertSubtitleFile(
+        subtitleFile,
+        targetFormat,
+        options.output
+      );
+
+      if (!result.success) {
+        spinner.fail('Conversion failed');
+        logger.error(`Error: ${result.error}`);
+        process.exit(1);
+      }
+
+      spinner.succeed(
+        `Converted ${result.from} to ${result.to} (${result.cues} lines)`
+      );
+      logger.success(`Converted file created: ${result.outputFile}`);
+      if (result.from === 'ass') {
+        logger.info(
+          'Styling the target format cannot express (fonts, positioning, effects) was dropped'
+        );
+      }
+    } catch (error) {
+      logger.error(`Conversion failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 subtitlesCommand
   .command('s3-rename')
   .description('Rename a subtitle file in S3 storage')
   .argument('<current-name>', 'current subtitle file name in S3')
   .argument('<new-name>', 'new subtitle file name')
   .option('--logs', 'detailed output')
-  .option('--quiet, -q', 'quiet mode')
+  .option('-q, --quiet', 'quiet mode')
   .action(async (currentName, newName, options) => {
     const isLogs = options.logs || false;
-    const logger = new Logger({
-      verbose: false,
-      quiet: options.quiet || false,
-    });
+    const context = CommandContext.fromCommand(subtitlesCommand);
+    const logger = context.createLogger({ quiet: options.quiet });
 
     try {
-      const config = new ConfigManager();
+      const config = context.config;
       const s3Config = config.getR2Config();
 
       if (!s3Config.accessKeyId || !s3Config.secretAccessKey) {
@@ -2578,16 +3126,14 @@ subtitlesCommand
   .description('Delete a subtitle file from S3 storage')
   .argument('<file-name>', 'subtitle file name to delete from S3')
   .option('--logs', 'detailed output')
-  .option('--quiet, -q', 'quiet mode')
+  .option('-q, --quiet', 'quiet mode')
   .action(async (fileName, options) => {
     const isLogs = options.logs || false;
-    const logger = new Logger({
-      verbose: false,
-      quiet: options.quiet || false,
-    });
+    const context = CommandContext.fromCommand(subtitlesCommand);
+    const logger = context.createLogger({ quiet: options.quiet });
 
     try {
-      const config = new ConfigManager();
+      const config = context.config;
       const s3Config = config.getR2Config();
 
       if (!s3Config.accessKeyId || !s3Config.secretAccessKey) {
@@ -2,8 +2,7 @@ const { Command } = require('commander');
 const ora = require('ora');
 const path = require('path');
 const inquirer = require('inquirer');
-const ConfigManager = require('../utils/config');
-const { Logger } = require('../utils/logger');
+const CommandContext = require('../utils/context');
 const Validators = require('../utils/validators');
 const S3Service = require('../services/s3-service');
 const PeerTubeService = require('../services/peertube-service');
@@ -95,12 +94,13 @@ uploadCommand
   .argument('<file>', 'file to upload (supports absolute and relative paths)')
   .option('--name <name>', 'custom name for uploaded file')
   .option('--timestamp', 'add timestamp to filename')
+  .option('--part-size <mb>', 'multipart upload part size in MB')
+  .option('--concurrency <number>', 'number of parts uploaded in parallel')
+  .option('--force', 'upload even when an identical file is already in the bucket')
   .action(async (file, options) => {
     const isLogs = uploadCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({
-      verbose: false,
-      quiet: uploadCommand.parent?.opts()?.quiet || false,
-    });
+    const context = CommandContext.fromCommand(uploadCommand);
+    const logger = context.createLogger();
 
     try {
       const fileValidation = await Validators.validateFilePath(file);
@@ -118,7 +118,7 @@ uploadCommand
         logger.info(`Using file: ${resolvedFile}`);
       }
 
-      const config = new ConfigManager();
+      const config = context.config;
       config.validateRequired();
       const r2Config = config.getR2Config();
 
@@ -145,20 +145,53 @@ uploadCommand
       logger.info(`Upload name: ${uploadFileName}`);
       logger.separator();
 
+      const uploadOptions = {
+        onProgress: ({ phase, loaded, total, percent }) => {
+          const action = phase === 'hashing' ? 'Computing checksum' : 'Uploading to R2';
+          spinner.text = `${action}... ${percent}% (${Validators.formatFileSize(loaded)} / ${Validators.formatFileSize(total)})`;
+        },
+        skipIdentical: !options.force,
+        dedupe: !options.force,
+      };
+
+      if (options.partSize !== undefined) {
+        uploadOptions.partSizeMb = parseFloat(options.partSize);
+        if (!(uploadOptions.partSizeMb >= 5)) {
+          logger.error('Part size must be at least 5 MB');
+          process.exit(1);
+        }
+      }
+
+      if (options.concurrency !== undefined) {
+        uploadOptions.concurrency = parseInt(options.concurrency);
+        if (!(uploadOptions.concurrency >= 1)) {
+          logger.error('Concurrency must be a positive number');
+          process.exit(1);
+        }
+      }
+
       const spinner = ora('Uploading to R2...').start();
 
       try {
         const result = await s3Service.uploadFile(
           resolvedFile,
           `videos/${uploadFileName}`,
-          true
+          true,
+          uploadOptions
         );
-        spinner.succeed('Upload completed successfully');
+        if (result.skipped) {
+          spinner.succeed(`Identical file already in bucket${result.reused ? ` as ${result.Key}` : ''}, upload skipped`);
+        } else {
+          spinner.succeed('Upload completed and verified');
+        }
 
         logger.success('Upload Details:');
         logger.info(`Public URL: ${result.publicUrl}`, 1);
         logger.info(`ETag: ${result.ETag}`, 1);
-        logger.info(`Location: ${result.Location}`, 1);
+        logger.info(`SHA-256: ${result.sha256}`, 1);
+        if (result.Location) {
+          logger.info(`Location: ${result.Location}`, 1);
+        }
       } catch (error) {
         spinner.fail(`Upload failed: ${error.message}`);
         process.exit(1);
@@ -187,6 +220,7 @@ uploadCommand
   .option('--password <password>', 'video password')
   .option('--wait <minutes>', 'max wait time for processing', '120')
   .option('--keep-r2', 'keep file in R2 after import')
+  .option('--direct', 'upload local files straight to PeerTube with the resumable upload API instead of importing from R2')
   .option('--anime-id <id>', 'AniList anime ID for episode update')
   .option('--sub-folders', 'search for video files in subfolders as well')
   .option('--use-title', 'use the title of the video for the upload name')
@@ -211,15 +245,14 @@ uploadCommand
     '--audio-latino-track <number>',
     'specify which audio track is Spanish Latino (requires --audio, automatically assumes other "spa" tracks are Spanish Spain)'
   )
+  .option('--captions', 'also upload extracted subtitles to PeerTube as player captions (WebVTT)')
   .option('--ignore-subtitle-tracks <tracks>', 'comma-separated list of subtitle track indexes to ignore (e.g., 0,3,4)')
   .option('--ignore-audio-tracks <tracks>', 'comma-separated list of audio track indexes to ignore (e.g., 0,3,4)')
   .option('--local-file <filename>', 'local filename for subtitle/audio extraction when using URL (required when URL is used and extraction is needed)')
   .action(async (file, options) => {
     const isLogs = uploadCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({
-      verbose: false,
-      quiet: uploadCommand.parent?.opts()?.quiet || false,
-    });
+    const context = CommandContext.fromCommand(uploadCommand);
+    const logger = context.createLogger();
 
     if (options.torrent && !file) {
       logger.error(
@@ -317,7 +350,7 @@ uploadCommand
         logger.info(`Torrent URL/Magnet: ${file}`);
         logger.separator();
 
-        const config = new ConfigManager();
+        const config = context.config;
         config.validateRequired();
         const uploadService = new UploadService(config, logger);
 
@@ -402,7 +435,7 @@ uploadCommand
         }
       }
 
-      const config = new ConfigManager();
+      const config = context.config;
       config.validateRequired();
 
       const r2Config = config.getR2Config();
@@ -502,7 +535,10 @@ uploadCommand
       );
       logger.info(`Channel ID: ${channelId}`);
       logger.info(`Privacy: ${privacy}`);
-      logger.info(`Keep R2 file: ${keepR2File ? 'Yes' : 'No'}`);
+      logger.info(`Upload mode: ${options.direct ? 'Direct to PeerTube' : 'R2 import'}`);
+      if (!options.direct) {
+        logger.info(`Keep R2 file: ${keepR2File ? 'Yes' : 'No'}`);
+      }
       logger.info(`Max wait time: ${maxWaitMinutes} minutes`);
       if (subtitleTrack !== null) {
         logger.info(`Subtitle track: ${subtitleTrack}`);
@@ -569,6 +605,8 @@ uploadCommand
               options.name && filesToProcess.length === 1 ? options.name : null,
             timestamp: options.timestamp,
             useTitle: options.useTitle,
+            direct: options.direct,
+            captions: options.captions,
           };
 
           const result = await uploadService.processFileUpload(
@@ -675,15 +713,13 @@ uploadCommand
 
 uploadCommand
   .command('subtitles')
-  .description('Upload all subtitle files (.ass) from current directory to R2')
+  .description('Upload all subtitle files (.ass, .srt, .vtt) from current directory to R2')
   .option('--sub-folders', 'search for subtitle files in subfolders as well')
   .option('--timestamp', 'add timestamp to filenames')
   .action(async (options) => {
     const isLogs = uploadCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({
-      verbose: false,
-      quiet: uploadCommand.parent?.opts()?.quiet || false,
-    });
+    const context = CommandContext.fromCommand(uploadCommand);
+    const logger = context.createLogger();
 
     try {
       const currentDir = process.cwd();
@@ -767,7 +803,7 @@ uploadCommand
 
       logger.separator();
 
-      const config = new ConfigManager();
+      const config = context.config;
       config.validateRequired();
       const r2Config = config.getR2Config();
       const s3Service = new S3Service(r2Config);
@@ -1,7 +1,7 @@
 const { Command } = require('commander');
 const ora = require('ora');
 const path = require('path');
-const { Logger } = require('../utils/logger');
+const CommandContext = require('../utils/context');
 const Validators = require('../utils/validators');
 const VideoService = require('../services/video-service');
 
@@ -16,10 +16,8 @@ videoCommand
   .option('--intro <path>', 'custom intro file path (default: data/intro.mp4)')
   .action(async (input, options) => {
     const isLogs = videoCommand.parent?.opts()?.logs || false;
-    const logger = new Logger({ 
-      verbose: false,
-      quiet: videoCommand.parent?.opts()?.quiet || false
-    });
+    const context = CommandContext.fromCommand(videoCommand);
+    const logger = context.createLogger();
 
     try {
       const inputValidation = await Validators.validateFilePath(input);
@@ -48,7 +46,7 @@ videoCommand
 
       const videoService = new VideoService({
         verbose: false,
-        quiet: videoCommand.parent?.opts()?.quiet || false
+        quiet: context.quiet
       });
 
       const introExists = await videoService.fileExists(introPath);
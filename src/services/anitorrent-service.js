@@ -4,8 +4,8 @@ const ConfigManager = require('../utils/config');
 
 class AniTorrentService {
     constructor(config = null) {
-        this.apiUrl = 'https://api.anitorrent.com';
         this.config = config || new ConfigManager();
+        this.apiUrl = this.config.getAniTorrentConfig().apiUrl;
         this.apiKey = this.config.get('ANITORRENT_API_KEY');
         
         if (!this.apiKey || this.apiKey === 'your_anitorrent_api_key') {
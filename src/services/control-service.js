@@ -0,0 +1,163 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+class ControlService {
+  constructor(options = {}) {
+    if (!options.socketPath) {
+      throw new Error('socketPath is required');
+    }
+
+    this.socketPath = options.socketPath;
+    this.logger = options.logger || new Logger({ verbose: false, quiet: false });
+    this.server = null;
+    this.routes = {};
+  }
+
+  isNamedPipe() {
+    return this.socketPath.startsWith('\\\\.\\pipe\\');
+  }
+
+  async start(routes) {
+    this.routes = routes;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    if (!this.isNamedPipe()) {
+      fs.mkdirSync(path.dirname(this.socketPath), { recursive: true });
+    }
+
+    try {
+      await this.listen();
+    } catch (error) {
+      if (error.code !== 'EADDRINUSE' || this.isNamedPipe()) {
+        throw error;
+      }
+
+      if (await this.isServerRunning()) {
+        throw new Error('Another rss auto session is already running');
+      }
+
+      // Leftover socket file from a session that crashed
+      fs.unlinkSync(this.socketPath);
+      await this.listen();
+    }
+
+    // The socket is created with the process umask, which may let other local users send commands
+    if (!this.isNamedPipe()) {
+      fs.chmodSync(this.socketPath, 0o600);
+    }
+
+    this.logger.verbose(`Control socket listening on ${this.socketPath}`);
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      const onError = (error) => {
+        this.server.removeListener('listening', onListening);
+        reject(error);
+      };
+      const onListening = () => {
+        this.server.removeListener('error', onError);
+        resolve();
+      };
+
+      this.server.once('error', onError);
+      this.server.once('listening', onListening);
+      this.server.listen(this.socketPath);
+    });
+  }
+
+  async handleRequest(req, res) {
+    const [route, ...params] = req.url.split('/').filter(Boolean).map(decodeURIComponent);
+    const handler = this.routes[`${req.method} /${route || ''}`];
+
+    const respond = (statusCode, body) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (!handler) {
+      respond(404, { error: `Unknown control command: ${req.method} ${req.url}` });
+      return;
+    }
+
+    try {
+      const result = await handler(...params);
+      respond(200, result === undefined ? { ok: true } : result);
+    } catch (error) {
+      respond(400, { error: error.message });
+    }
+  }
+
+  close() {
+    if (!this.server) {
+      return;
+    }
+
+    this.server.close();
+    this.server.closeAllConnections();
+    this.server = null;
+
+    if (!this.isNamedPipe()) {
+      try {
+        fs.unlinkSync(this.socketPath);
+      } catch (error) {
+        // Socket file already removed
+      }
+    }
+  }
+
+  async isServerRunning() {
+    try {
+      await this.send('GET', '/status');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  send(method, route) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ socketPath: this.socketPath, path: route, method, agent: false, timeout: 10000 }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          data += chunk;
+        });
+        res.on('end', () => {
+          let body;
+          try {
+            body = JSON.parse(data);
+          } catch (error) {
+            reject(new Error(`Invalid response from control socket: ${error.message}`));
+            return;
+          }
+
+          if (res.statusCode !== 200) {
+            reject(new Error(body.error || `Control request failed with status ${res.statusCode}`));
+            return;
+          }
+
+          resolve(body);
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error('Control request timed out'));
+      });
+
+      req.on('error', (error) => {
+        if (error.code === 'ENOENT' || error.code === 'ECONNREFUSED') {
+          reject(new Error('No running rss auto session found'));
+        } else {
+          reject(error);
+        }
+      });
+
+      req.end();
+    });
+  }
+}
+
+module.exports = ControlService;
@@ -0,0 +1,252 @@
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const anitomy = require('anitomyscript');
+const { Logger } = require('../utils/logger');
+const AniZipService = require('./anizip-service');
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1000, kib: 1024,
+  mb: 1000 ** 2, mib: 1024 ** 2,
+  gb: 1000 ** 3, gib: 1024 ** 3,
+  tb: 1000 ** 4, tib: 1024 ** 4
+};
+
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+  '&#39;': "'"
+};
+
+class FeedService {
+  constructor(options = {}) {
+    this.logger = options.logger || new Logger({ verbose: false, quiet: false });
+    this.aniZipService = new AniZipService();
+    this.mappingsCache = new Map();
+  }
+
+  prepareFeeds(feeds, options = {}) {
+    let selected = feeds.filter(feed => feed.enabled);
+
+    if (options.feed) {
+      selected = feeds.filter(feed => feed.name === options.feed);
+      if (selected.length === 0) {
+        throw new Error(`RSS feed not found: ${options.feed}`);
+      }
+    }
+
+    // Drops HEVC exclusions so --hevc keeps working with configured feeds
+    if (options.includeHevc) {
+      selected = selected.map(feed => ({
+        ...feed,
+        exclude: feed.exclude.filter(pattern => !/^hevc$/i.test(pattern))
+      }));
+    }
+
+    return selected;
+  }
+
+  buildToshoUrl(feed) {
+    const plainExcludes = feed.exclude.filter(pattern => !this.isRegexPattern(pattern));
+    const excludeClause = plainExcludes.length > 0
+      ? `!(${plainExcludes.map(pattern => `"${pattern}"`).join('|')})`
+      : '';
+
+    return `https://feed.animetosho.org/json?qx=1&q=${encodeURIComponent(feed.query + excludeClause)}`;
+  }
+
+  getFeedUrl(feed) {
+    return feed.type === 'animetosho' ? this.buildToshoUrl(feed) : feed.url;
+  }
+
+  async makeRequest(url, retries = 3, redirects = 5) {
+    try {
+      return await new Promise((resolve, reject) => {
+        const client = url.startsWith('https') ? https : http;
+
+        const request = client.get(url, { headers: { 'User-Agent': 'anitorrent-cli' } }, (response) => {
+          if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+            response.resume();
+            if (redirects === 0) {
+              reject(new Error('Too many redirects'));
+              return;
+            }
+            const location = new URL(response.headers.location, url).toString();
+            this.makeRequest(location, retries, redirects - 1).then(resolve).catch(reject);
+            return;
+          }
+
+          let data = '';
+          response.setEncoding('utf8');
+
+          response.on('data', (chunk) => {
+            data += chunk;
+          });
+
+          response.on('end', () => {
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+              resolve(data);
+            } else {
+              reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+            }
+          });
+        });
+
+        request.on('error', reject);
+
+        request.setTimeout(10000, () => {
+          request.destroy(new Error('Request timeout'));
+        });
+      });
+    } catch (error) {
+      if (retries > 0) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        return this.makeRequest(url, retries - 1, redirects);
+      }
+      throw error;
+    }
+  }
+
+  async fetchEpisodes(feed, limit = Infinity) {
+    const body = await this.makeRequest(this.getFeedUrl(feed));
+
+    let entries;
+    if (feed.type === 'animetosho') {
+      try {
+        const data = JSON.parse(body);
+        entries = Array.isArray(data) ? data : [];
+      } catch (error) {
+        throw new Error(`Failed to parse JSON from feed ${feed.name}: ${error.message}`);
+      }
+    } else {
+      entries = this.parseXmlFeed(body);
+    }
+
+    const matching = entries
+      .filter(entry => entry.title && entry.torrent_url && this.matchesFilters(entry.title, feed))
+      .slice(0, limit);
+
+    const episodes = [];
+    for (const entry of matching) {
+      episodes.push(await this.normalizeEntry(entry, feed));
+    }
+
+    return episodes;
+  }
+
+  async normalizeEntry(entry, feed) {
+    const parsed = await anitomy(entry.title);
+    const episode = {
+      title: entry.title,
+      torrent_url: entry.torrent_url,
+      info_hash: entry.info_hash || null,
+      anidb_aid: entry.anidb_aid || null,
+      anidb_eid: entry.anidb_eid || null,
+      total_size: entry.total_size || 0,
+      seeders: entry.seeders || 0,
+      leechers: entry.leechers || 0,
+      resolution: parsed.video_resolution || null,
+      release_group: parsed.release_group || null,
+      feed: feed.name,
+      preferredResolution: feed.resolution
+    };
+
+    // Generic feeds carry no AniDB IDs, so they are resolved through the AniList ID set on the feed
+    if (!episode.anidb_aid && feed.anilistId && parsed.episode_number) {
+      const anizipData = await this.getAnimeMappings(feed.anilistId);
+      const episodeMatch = anizipData?.episodes?.[String(parseInt(parsed.episode_number))];
+
+      if (anizipData?.mappings?.anidb_id && episodeMatch) {
+        episode.anidb_aid = anizipData.mappings.anidb_id;
+        episode.anidb_eid = episodeMatch.anidbEid;
+      }
+    }
+
+    return episode;
+  }
+
+  async getAnimeMappings(anilistId) {
+    if (!this.mappingsCache.has(anilistId)) {
+      this.mappingsCache.set(anilistId, await this.aniZipService.getAnimeMappings(anilistId));
+    }
+
+    return this.mappingsCache.get(anilistId);
+  }
+
+  parseXmlFeed(xml) {
+    const blocks = xml.match(/<(item|entry)\b[\s\S]*?<\/\1>/g) || [];
+
+    return blocks.map(block => {
+      const link = this.getXmlTag(block, 'link');
+      const atomLink = block.match(/<link\b[^>]*href="([^"]+)"/);
+      const enclosure = block.match(/<enclosure\b[^>]*url="([^"]+)"/);
+      const torrentUrl = enclosure ? this.decodeXml(enclosure[1]) : (link || (atomLink ? this.decodeXml(atomLink[1]) : ''));
+      const infoHash = this.getXmlTag(block, 'nyaa:infoHash') ||
+        torrentUrl.match(/xt=urn:btih:([a-f0-9]{40})/i)?.[1];
+
+      return {
+        title: this.getXmlTag(block, 'title'),
+        torrent_url: torrentUrl,
+        info_hash: infoHash ? infoHash.toLowerCase() : null,
+        total_size: this.parseSize(this.getXmlTag(block, 'nyaa:size') || this.getXmlTag(block, 'contentLength')),
+        seeders: parseInt(this.getXmlTag(block, 'nyaa:seeders')) || 0,
+        leechers: parseInt(this.getXmlTag(block, 'nyaa:leechers')) || 0
+      };
+    });
+  }
+
+  getXmlTag(block, tagName) {
+    const match = block.match(new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`));
+    if (!match) {
+      return null;
+    }
+
+    const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return cdata ? cdata[1].trim() : this.decodeXml(match[1].trim());
+  }
+
+  decodeXml(value) {
+    return value
+      .replace(/&(amp|lt|gt|quot|apos|#39);/g, entity => XML_ENTITIES[entity])
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)));
+  }
+
+  parseSize(value) {
+    if (!value) {
+      return 0;
+    }
+
+    const match = String(value).trim().match(/^([\d.]+)\s*([a-z]*)$/i);
+    if (!match) {
+      return 0;
+    }
+
+    const unit = SIZE_UNITS[(match[2] || 'b').toLowerCase()] || 1;
+    return Math.round(parseFloat(match[1]) * unit);
+  }
+
+  isRegexPattern(pattern) {
+    return /^\/.+\/[gimsuy]*$/.test(pattern);
+  }
+
+  // Plain patterns are case-insensitive substrings, "/.../flags" patterns are regular expressions
+  matchesPattern(title, pattern) {
+    if (this.isRegexPattern(pattern)) {
+      const lastSlash = pattern.lastIndexOf('/');
+      return new RegExp(pattern.slice(1, lastSlash), pattern.slice(lastSlash + 1)).test(title);
+    }
+
+    return title.toLowerCase().includes(pattern.toLowerCase());
+  }
+
+  matchesFilters(title, feed) {
+    return feed.include.every(pattern => this.matchesPattern(title, pattern)) &&
+      !feed.exclude.some(pattern => this.matchesPattern(title, pattern));
+  }
+}
+
+module.exports = FeedService;
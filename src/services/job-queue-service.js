@@ -0,0 +1,194 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { Logger } = require('../utils/logger');
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  DOWNLOADING: 'downloading',
+  UPLOADING: 'uploading',
+  IMPORTING: 'importing',
+  SUBTITLES: 'subtitles',
+  EPISODE_REGISTERED: 'episode-registered',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+const FINISHED_STATES = [JOB_STATES.DONE, JOB_STATES.FAILED];
+
+class JobQueueService {
+  constructor(options = {}) {
+    if (!options.jobsFile) {
+      throw new Error('jobsFile is required');
+    }
+
+    this.jobsFile = options.jobsFile;
+    this.logger = options.logger || new Logger({ verbose: false, quiet: false });
+    this.maxAttempts = options.maxAttempts || 3;
+    this.jobs = [];
+    this.releases = {};
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.jobsFile, 'utf8');
+      const parsed = JSON.parse(data);
+      this.jobs = Array.isArray(parsed.jobs) ? parsed.jobs : [];
+      this.releases = parsed.releases || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warning(`Could not read job store, starting empty: ${error.message}`);
+      }
+      this.jobs = [];
+      this.releases = {};
+    }
+
+    return this.jobs;
+  }
+
+  save() {
+    // Pipeline stages update jobs concurrently, so writes are chained to keep them ordered
+    const write = this.pendingWrite.catch(() => {}).then(() => this.writeStore());
+    this.pendingWrite = write;
+    return write;
+  }
+
+  async writeStore() {
+    await fs.mkdir(path.dirname(this.jobsFile), { recursive: true });
+
+    // Write to a temp file first so a crash mid-write never leaves a truncated store
+    const tempFile = `${this.jobsFile}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify({ version: 1, jobs: this.jobs, releases: this.releases }, null, 2));
+    await fs.rename(tempFile, this.jobsFile);
+  }
+
+  getJob(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  getJobs(state = null) {
+    return state ? this.jobs.filter(job => job.state === state) : [...this.jobs];
+  }
+
+  isRetryable(job) {
+    return job.state === JOB_STATES.FAILED && job.attempts < this.maxAttempts;
+  }
+
+  getPendingJobs() {
+    return this.jobs
+      .filter(job => !FINISHED_STATES.includes(job.state) || this.isRetryable(job))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  async enqueue(id, episode, data = {}) {
+    const existing = this.getJob(id);
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      state: JOB_STATES.QUEUED,
+      attempts: 0,
+      episode,
+      data,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.push(job);
+    await this.save();
+    return job;
+  }
+
+  async updateState(id, state, data = {}) {
+    const job = this.getJob(id);
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+
+    if (!Object.values(JOB_STATES).includes(state)) {
+      throw new Error(`Invalid job state: ${state}`);
+    }
+
+    job.state = state;
+    job.data = { ...job.data, ...data };
+    job.updatedAt = new Date().toISOString();
+    await this.save();
+    return job;
+  }
+
+  async start(id) {
+    const job = this.getJob(id);
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+
+    // A retry resumes from the stage that failed; stages that finished keep their results so the
+    // episode is never imported twice. Cleanup after a failure clears the data it invalidated.
+    if (job.state === JOB_STATES.FAILED) {
+      job.state = job.failedState && !FINISHED_STATES.includes(job.failedState)
+        ? job.failedState
+        : JOB_STATES.QUEUED;
+    }
+
+    job.attempts++;
+    job.error = null;
+    job.updatedAt = new Date().toISOString();
+    await this.save();
+    return job;
+  }
+
+  async markFailed(id, error) {
+    const job = this.getJob(id);
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+
+    job.failedState = job.state;
+    job.state = JOB_STATES.FAILED;
+    job.error = error instanceof Error ? error.message : String(error);
+    job.updatedAt = new Date().toISOString();
+    await this.save();
+    return job;
+  }
+
+  async markDone(id, data = {}) {
+    return this.updateState(id, JOB_STATES.DONE, data);
+  }
+
+  // Imported releases are kept after their jobs are pruned so upgrades can compare against them
+  getRelease(key) {
+    return this.releases[key] || null;
+  }
+
+  async recordRelease(key, release) {
+    this.releases[key] = { ...release, importedAt: new Date().toISOString() };
+    await this.save();
+  }
+
+  async prune(maxAgeDays = 7) {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const before = this.jobs.length;
+
+    this.jobs = this.jobs.filter(job => {
+      const finished = job.state === JOB_STATES.DONE ||
+        (job.state === JOB_STATES.FAILED && !this.isRetryable(job));
+      return !finished || new Date(job.updatedAt).getTime() > cutoff;
+    });
+
+    const removed = before - this.jobs.length;
+    if (removed > 0) {
+      await this.save();
+      this.logger.verbose(`Pruned ${removed} finished jobs from job store`);
+    }
+
+    return removed;
+  }
+}
+
+JobQueueService.STATES = JOB_STATES;
+
+module.exports = JobQueueService;
@@ -0,0 +1,180 @@
+const os = require('os');
+const { spawn } = require('child_process');
+const { Logger } = require('../utils/logger');
+
+const EVENTS = {
+  EPISODE_PUBLISHED: 'episode.published',
+  IMPORT_TIMEOUT: 'import.timeout',
+  IMPORT_FAILED: 'import.failed',
+  SUBTITLES_FAILED: 'subtitles.failed',
+  DISK_SPACE_STOP: 'disk-space.stop'
+};
+
+const DISCORD_COLORS = {
+  [EVENTS.EPISODE_PUBLISHED]: 0x2ecc71,
+  [EVENTS.IMPORT_TIMEOUT]: 0xe67e22,
+  [EVENTS.IMPORT_FAILED]: 0xe74c3c,
+  [EVENTS.SUBTITLES_FAILED]: 0xf1c40f,
+  [EVENTS.DISK_SPACE_STOP]: 0xe74c3c
+};
+
+const DISCORD_TITLES = {
+  [EVENTS.EPISODE_PUBLISHED]: '✅ Episode published',
+  [EVENTS.IMPORT_TIMEOUT]: '⏱️ PeerTube import timed out',
+  [EVENTS.IMPORT_FAILED]: '❌ PeerTube import failed',
+  [EVENTS.SUBTITLES_FAILED]: '⚠️ Subtitle extraction failed',
+  [EVENTS.DISK_SPACE_STOP]: '🚨 Processing stopped: low disk space'
+};
+
+const REQUEST_TIMEOUT = 10000;
+const COMMAND_TIMEOUT = 30000;
+
+class NotificationService {
+  constructor(options = {}) {
+    this.webhookUrl = options.webhookUrl || null;
+    this.discordWebhookUrl = options.discordWebhookUrl || null;
+    this.command = options.command || null;
+    this.logger = options.logger || new Logger({ verbose: false, quiet: false });
+
+    // Notifications are optional, so a mistyped event is skipped instead of stopping every upload
+    const events = (options.events || []).map(event => String(event).toLowerCase());
+    const unknown = events.filter(event => !Object.values(EVENTS).includes(event));
+    if (unknown.length > 0 && this.isEnabled()) {
+      this.logger.warning(`Ignoring unknown notification events: ${unknown.join(', ')} (use ${Object.values(EVENTS).join(', ')})`);
+    }
+    this.events = events.length > 0 ? events.filter(event => !unknown.includes(event)) : Object.values(EVENTS);
+  }
+
+  isEnabled() {
+    return !!(this.webhookUrl || this.discordWebhookUrl || this.command);
+  }
+
+  buildPayload(event, data = {}) {
+    return {
+      event,
+      timestamp: new Date().toISOString(),
+      host: os.hostname(),
+      data
+    };
+  }
+
+  // Notifications never interrupt an upload, so delivery failures are only logged
+  async notify(event, data = {}) {
+    if (!this.isEnabled() || !this.events.includes(event)) {
+      return [];
+    }
+
+    const payload = this.buildPayload(event, data);
+    const targets = [];
+
+    if (this.webhookUrl) {
+      targets.push(['webhook', () => this.postJson(this.webhookUrl, payload)]);
+    }
+    if (this.discordWebhookUrl) {
+      targets.push(['discord', () => this.postJson(this.discordWebhookUrl, this.buildDiscordPayload(payload))]);
+    }
+    if (this.command) {
+      targets.push(['command', () => this.runCommand(payload)]);
+    }
+
+    const results = await Promise.allSettled(targets.map(([, send]) => send()));
+
+    return results.map((result, index) => {
+      const target = targets[index][0];
+      if (result.status === 'rejected') {
+        this.logger.warning(`Failed to send ${event} notification via ${target}: ${result.reason.message}`);
+        return { target, success: false, error: result.reason.message };
+      }
+      this.logger.verbose(`Sent ${event} notification via ${target}`);
+      return { target, success: true };
+    });
+  }
+
+  async postJson(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'anitorrent-cli'
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+  }
+
+  buildDiscordPayload(payload) {
+    const { data } = payload;
+    const fields = Object.entries(data)
+      .filter(([key, value]) => value !== null && value !== undefined && value !== '' && !['title', 'url'].includes(key))
+      .slice(0, 25)
+      .map(([key, value]) => ({
+        name: key,
+        value: String(typeof value === 'object' ? JSON.stringify(value) : value).slice(0, 1024),
+        inline: String(value).length < 40
+      }));
+
+    return {
+      username: 'AniTorrent CLI',
+      embeds: [{
+        title: DISCORD_TITLES[payload.event] || payload.event,
+        description: data.title || data.fileName || undefined,
+        url: data.url || undefined,
+        color: DISCORD_COLORS[payload.event],
+        fields,
+        footer: { text: payload.host },
+        timestamp: payload.timestamp
+      }]
+    };
+  }
+
+  // The payload is written to stdin and ANITORRENT_PAYLOAD, the event name is exposed as ANITORRENT_EVENT
+  runCommand(payload) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, {
+        shell: true,
+        stdio: ['pipe', 'ignore', 'pipe'],
+        env: {
+          ...process.env,
+          ANITORRENT_EVENT: payload.event,
+          ANITORRENT_PAYLOAD: JSON.stringify(payload)
+        }
+      });
+
+      let stderr = '';
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`Command timed out after ${COMMAND_TIMEOUT / 1000} seconds`));
+      }, COMMAND_TIMEOUT);
+
+      child.stderr.on('data', chunk => {
+        stderr += chunk.toString();
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`Command exited with code ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+        }
+      });
+
+      // Commands that ignore stdin may close it before the payload is written
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify(payload));
+    });
+  }
+}
+
+NotificationService.EVENTS = EVENTS;
+
+module.exports = NotificationService;
@@ -1,5 +1,28 @@
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const ConfigEncryption = require('../utils/encryption');
+
+const MB = 1024 * 1024;
+const DEFAULT_UPLOAD_CHUNK_SIZE_MB = 8;
+const MAX_CHUNK_RETRIES = 5;
+const MAX_STATUS_ERRORS = 6;
+// Status polls happen every 10 seconds; the import list is only read on every sixth one
+const IMPORT_CHECK_INTERVAL = 6;
+
+// Import states 3-5 (Failed, Rejected, Cancelled) never recover on their own
+const FAILED_IMPORT_STATES = [3, 4, 5];
+// Video states 7, 8 and 11 are transcoding and storage move failures
+const FAILED_VIDEO_STATES = [7, 8, 11];
+
+const VIDEO_MIME_TYPES = {
+    '.mkv': 'video/x-matroska',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.avi': 'video/x-msvideo',
+    '.mov': 'video/quicktime',
+    '.m4v': 'video/mp4'
+};
 
 class PeerTubeService {
     constructor(config) {
@@ -7,6 +30,9 @@ class PeerTubeService {
         this.username = config.username;
         this.password = config.password;
         this.tokenFile = config.tokenFile || '.peertube-token.json';
+        this.tokenPassphrase = config.tokenPassphrase || null;
+        this.uploadChunkSizeMb = parseInt(config.uploadChunkSizeMb) || DEFAULT_UPLOAD_CHUNK_SIZE_MB;
+        this.uploadStateDir = config.uploadStateDir || null;
         this.tokens = null;
     }
 
@@ -48,8 +74,10 @@ class PeerTubeService {
 
     async loadTokensFromFile() {
         try {
-            const data = await fs.readFile(this.tokenFile, 'utf8');
-            this.tokens = JSON.parse(data);
+            const data = JSON.parse(await fs.readFile(this.tokenFile, 'utf8'));
+            this.tokens = ConfigEncryption.isEncrypted(data)
+                ? ConfigEncryption.decryptJson(data, this.tokenPassphrase)
+                : data;
             return this.tokens;
         } catch (error) {
             return null;
@@ -59,7 +87,9 @@ class PeerTubeService {
     async saveTokensToFile(tokens) {
         try {
             await this.ensureTokenDir();
-            await fs.writeFile(this.tokenFile, JSON.stringify(tokens, null, 2));
+            // Tokens are encrypted with the same passphrase as an encrypted config
+            const data = this.tokenPassphrase ? ConfigEncryption.encryptJson(tokens, this.tokenPassphrase) : tokens;
+            await fs.writeFile(this.tokenFile, JSON.stringify(data, null, 2), { mode: 0o600 });
             this.tokens = tokens;
         } catch (error) {
             console.error('Error saving tokens to file:', error.message);
@@ -181,6 +211,265 @@ class PeerTubeService {
         }
     }
 
+    async uploadVideoResumable(filePath, options = {}) {
+        const {
+            channelId = 3,
+            name = null,
+            privacy = 5,
+            videoPasswords = ['AniTorrent108'],
+            chunkSizeMb = this.uploadChunkSizeMb,
+            onProgress = null
+        } = options;
+
+        try {
+            const stats = await fs.stat(filePath);
+            const chunkSize = Math.max(1, parseInt(chunkSizeMb)) * MB;
+            const reportProgress = (loaded) => {
+                if (onProgress) {
+                    onProgress({
+                        loaded,
+                        total: stats.size,
+                        percent: stats.size > 0 ? Math.round((loaded / stats.size) * 100) : 100
+                    });
+                }
+            };
+
+            let state = await this.loadResumableUploadState(filePath, stats, channelId);
+            let offset = 0;
+
+            if (state) {
+                offset = await this.getResumableUploadOffset(state.uploadUrl, stats.size);
+                if (offset === null) {
+                    await this.deleteResumableUploadState(filePath);
+                    state = null;
+                }
+            }
+
+            if (!state) {
+                const uploadUrl = await this.initResumableUpload(filePath, stats.size, {
+                    channelId,
+                    name: name || path.parse(filePath).name,
+                    privacy,
+                    videoPasswords
+                });
+
+                state = {
+                    uploadUrl,
+                    filePath,
+                    size: stats.size,
+                    mtimeMs: stats.mtimeMs,
+                    channelId,
+                    createdAt: new Date().toISOString()
+                };
+                await this.saveResumableUploadState(state);
+                offset = 0;
+            }
+
+            reportProgress(offset);
+
+            const handle = await fs.open(filePath, 'r');
+            let result = null;
+            let failures = 0;
+
+            try {
+                while (!result) {
+                    const end = Math.min(offset + chunkSize, stats.size);
+                    const chunk = Buffer.alloc(end - offset);
+                    await handle.read(chunk, 0, chunk.length, offset);
+
+                    try {
+                        const response = await this.uploadResumableChunk(state.uploadUrl, chunk, offset, stats.size);
+                        failures = 0;
+
+                        if (response.video) {
+                            result = response;
+                            reportProgress(stats.size);
+                        } else {
+                            offset = response.offset;
+                            reportProgress(offset);
+                        }
+                    } catch (error) {
+                        failures++;
+                        if (error.permanent || failures > MAX_CHUNK_RETRIES) {
+                            throw error;
+                        }
+
+                        await this.sleep(failures * 2);
+
+                        // The server may have stored part of the failed chunk, so continue from what it reports
+                        const serverOffset = await this.getResumableUploadOffset(state.uploadUrl, stats.size);
+                        if (serverOffset === null) {
+                            throw error;
+                        }
+                        offset = serverOffset;
+                    }
+                }
+            } finally {
+                await handle.close();
+            }
+
+            await this.deleteResumableUploadState(filePath);
+            return result;
+        } catch (error) {
+            throw new Error(`Error uploading video: ${error.message}`);
+        }
+    }
+
+    async initResumableUpload(filePath, size, metadata) {
+        const accessToken = await this.getValidAccessToken();
+
+        const response = await fetch(`${this.apiUrl}/videos/upload-resumable`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+                'X-Upload-Content-Length': String(size),
+                'X-Upload-Content-Type': VIDEO_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+            },
+            body: JSON.stringify({
+                ...metadata,
+                filename: path.basename(filePath)
+            })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
+        }
+
+        const location = response.headers.get('location');
+        if (!location) {
+            throw new Error('No upload location returned by PeerTube');
+        }
+
+        return new URL(location, this.apiUrl).toString();
+    }
+
+    async uploadResumableChunk(uploadUrl, chunk, offset, size) {
+        const accessToken = await this.getValidAccessToken();
+
+        const response = await fetch(uploadUrl, {
+            method: 'PUT',
+            redirect: 'manual',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': String(chunk.length),
+                'Content-Range': `bytes ${offset}-${offset + chunk.length - 1}/${size}`
+            },
+            body: chunk
+        });
+
+        if (response.status === 308) {
+            return { offset: this.parseUploadRange(response.headers.get('range')) };
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            const error = new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
+            // Client errors will not go away on retry, except timeouts and rate limiting
+            error.permanent = response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status);
+            throw error;
+        }
+
+        return await response.json();
+    }
+
+    // Returns the number of bytes PeerTube has stored, or null when the upload no longer exists
+    async getResumableUploadOffset(uploadUrl, size) {
+        const accessToken = await this.getValidAccessToken();
+
+        const response = await fetch(uploadUrl, {
+            method: 'PUT',
+            redirect: 'manual',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Length': '0',
+                'Content-Range': `bytes */${size}`
+            }
+        });
+
+        if (response.status === 308) {
+            return this.parseUploadRange(response.headers.get('range'));
+        }
+
+        if ([400, 404, 410].includes(response.status)) {
+            return null;
+        }
+
+        throw new Error(`Error checking upload offset: HTTP error! status: ${response.status}`);
+    }
+
+    async cancelResumableUpload(uploadUrl) {
+        const accessToken = await this.getValidAccessToken();
+
+        try {
+            await fetch(uploadUrl, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
+        } catch (error) {
+            // The upload expires on the server anyway
+        }
+    }
+
+    parseUploadRange(range) {
+        const match = range && range.match(/bytes=\d+-(\d+)/);
+        return match ? parseInt(match[1]) + 1 : 0;
+    }
+
+    getResumableUploadStatePath(filePath) {
+        const hash = crypto.createHash('sha1').update(`${this.apiUrl}/${path.resolve(filePath)}`).digest('hex');
+        return path.join(this.uploadStateDir, `${hash}.json`);
+    }
+
+    // Returns the recorded upload for this file when the file and target channel are unchanged
+    async loadResumableUploadState(filePath, stats, channelId) {
+        if (!this.uploadStateDir) {
+            return null;
+        }
+
+        let state;
+        try {
+            state = JSON.parse(await fs.readFile(this.getResumableUploadStatePath(filePath), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        if (state.size === stats.size && state.mtimeMs === stats.mtimeMs && state.channelId === channelId) {
+            return state;
+        }
+
+        await this.cancelResumableUpload(state.uploadUrl);
+        await this.deleteResumableUploadState(filePath);
+        return null;
+    }
+
+    async saveResumableUploadState(state) {
+        if (!this.uploadStateDir) {
+            return;
+        }
+
+        await fs.mkdir(this.uploadStateDir, { recursive: true });
+        const statePath = this.getResumableUploadStatePath(state.filePath);
+        await fs.writeFile(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+        await fs.rename(`${statePath}.tmp`, statePath);
+    }
+
+    async deleteResumableUploadState(filePath) {
+        if (!this.uploadStateDir) {
+            return;
+        }
+
+        try {
+            await fs.unlink(this.getResumableUploadStatePath(filePath));
+        } catch (error) {
+            // No recorded upload for this file
+        }
+    }
+
     extractVideoNameFromUrl(url) {
         try {
             const decodedUrl = decodeURIComponent(url);
@@ -254,43 +543,339 @@ class PeerTubeService {
         }
     }
 
+    // Only a 404 means the video is gone; any other failure is thrown so callers never assume it was deleted
+    async videoExists(videoId) {
+        const accessToken = await this.getValidAccessToken();
+
+        try {
+            const response = await fetch(`${this.apiUrl}/videos/${videoId}`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
+
+            if (response.status === 404) {
+                return false;
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return true;
+        } catch (error) {
+            throw new Error(`Error checking video ${videoId}: ${error.message}`);
+        }
+    }
+
+    async deleteVideo(videoId) {
+        const accessToken = await this.getValidAccessToken();
+        
+        try {
+            const response = await fetch(`${this.apiUrl}/videos/${videoId}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return true;
+        } catch (error) {
+            throw new Error(`Error deleting video: ${error.message}`);
+        }
+    }
+
+    async updateVideo(videoId, updates = {}) {
+        const accessToken = await this.getValidAccessToken();
+
+        try {
+            const response = await fetch(`${this.apiUrl}/videos/${videoId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                body: JSON.stringify(updates)
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
+            }
+
+            return true;
+        } catch (error) {
+            throw new Error(`Error updating video: ${error.message}`);
+        }
+    }
+
+    async updateThumbnail(videoId, imagePath) {
+        const extension = path.extname(imagePath).toLowerCase();
+        const mimeType = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png' }[extension];
+
+        if (!mimeType) {
+            throw new Error(`Error updating thumbnail: unsupported image type ${extension || '(none)'} (use .jpg or .png)`);
+        }
+
+        const accessToken = await this.getValidAccessToken();
+
+        try {
+            const image = new Blob([await fs.readFile(imagePath)], { type: mimeType });
+            const form = new FormData();
+            // PeerTube uses the thumbnail for listings and the preview for the player poster
+            form.append('thumbnailfile', image, path.basename(imagePath));
+            form.append('previewfile', image, path.basename(imagePath));
+
+            const response = await fetch(`${this.apiUrl}/videos/${videoId}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                body: form
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
+            }
+
+            return true;
+        } catch (error) {
+            throw new Error(`Error updating thumbnail: ${error.message}`);
+        }
+    }
+
+    async listCaptions(videoId) {
+        const accessToken = await this.getValidAccessToken();
+
+        try {
+            const response = await fetch(`${this.apiUrl}/videos/${videoId}/captions`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            throw new Error(`Error listing captions: ${error.message}`);
+        }
+    }
+
+    // Replaces any existing caption in the same language
+    async uploadCaption(videoId, language, content, fileName = `${language}.vtt`) {
+        const accessToken = await this.getValidAccessToken();
+
+        try {
+            const form = new FormData();
+            form.append('captionfile', new Blob([content], { type: 'text/vtt' }), fileName);
+
+            const response = await fetch(`${this.apiUrl}/videos/${videoId}/captions/${language}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                body: form
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
+            }
+
+            return true;
+        } catch (error) {
+            throw new Error(`Error uploading caption: ${error.message}`);
+        }
+    }
+
+    async deleteCaption(videoId, language) {
+        const accessToken = await this.getValidAccessToken();
+
+        try {
+            const response = await fetch(`${this.apiUrl}/videos/${videoId}/captions/${language}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return true;
+        } catch (error) {
+            throw new Error(`Error deleting caption: ${error.message}`);
+        }
+    }
+
+    async getVideoCategories() {
+        try {
+            const response = await fetch(`${this.apiUrl}/videos/categories`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            throw new Error(`Error getting video categories: ${error.message}`);
+        }
+    }
+
+    async getVideoLanguages() {
+        try {
+            const response = await fetch(`${this.apiUrl}/videos/languages`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            throw new Error(`Error getting video languages: ${error.message}`);
+        }
+    }
+
     sleep(seconds) {
         return new Promise(resolve => setTimeout(resolve, seconds * 1000));
     }
 
-    async waitForProcessing(videoId, maxWaitMinutes = 120) {
+    async waitForProcessing(videoId, maxWaitMinutes = 120, options = {}) {
+        const { importId = null } = options;
         const maxAttempts = (maxWaitMinutes * 60) / 10;
         let attempts = 0;
-        let lastStatus = '';
+        let consecutiveErrors = 0;
+        let lastError = null;
+        // Found by paging once, then looked up through its target URL, which is a single short request
+        let importTargetUrl = null;
+        let importMissing = false;
         
         while (attempts < maxAttempts) {
             try {
                 const video = await this.getVideoById(videoId);
                 const state = video.state?.label || 'Unknown';
-                
-                if (state !== lastStatus) {
-                    lastStatus = state;
+                consecutiveErrors = 0;
+
+                if (FAILED_VIDEO_STATES.includes(video.state?.id)) {
+                    return { success: false, failed: true, finalState: state, error: null, video };
                 }
                 
                 const pendingStates = ['Pending', 'To import'];
                 if (!pendingStates.includes(state)) {
                     return { success: true, finalState: state, video };
                 }
-                
-                if (attempts < maxAttempts - 1) {
-                    await this.sleep(10);
+
+                // A failed import leaves the video waiting in "To import", so only the import itself shows the failure
+                if (importId && !importMissing && attempts % IMPORT_CHECK_INTERVAL === 0) {
+                    const videoImport = await this.findMyImport(importId, 500, { targetUrl: importTargetUrl });
+                    if (!videoImport) {
+                        // Not found through its URL, so the next check pages through the list again
+                        importMissing = !importTargetUrl;
+                        importTargetUrl = null;
+                    } else if (FAILED_IMPORT_STATES.includes(videoImport.state?.id)) {
+                        return {
+                            success: false,
+                            failed: true,
+                            finalState: `Import ${videoImport.state.label}`,
+                            error: videoImport.error || null,
+                            video: null
+                        };
+                    } else {
+                        importTargetUrl = videoImport.targetUrl || null;
+                    }
                 }
                 
             } catch (error) {
-                if (attempts < maxAttempts - 1) {
-                    await this.sleep(10);
+                lastError = error;
+                consecutiveErrors++;
+
+                // A video that keeps failing to load was most likely deleted or is unreachable
+                if (consecutiveErrors >= MAX_STATUS_ERRORS) {
+                    return { success: false, failed: true, finalState: 'Error', error: error.message, video: null };
                 }
             }
+
+            if (attempts < maxAttempts - 1) {
+                await this.sleep(10);
+            }
             
             attempts++;
         }
         
-        return { success: false, finalState: 'Timeout', video: null };
+        return { success: false, failed: false, finalState: 'Timeout', error: lastError ? lastError.message : null, video: null };
+    }
+
+    async listMyImports(options = {}) {
+        const { start = 0, count = 25, targetUrl = null } = options;
+        const accessToken = await this.getValidAccessToken();
+
+        const params = new URLSearchParams({ start, count, sort: '-createdAt' });
+        if (targetUrl) {
+            params.append('targetUrl', targetUrl);
+        }
+
+        try {
+            const response = await fetch(`${this.apiUrl}/users/me/videos/imports?${params}`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            throw new Error(`Error listing imports: ${error.message}`);
+        }
+    }
+
+    // The API has no single-import endpoint, so recent imports (with targetUrl, only that file's) are searched instead
+    async findMyImport(importId, maxImports = 500, options = {}) {
+        const { targetUrl = null } = options;
+        for (let start = 0; start < maxImports; start += 100) {
+            const data = await this.listMyImports({ start, count: 100, targetUrl });
+            const videoImport = data.data.find(item => String(item.id) === String(importId));
+
+            if (videoImport) {
+                return videoImport;
+            }
+            if (data.data.length < 100) {
+                break;
+            }
+        }
+
+        return null;
+    }
+
+    async getVideoPasswords(videoId) {
+        const accessToken = await this.getValidAccessToken();
+
+        try {
+            const response = await fetch(`${this.apiUrl}/videos/${videoId}/passwords?count=100`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return data.data.map(item => item.password);
+        } catch (error) {
+            throw new Error(`Error getting video passwords: ${error.message}`);
+        }
     }
 
     async getCurrentUser() {
@@ -397,6 +982,132 @@ class PeerTubeService {
             throw new Error(`Error adding video to playlist: ${error.message}`);
         }
     }
+
+    async listMyPlaylists() {
+        const user = await this.getCurrentUser();
+        const accessToken = await this.getValidAccessToken();
+        const playlists = [];
+
+        try {
+            while (true) {
+                const response = await fetch(`${this.apiUrl}/accounts/${user.account.name}/video-playlists?start=${playlists.length}&count=100&sort=-updatedAt`, {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`
+                    }
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const data = await response.json();
+                playlists.push(...data.data);
+
+                if (data.data.length === 0 || playlists.length >= data.total) {
+                    return playlists;
+                }
+            }
+        } catch (error) {
+            throw new Error(`Error listing playlists: ${error.message}`);
+        }
+    }
+
+    async getPlaylist(playlistId) {
+        const accessToken = await this.getValidAccessToken();
+
+        try {
+            const response = await fetch(`${this.apiUrl}/video-playlists/${playlistId}`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            throw new Error(`Error getting playlist: ${error.message}`);
+        }
+    }
+
+    // Returns playlist elements ({ id, position, video }) ordered by position
+    async getPlaylistElements(playlistId) {
+        const accessToken = await this.getValidAccessToken();
+        const elements = [];
+
+        try {
+            while (true) {
+                const response = await fetch(`${this.apiUrl}/video-playlists/${playlistId}/videos?start=${elements.length}&count=100`, {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`
+                    }
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const data = await response.json();
+                elements.push(...data.data);
+
+                if (data.data.length === 0 || elements.length >= data.total) {
+                    return elements.sort((a, b) => a.position - b.position);
+                }
+            }
+        } catch (error) {
+            throw new Error(`Error getting playlist videos: ${error.message}`);
+        }
+    }
+
+    async removeVideoFromPlaylist(playlistId, playlistElementId) {
+        const accessToken = await this.getValidAccessToken();
+
+        try {
+            const response = await fetch(`${this.apiUrl}/video-playlists/${playlistId}/videos/${playlistElementId}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return true;
+        } catch (error) {
+            throw new Error(`Error removing video from playlist: ${error.message}`);
+        }
+    }
+
+    // Positions are 1-based, insertAfterPosition 0 moves the elements to the start
+    async reorderPlaylist(playlistId, startPosition, insertAfterPosition, reorderLength = 1) {
+        const accessToken = await this.getValidAccessToken();
+
+        try {
+            const response = await fetch(`${this.apiUrl}/video-playlists/${playlistId}/videos/reorder`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                body: JSON.stringify({ startPosition, insertAfterPosition, reorderLength })
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
+            }
+
+            return true;
+        } catch (error) {
+            throw new Error(`Error reordering playlist: ${error.message}`);
+        }
+    }
 }
 
+PeerTubeService.FAILED_IMPORT_STATES = FAILED_IMPORT_STATES;
+
 module.exports = PeerTubeService; 
\ No newline at end of file
@@ -262,6 +262,114 @@ class PostgreSQLService {
         }
     }
 
+    async getEpisodeShortUUIDs() {
+        const query = `
+            SELECT "shortUUID"
+            FROM peertube_episode 
+            WHERE "shortUUID" IS NOT NULL
+        `;
+
+        try {
+            const result = await this.pool.query(query);
+            return result.rows.map(row => row.shortUUID);
+        } catch (error) {
+            throw new Error(`Database query failed: ${error.message}`);
+        }
+    }
+
+    async ensureWatchlistTable() {
+        const query = `
+            CREATE TABLE IF NOT EXISTS rss_watchlist (
+                "idAnilist" INTEGER PRIMARY KEY,
+                title TEXT,
+                "subtitleTrack" INTEGER,
+                "useTitle" BOOLEAN NOT NULL DEFAULT FALSE,
+                "releaseGroup" TEXT,
+                "episodeOffset" INTEGER NOT NULL DEFAULT 0,
+                "createdAt" TIMESTAMP NOT NULL DEFAULT NOW(),
+                "updatedAt" TIMESTAMP NOT NULL DEFAULT NOW()
+            )
+        `;
+
+        try {
+            await this.pool.query(query);
+        } catch (error) {
+            throw new Error(`Database query failed: ${error.message}`);
+        }
+    }
+
+    async getWatchlist() {
+        const query = `
+            SELECT 
+                "idAnilist",
+                title,
+                "subtitleTrack",
+                "useTitle",
+                "releaseGroup",
+                "episodeOffset",
+                "createdAt",
+                "updatedAt"
+            FROM rss_watchlist 
+            ORDER BY "createdAt" ASC
+        `;
+
+        try {
+            const result = await this.pool.query(query);
+            return result.rows;
+        } catch (error) {
+            throw new Error(`Database query failed: ${error.message}`);
+        }
+    }
+
+    async upsertWatchlistEntry(entry) {
+        const {
+            idAnilist,
+            title = null,
+            subtitleTrack = null,
+            useTitle = false,
+            releaseGroup = null,
+            episodeOffset = 0
+        } = entry;
+
+        const query = `
+            INSERT INTO rss_watchlist (
+                "idAnilist", title, "subtitleTrack", "useTitle", "releaseGroup",
+                "episodeOffset", "createdAt", "updatedAt"
+            ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+            ON CONFLICT ("idAnilist") DO UPDATE SET
+                title = EXCLUDED.title,
+                "subtitleTrack" = EXCLUDED."subtitleTrack",
+                "useTitle" = EXCLUDED."useTitle",
+                "releaseGroup" = EXCLUDED."releaseGroup",
+                "episodeOffset" = EXCLUDED."episodeOffset",
+                "updatedAt" = NOW()
+            RETURNING *
+        `;
+
+        try {
+            const result = await this.pool.query(query, [
+                idAnilist, title, subtitleTrack, useTitle, releaseGroup, episodeOffset
+            ]);
+            return result.rows[0];
+        } catch (error) {
+            throw new Error(`Database insert failed: ${error.message}`);
+        }
+    }
+
+    async deleteWatchlistEntry(anilistId) {
+        const query = `
+            DELETE FROM rss_watchlist 
+            WHERE "idAnilist" = $1
+        `;
+
+        try {
+            const result = await this.pool.query(query, [anilistId]);
+            return result.rowCount > 0;
+        } catch (error) {
+            throw new Error(`Database delete failed: ${error.message}`);
+        }
+    }
+
     async close() {
         await this.pool.end();
     }
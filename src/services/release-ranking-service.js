@@ -0,0 +1,83 @@
+const CODEC_PATTERNS = [
+  { codec: 'AV1', pattern: /\bAV1\b/i },
+  { codec: 'HEVC', pattern: /\b(HEVC|x265|H\.?265)\b/i },
+  { codec: 'AVC', pattern: /\b(AVC|x264|H\.?264)\b/i }
+];
+
+// Each component outweighs all the ones below it combined, as long as RSS_GROUP_PRIORITY has fewer than
+// 100 groups, RSS_CODEC_PRIORITY at most 5 codecs and resolutions differ by at least 60p (standard ones do).
+// --upgrade compares against scores recorded by earlier runs, so changing a weight re-ranks those episodes
+const WEIGHTS = {
+  preferredGroup: 1e9,
+  groupPriority: 1e7,
+  preferredResolution: 5e6,
+  resolutionLine: 1e3,
+  codecPriority: 1e4,
+  version: 1e3,
+  japaneseAudio: 100,
+  maxSeeders: 99
+};
+
+class ReleaseRankingService {
+  constructor(options = {}) {
+    this.groupPriority = (options.groupPriority || []).map(group => group.toLowerCase());
+    this.codecPriority = (options.codecPriority || ['AVC', 'HEVC', 'AV1']).map(codec => codec.toUpperCase());
+  }
+
+  describe(episode) {
+    const title = episode.title || '';
+    const resolutionMatch = title.match(/\b(\d{3,4})p\b/i);
+    const versionMatch = title.match(/\bv(\d+)\b/i) || title.match(/\d+v(\d+)\b/i);
+    const groupMatch = title.match(/^\[([^\]]+)\]/);
+
+    return {
+      group: episode.release_group || (groupMatch ? groupMatch[1] : null),
+      resolution: episode.resolution || (resolutionMatch ? `${resolutionMatch[1]}p` : null),
+      // Releases rarely tag plain H.264, so an untagged release counts as AVC
+      codec: (CODEC_PATTERNS.find(({ pattern }) => pattern.test(title)) || {}).codec || 'AVC',
+      version: versionMatch ? parseInt(versionMatch[1]) : 1,
+      repack: /\b(REPACK|PROPER)\b/i.test(title),
+      japaneseAudio: title.includes('(JA)'),
+      seeders: parseInt(episode.seeders) || 0
+    };
+  }
+
+  score(episode, context = {}) {
+    const release = this.describe(episode);
+    const group = release.group ? release.group.toLowerCase() : null;
+    let score = 0;
+
+    if (context.preferredGroup && group === context.preferredGroup.toLowerCase()) {
+      score += WEIGHTS.preferredGroup;
+    }
+
+    const groupIndex = group ? this.groupPriority.indexOf(group) : -1;
+    if (groupIndex !== -1) {
+      score += (this.groupPriority.length - groupIndex) * WEIGHTS.groupPriority;
+    }
+
+    const preferredResolution = context.preferredResolution || episode.preferredResolution;
+    if (preferredResolution && release.resolution === preferredResolution) {
+      score += WEIGHTS.preferredResolution;
+    } else if (release.resolution) {
+      score += Math.min(parseInt(release.resolution), 4320) * WEIGHTS.resolutionLine;
+    }
+
+    const codecIndex = this.codecPriority.indexOf(release.codec);
+    if (codecIndex !== -1) {
+      score += (this.codecPriority.length - codecIndex) * WEIGHTS.codecPriority;
+    }
+
+    score += Math.min(release.version - 1 + (release.repack ? 1 : 0), 9) * WEIGHTS.version;
+
+    if (release.japaneseAudio) {
+      score += WEIGHTS.japaneseAudio;
+    }
+
+    score += Math.min(release.seeders, WEIGHTS.maxSeeders);
+
+    return score;
+  }
+}
+
+module.exports = ReleaseRankingService;
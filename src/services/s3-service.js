@@ -1,5 +1,14 @@
 const AWS = require('aws-sdk');
 const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MB = 1024 * 1024;
+const MIN_PART_SIZE = 5 * MB;
+const MAX_PARTS = 10000;
+const DEFAULT_PART_SIZE_MB = 16;
+const DEFAULT_UPLOAD_CONCURRENCY = 4;
 
 class S3Service {
     constructor(config) {
@@ -13,31 +22,419 @@ class S3Service {
         });
         this.bucketName = config.bucketName;
         this.publicDomain = config.publicDomain || 'https://link.storjshare.io/raw/jwrbj2f6pcl4pkhmlag5tulgcwya/video-metadata';
+        this.partSizeMb = parseInt(config.partSizeMb) || DEFAULT_PART_SIZE_MB;
+        this.uploadConcurrency = parseInt(config.uploadConcurrency) || DEFAULT_UPLOAD_CONCURRENCY;
+        this.uploadStateDir = config.uploadStateDir || null;
     }
 
-    async uploadFile(filePath, fileName, silent = false) {
+    async uploadFile(filePath, fileName, silent = false, options = {}) {
+        const {
+            onProgress = null,
+            partSizeMb = this.partSizeMb,
+            concurrency = this.uploadConcurrency,
+            skipIdentical = true,
+            // Reusing another key only suits callers that read the returned Key, never a fixed name
+            dedupe = false
+        } = options;
+
         try {
-            const fileBuffer = await fs.readFile(filePath);
-            
-            const params = {
-                Bucket: this.bucketName,
-                Key: fileName,
-                Body: fileBuffer,
-                ACL: 'public-read',
+            const stats = await fs.stat(filePath);
+            const partSize = this.getPartSize(stats.size, partSizeMb);
+            const multipart = stats.size > partSize;
+
+            const progressReporter = (phase) => (loaded) => {
+                if (onProgress) {
+                    const total = stats.size;
+                    onProgress({ phase, loaded, total, percent: total > 0 ? Math.floor((loaded / total) * 100) : 100 });
+                }
             };
 
+            const hashes = await this.hashFile(filePath, partSize, progressReporter('hashing'));
+            const expectedETag = this.getExpectedETag(hashes, multipart);
+
+            if (skipIdentical) {
+                const existingKey = await this.findIdenticalObject(fileName, stats.size, hashes.sha256, expectedETag, { searchFolder: dedupe });
+                if (existingKey) {
+                    if (!silent) {
+                        console.log(`Identical file already stored as ${existingKey}, skipping upload`);
+                    }
+                    return {
+                        Bucket: this.bucketName,
+                        Key: existingKey,
+                        ETag: `"${expectedETag}"`,
+                        sha256: hashes.sha256,
+                        skipped: true,
+                        reused: existingKey !== fileName,
+                        publicUrl: this.getPublicUrl(existingKey)
+                    };
+                }
+            }
+
             if (!silent) {
                 console.log(`Uploading ${fileName} to S3...`);
             }
-            const uploadResult = await this.s3.upload(params).promise();
+
+            const uploadResult = multipart
+                ? await this.uploadMultipart(filePath, fileName, stats, partSize, concurrency, hashes, progressReporter('uploading'))
+                : await this.uploadSinglePart(filePath, fileName, partSize, hashes, progressReporter('uploading'));
+
+            await this.verifyUpload(fileName, stats.size, hashes.sha256, expectedETag);
             const publicUrl = this.getPublicUrl(fileName);
 
-            return { ...uploadResult, publicUrl };
+            return { ...uploadResult, sha256: hashes.sha256, skipped: false, reused: false, publicUrl };
         } catch (error) {
             throw new Error(`Error uploading file: ${error.message}`);
         }
     }
 
+    getPartSize(fileSize, partSizeMb) {
+        const requested = Math.max(Math.round(partSizeMb * MB), MIN_PART_SIZE);
+        // S3 allows at most 10000 parts, so very large files get bigger parts
+        return Math.max(requested, Math.ceil(fileSize / MAX_PARTS));
+    }
+
+    async uploadSinglePart(filePath, fileName, partSize, hashes, reportProgress) {
+        const upload = this.s3.upload({
+            Bucket: this.bucketName,
+            Key: fileName,
+            Body: fsSync.createReadStream(filePath),
+            ACL: 'public-read',
+            ContentMD5: Buffer.from(hashes.md5, 'hex').toString('base64'),
+            Metadata: { sha256: hashes.sha256 },
+        }, { partSize, queueSize: 1 });
+
+        upload.on('httpUploadProgress', (progress) => reportProgress(progress.loaded));
+
+        const result = await upload.promise();
+        reportProgress((await fs.stat(filePath)).size);
+        return result;
+    }
+
+    async uploadMultipart(filePath, fileName, stats, partSize, concurrency, hashes, reportProgress) {
+        const partCount = Math.ceil(stats.size / partSize);
+        let state = await this.loadUploadState(fileName, filePath, stats, partSize, hashes.sha256);
+
+        if (!state) {
+            const created = await this.s3.createMultipartUpload({
+                Bucket: this.bucketName,
+                Key: fileName,
+                ACL: 'public-read',
+                Metadata: { sha256: hashes.sha256 },
+            }).promise();
+
+            state = {
+                uploadId: created.UploadId,
+                key: fileName,
+                filePath,
+                size: stats.size,
+                mtimeMs: stats.mtimeMs,
+                sha256: hashes.sha256,
+                partSize,
+                parts: [],
+                createdAt: new Date().toISOString()
+            };
+            await this.saveUploadState(state);
+        }
+
+        // Recorded parts whose ETag doesn't match the local checksum are uploaded again
+        state.parts = state.parts.filter(part => this.stripETag(part.ETag) === hashes.partMd5s[part.PartNumber - 1]);
+        const completedParts = new Map(state.parts.map(part => [part.PartNumber, part.ETag]));
+        const partLength = (partNumber) => Math.min(partSize, stats.size - (partNumber - 1) * partSize);
+        const inFlight = new Map();
+        let completedBytes = [...completedParts.keys()].reduce((sum, partNumber) => sum + partLength(partNumber), 0);
+        const report = () => reportProgress(completedBytes + [...inFlight.values()].reduce((sum, loaded) => sum + loaded, 0));
+
+        const pendingParts = [];
+        for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+            if (!completedParts.has(partNumber)) {
+                pendingParts.push(partNumber);
+            }
+        }
+
+        report();
+
+        const fileHandle = await fs.open(filePath, 'r');
+        let failed = false;
+        // Parts complete out of order, so state writes are chained to never lose a recorded part
+        let stateWrite = Promise.resolve();
+
+        const uploadNextParts = async () => {
+            while (!failed && pendingParts.length > 0) {
+                const partNumber = pendingParts.shift();
+                const length = partLength(partNumber);
+                const buffer = Buffer.alloc(length);
+                await fileHandle.read(buffer, 0, length, (partNumber - 1) * partSize);
+
+                const request = this.s3.uploadPart({
+                    Bucket: this.bucketName,
+                    Key: fileName,
+                    UploadId: state.uploadId,
+                    PartNumber: partNumber,
+                    Body: buffer,
+                    ContentLength: length,
+                    ContentMD5: Buffer.from(hashes.partMd5s[partNumber - 1], 'hex').toString('base64'),
+                });
+
+                request.on('httpUploadProgress', (progress) => {
+                    inFlight.set(partNumber, progress.loaded);
+                    report();
+                });
+
+                try {
+                    const result = await request.promise();
+                    if (this.stripETag(result.ETag) !== hashes.partMd5s[partNumber - 1]) {
+                        throw new Error(`checksum mismatch (ETag ${result.ETag})`);
+                    }
+                    completedParts.set(partNumber, result.ETag);
+                    completedBytes += length;
+                    state.parts.push({ PartNumber: partNumber, ETag: result.ETag });
+                    stateWrite = stateWrite.then(() => this.saveUploadState(state));
+                } catch (error) {
+                    failed = true;
+                    const partError = new Error(`Part ${partNumber}/${partCount} failed: ${error.message}`);
+                    partError.code = error.code;
+                    throw partError;
+                } finally {
+                    inFlight.delete(partNumber);
+                    report();
+                }
+            }
+        };
+
+        try {
+            const workers = Array.from({ length: Math.min(concurrency, pendingParts.length) }, () => uploadNextParts());
+            // Waits for every worker so none is still reading when the file is closed
+            const failure = (await Promise.allSettled(workers)).find(result => result.status === 'rejected');
+            if (failure) {
+                throw failure.reason;
+            }
+        } catch (error) {
+            if (error.code === 'NoSuchUpload') {
+                // The multipart upload expired on the server, the next attempt starts over
+                await this.deleteUploadState(fileName);
+            }
+            throw error;
+        } finally {
+            await stateWrite.catch(() => {});
+            await fileHandle.close();
+        }
+
+        const result = await this.s3.completeMultipartUpload({
+            Bucket: this.bucketName,
+            Key: fileName,
+            UploadId: state.uploadId,
+            MultipartUpload: {
+                Parts: [...completedParts.entries()]
+                    .sort(([a], [b]) => a - b)
+                    .map(([PartNumber, ETag]) => ({ PartNumber, ETag }))
+            }
+        }).promise();
+
+        await this.deleteUploadState(fileName);
+        return result;
+    }
+
+    // Computes the SHA-256 stored as metadata plus the MD5s S3 uses for single and multipart ETags
+    hashFile(filePath, partSize, reportProgress = () => {}) {
+        return new Promise((resolve, reject) => {
+            const sha256 = crypto.createHash('sha256');
+            const md5 = crypto.createHash('md5');
+            const partMd5s = [];
+            let partHash = crypto.createHash('md5');
+            let partBytes = 0;
+            let loaded = 0;
+
+            const stream = fsSync.createReadStream(filePath, { highWaterMark: MB });
+
+            stream.on('data', (chunk) => {
+                sha256.update(chunk);
+                md5.update(chunk);
+                loaded += chunk.length;
+
+                let offset = 0;
+                while (offset < chunk.length) {
+                    const take = Math.min(partSize - partBytes, chunk.length - offset);
+                    partHash.update(chunk.subarray(offset, offset + take));
+                    partBytes += take;
+                    offset += take;
+
+                    if (partBytes === partSize) {
+                        partMd5s.push(partHash.digest('hex'));
+                        partHash = crypto.createHash('md5');
+                        partBytes = 0;
+                    }
+                }
+
+                reportProgress(loaded);
+            });
+
+            stream.on('error', reject);
+
+            stream.on('end', () => {
+                if (partBytes > 0 || partMd5s.length === 0) {
+                    partMd5s.push(partHash.digest('hex'));
+                }
+                resolve({ sha256: sha256.digest('hex'), md5: md5.digest('hex'), partMd5s });
+            });
+        });
+    }
+
+    getExpectedETag(hashes, multipart) {
+        if (!multipart) {
+            return hashes.md5;
+        }
+
+        const combined = crypto.createHash('md5');
+        hashes.partMd5s.forEach(partMd5 => combined.update(Buffer.from(partMd5, 'hex')));
+        return `${combined.digest('hex')}-${hashes.partMd5s.length}`;
+    }
+
+    stripETag(etag) {
+        return String(etag || '').replace(/"/g, '').toLowerCase();
+    }
+
+    async headFile(fileName) {
+        try {
+            return await this.s3.headObject({ Bucket: this.bucketName, Key: fileName }).promise();
+        } catch (error) {
+            if (error.code === 'NotFound' || error.code === 'NoSuchKey' || error.statusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    isIdentical(head, size, sha256, expectedETag) {
+        if (!head || head.ContentLength !== size) {
+            return false;
+        }
+
+        // Objects uploaded before checksums were stored can still match on their ETag
+        const storedHash = head.Metadata && head.Metadata.sha256;
+        return storedHash ? storedHash === sha256 : this.stripETag(head.ETag) === expectedETag;
+    }
+
+    // Looks at the target key first, then (with searchFolder) at same-sized objects in the same folder
+    async findIdenticalObject(fileName, size, sha256, expectedETag, options = {}) {
+        if (this.isIdentical(await this.headFile(fileName), size, sha256, expectedETag)) {
+            return fileName;
+        }
+        if (!options.searchFolder) {
+            return null;
+        }
+
+        const folder = fileName.includes('/') ? fileName.slice(0, fileName.lastIndexOf('/') + 1) : '';
+        let candidates;
+        try {
+            candidates = (await this.listObjects(folder, { delimiter: '/' })).objects
+                .filter(object => object.key !== fileName && object.size === size);
+        } catch (error) {
+            // Listing may not be permitted for this key, in which case only the target key is checked
+            return null;
+        }
+
+        for (const candidate of candidates) {
+            if (this.isIdentical(await this.headFile(candidate.key), size, sha256, expectedETag)) {
+                return candidate.key;
+            }
+        }
+
+        return null;
+    }
+
+    async verifyUpload(fileName, size, sha256, expectedETag) {
+        const head = await this.headFile(fileName);
+
+        if (!head) {
+            throw new Error(`Verification failed: ${fileName} not found after upload`);
+        }
+        if (head.ContentLength !== size) {
+            throw new Error(`Verification failed: uploaded size ${head.ContentLength} does not match local size ${size}`);
+        }
+        if (head.Metadata && head.Metadata.sha256 && head.Metadata.sha256 !== sha256) {
+            throw new Error('Verification failed: stored checksum does not match the local file');
+        }
+
+        // Some providers use other ETag formats, so only MD5-style ETags are compared
+        const etag = this.stripETag(head.ETag);
+        if (/^[a-f0-9]{32}(-\d+)?$/.test(etag) && etag !== expectedETag) {
+            throw new Error(`Verification failed: ETag ${etag} does not match expected ${expectedETag}`);
+        }
+
+        return true;
+    }
+
+    getUploadStatePath(fileName) {
+        const hash = crypto.createHash('sha1').update(`${this.bucketName}/${fileName}`).digest('hex');
+        return path.join(this.uploadStateDir, `${hash}.json`);
+    }
+
+    // Returns the recorded multipart upload for this key when the local file is unchanged
+    async loadUploadState(fileName, filePath, stats, partSize, sha256) {
+        if (!this.uploadStateDir) {
+            return null;
+        }
+
+        let state;
+        try {
+            state = JSON.parse(await fs.readFile(this.getUploadStatePath(fileName), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        const unchanged = state.filePath === filePath &&
+            state.size === stats.size &&
+            state.mtimeMs === stats.mtimeMs &&
+            state.sha256 === sha256 &&
+            state.partSize === partSize;
+
+        if (unchanged) {
+            try {
+                await this.s3.listParts({ Bucket: this.bucketName, Key: fileName, UploadId: state.uploadId, MaxParts: 1 }).promise();
+                return state;
+            } catch (error) {
+                // Upload was aborted or expired on the server
+            }
+        } else {
+            await this.abortMultipartUpload(fileName, state.uploadId);
+        }
+
+        await this.deleteUploadState(fileName);
+        return null;
+    }
+
+    async saveUploadState(state) {
+        if (!this.uploadStateDir) {
+            return;
+        }
+
+        await fs.mkdir(this.uploadStateDir, { recursive: true });
+        const statePath = this.getUploadStatePath(state.key);
+        await fs.writeFile(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+        await fs.rename(`${statePath}.tmp`, statePath);
+    }
+
+    async deleteUploadState(fileName) {
+        if (!this.uploadStateDir) {
+            return;
+        }
+
+        try {
+            await fs.unlink(this.getUploadStatePath(fileName));
+        } catch (error) {
+            // No recorded upload for this key
+        }
+    }
+
+    async abortMultipartUpload(fileName, uploadId) {
+        try {
+            await this.s3.abortMultipartUpload({ Bucket: this.bucketName, Key: fileName, UploadId: uploadId }).promise();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
     getPublicUrl(fileName) {
         return `${this.publicDomain}/${fileName}`;
     }
@@ -56,6 +453,70 @@ class S3Service {
         }
     }
 
+    async listObjects(prefix = '', options = {}) {
+        const { delimiter = null, maxKeys = Infinity } = options;
+        const objects = [];
+        const prefixes = [];
+        let continuationToken;
+
+        try {
+            do {
+                const params = {
+                    Bucket: this.bucketName,
+                    Prefix: prefix,
+                    MaxKeys: Math.min(1000, maxKeys - objects.length)
+                };
+                if (delimiter) {
+                    params.Delimiter = delimiter;
+                }
+                if (continuationToken) {
+                    params.ContinuationToken = continuationToken;
+                }
+
+                const data = await this.s3.listObjectsV2(params).promise();
+
+                (data.Contents || []).forEach(object => {
+                    objects.push({
+                        key: object.Key,
+                        size: object.Size,
+                        lastModified: new Date(object.LastModified),
+                        etag: object.ETag
+                    });
+                });
+                (data.CommonPrefixes || []).forEach(commonPrefix => prefixes.push(commonPrefix.Prefix));
+
+                continuationToken = data.IsTruncated ? data.NextContinuationToken : null;
+            } while (continuationToken && objects.length < maxKeys);
+
+            return { objects, prefixes };
+        } catch (error) {
+            throw new Error(`Error listing files: ${error.message}`);
+        }
+    }
+
+    async deleteFiles(fileNames) {
+        const errors = [];
+        let deleted = 0;
+
+        try {
+            // DeleteObjects accepts at most 1000 keys per request
+            for (let i = 0; i < fileNames.length; i += 1000) {
+                const batch = fileNames.slice(i, i + 1000);
+                const data = await this.s3.deleteObjects({
+                    Bucket: this.bucketName,
+                    Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+                }).promise();
+
+                (data.Errors || []).forEach(error => errors.push({ key: error.Key, message: error.Message }));
+                deleted += batch.length - (data.Errors || []).length;
+            }
+
+            return { deleted, errors };
+        } catch (error) {
+            throw new Error(`Error deleting files: ${error.message}`);
+        }
+    }
+
     async getSignedUrl(fileName, expirationInSeconds = 3600) {
         const params = {
             Bucket: this.bucketName,
@@ -0,0 +1,219 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AssDocument = require('../utils/ass-document');
+const SubtitleFormats = require('../utils/subtitle-formats');
+const SubtitleSyncService = require('./subtitle-sync-service');
+
+const RULES = {
+  duration: 'Event ends at or before it starts',
+  overlap: 'Dialogue overlaps the previous line in the same style',
+  cps: 'Reading speed above the characters per second limit',
+  'line-length': 'Line longer than the maximum length',
+  'missing-style': 'Event uses a style that is not defined',
+  untranslated: 'Translated file still has the source text',
+  tags: 'Broken override tags or braces'
+};
+
+const DEFAULT_MAX_CPS = 25;
+const DEFAULT_MAX_LINE_LENGTH = 42;
+const TRANSLATED_SUFFIX = /_translated$/i;
+
+// Names, interjections and "..." come out of the translation unchanged on purpose
+const hasWords = (text) => (text.match(/\p{L}{2,}/gu) || []).length >= 2;
+
+// Only \fn and \r take a name; \blah is read as \b with value "lah" and is really a typo
+const TEXT_VALUE_TAGS = ['fn', 'r'];
+const isBrokenTag = (tag) => !tag.known || (!TEXT_VALUE_TAGS.includes(tag.name) && /^[a-z]/i.test(tag.value));
+
+class SubtitleLintService {
+  constructor(options = {}) {
+    this.maxCps = options.maxCps || DEFAULT_MAX_CPS;
+    this.maxLineLength = options.maxLineLength || DEFAULT_MAX_LINE_LENGTH;
+    this.ignore = options.ignore || [];
+  }
+
+  async lintFolder(folderPath) {
+    const files = (await fs.readdir(folderPath))
+      .filter((file) => SubtitleFormats.isSupported(file))
+      .sort();
+
+    const results = [];
+    for (const file of files) {
+      results.push(await this.lintFile(path.join(folderPath, file)));
+    }
+    return results;
+  }
+
+  async lintFile(filePath) {
+    const { format, document } = await SubtitleFormats.load(filePath);
+    const dialogues = document.dialogues;
+    const issues = [];
+
+    const report = (rule, index, event, message) => {
+      if (!this.ignore.includes(rule)) {
+        issues.push({ rule, event: index + 1, start: event.start, message });
+      }
+    };
+
+    dialogues.forEach((event, index) => {
+      this.checkEvent(event, format, document).forEach(({ rule, message }) => report(rule, index, event, message));
+    });
+
+    this.checkOverlaps(dialogues).forEach(({ index, message }) => report('overlap', index, dialogues[index], message));
+
+    const source = await this.findSource(filePath);
+    if (source) {
+      this.checkUntranslated(dialogues, source.document.dialogues)
+        .forEach(({ index, message }) => report('untranslated', index, dialogues[index], message));
+    }
+
+    issues.sort((a, b) => (a.start || 0) - (b.start || 0) || a.event - b.event);
+
+    return {
+      file: filePath,
+      format,
+      events: dialogues.length,
+      source: source ? source.file : null,
+      issues
+    };
+  }
+
+  checkEvent(event, format, document) {
+    const issues = [];
+    const { start, end } = event;
+
+    if (start === null || end === null) {
+      issues.push({ rule: 'duration', message: 'Timestamp cannot be parsed' });
+    } else if (end <= start) {
+      issues.push({
+        rule: 'duration',
+        message: end === start ? 'Zero duration' : `Negative duration (${end - start}ms)`
+      });
+    }
+
+    if (format === 'ass' && !document.getStyle(event.style)) {
+      issues.push({ rule: 'missing-style', message: `Style "${event.style}" is not defined` });
+    }
+
+    issues.push(...this.checkTags(event, format));
+
+    // Signs and typesetting are not read like dialogue, so they are exempt from the reading limits
+    if (!SubtitleSyncService.isSpokenEvent(event)) {
+      return issues;
+    }
+
+    const text = event.plainText.trim();
+    const characters = text.replace(/\n/g, '').length;
+    const cps = characters / ((end - start) / 1000);
+    if (cps > this.maxCps) {
+      issues.push({ rule: 'cps', message: `${cps.toFixed(1)} characters per second (max ${this.maxCps})` });
+    }
+
+    text.split('\n').forEach((line) => {
+      if (line.trim().length > this.maxLineLength) {
+        issues.push({
+          rule: 'line-length',
+          message: `${line.trim().length} characters (max ${this.maxLineLength}): "${line.trim()}"`
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  checkTags(event, format) {
+    const issues = [];
+
+    // WebVTT players show ASS override blocks as text
+    if (format === 'vtt' && event.lines.some((line) => /\{\\[^}]*\}/.test(line))) {
+      issues.push({ rule: 'tags', message: 'ASS override tags are not supported in WebVTT' });
+      return issues;
+    }
+
+    AssDocument.parseText(event.text).forEach((segment) => {
+      if (segment.type === 'text') {
+        if (/[{}]/.test(segment.text)) {
+          issues.push({ rule: 'tags', message: `Unbalanced brace in "${segment.text.trim()}"` });
+        }
+        return;
+      }
+
+      const unknown = segment.tags.filter(isBrokenTag);
+      if (unknown.length > 0) {
+        issues.push({
+          rule: 'tags',
+          message: `Unknown override tag ${unknown.map((tag) => `\\${tag.name}${tag.value}`).join(', ')} in ${segment.text}`
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  // Events in different styles are usually meant to share the screen (top and bottom, signs)
+  checkOverlaps(dialogues) {
+    const issues = [];
+    const lastByStyle = new Map();
+
+    dialogues
+      .map((event, index) => ({ event, index }))
+      .filter(({ event }) => SubtitleSyncService.isSpokenEvent(event))
+      .sort((a, b) => a.event.start - b.event.start || a.index - b.index)
+      .forEach(({ event, index }) => {
+        const style = event.style;
+        const previous = lastByStyle.get(style);
+        if (previous && event.start < previous.event.end) {
+          issues.push({
+            index,
+            message: `Overlaps event ${previous.index + 1} by ${previous.event.end - event.start}ms`
+          });
+        }
+        if (!previous || event.end > previous.event.end) {
+          lastByStyle.set(style, { event, index });
+        }
+      });
+
+    return issues;
+  }
+
+  // translate keeps every event's timing, so source lines are matched on start, end and style
+  checkUntranslated(dialogues, sourceDialogues) {
+    const sourceText = new Map();
+    sourceDialogues.forEach((event) => {
+      sourceText.set(`${event.start}|${event.end}|${event.style}`, event.plainText.trim());
+    });
+
+    const issues = [];
+    dialogues.forEach((event, index) => {
+      const text = event.plainText.trim();
+      if (hasWords(text) && sourceText.get(`${event.start}|${event.end}|${event.style}`) === text) {
+        issues.push({ index, message: `Same text as the source: "${text.replace(/\n/g, ' ')}"` });
+      }
+    });
+    return issues;
+  }
+
+  async findSource(filePath) {
+    const parsed = path.parse(filePath);
+    if (!TRANSLATED_SUFFIX.test(parsed.name) || this.ignore.includes('untranslated')) {
+      return null;
+    }
+
+    const file = path.join(parsed.dir, `${parsed.name.replace(TRANSLATED_SUFFIX, '')}${parsed.ext}`);
+    try {
+      const { document } = await SubtitleFormats.load(file);
+      return { file, document };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+SubtitleLintService.RULES = RULES;
+SubtitleLintService.DEFAULT_MAX_CPS = DEFAULT_MAX_CPS;
+SubtitleLintService.DEFAULT_MAX_LINE_LENGTH = DEFAULT_MAX_LINE_LENGTH;
+
+module.exports = SubtitleLintService;
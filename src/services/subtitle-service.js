@@ -3,9 +3,45 @@ const fs = require("fs").promises;
 const path = require("path");
 const { exec } = require("child_process");
 const { promisify } = require("util");
+const SubtitleFormats = require("../utils/subtitle-formats");
 
 const execAsync = promisify(exec);
 
+// Subtitle file suffixes and track languages mapped to PeerTube caption language codes
+const CAPTION_LANGUAGES = {
+  spa: "es",
+  es: "es",
+  "es-419": "es",
+  "es-es": "es",
+  latino: "es",
+  eng: "en",
+  en: "en",
+  por: "pt",
+  pt: "pt",
+  "pt-br": "pt",
+  "pt-pt": "pt-PT",
+  jpn: "ja",
+  ja: "ja",
+  fre: "fr",
+  fra: "fr",
+  ger: "de",
+  deu: "de",
+  ita: "it",
+  rus: "ru",
+  ara: "ar",
+  chi: "zh",
+  zho: "zh",
+  kor: "ko",
+  pol: "pl",
+  tur: "tr",
+  vie: "vi",
+  tha: "th",
+  ind: "id",
+  may: "ms",
+  msa: "ms",
+  hin: "hi",
+};
+
 class SubtitleService {
   constructor() {
     this.subtitlesFolderName = "subtitles";
@@ -745,6 +781,64 @@ class SubtitleService {
     }
   }
 
+  // PeerTube keeps one caption per language, so Latino and España both become "es"
+  getCaptionLanguage(suffix) {
+    if (!suffix || suffix === "default" || suffix === "null") {
+      return "es";
+    }
+
+    const normalized = suffix.toLowerCase();
+    if (CAPTION_LANGUAGES[normalized]) {
+      return CAPTION_LANGUAGES[normalized];
+    }
+
+    const base = normalized.split(/[-_]/)[0];
+    if (CAPTION_LANGUAGES[base]) {
+      return CAPTION_LANGUAGES[base];
+    }
+
+    return /^[a-z]{2}$/.test(base) ? base : null;
+  }
+
+  convertAssToVtt(content) {
+    return SubtitleFormats.convert(content, "ass", "vtt");
+  }
+
+  async convertSubtitleFile(inputFile, targetFormat, outputFile = null) {
+    try {
+      const { content, format } = await SubtitleFormats.load(inputFile);
+
+      if (format === targetFormat) {
+        throw new Error(`File is already in ${targetFormat} format`);
+      }
+
+      if (!outputFile) {
+        const parsed = path.parse(inputFile);
+        outputFile = path.join(parsed.dir, `${parsed.name}${SubtitleFormats.extension(targetFormat)}`);
+      }
+
+      const converted = SubtitleFormats.convert(content, format, targetFormat);
+      await fs.writeFile(outputFile, converted, "utf8");
+
+      return {
+        success: true,
+        inputFile,
+        outputFile,
+        from: format,
+        to: targetFormat,
+        cues: SubtitleFormats.parse(converted, targetFormat).dialogues.length,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        inputFile,
+        outputFile,
+        to: targetFormat,
+        error: error.message,
+      };
+    }
+  }
+
   async extractFromPlaylist(
     playlistId,
     subtitleTrack = 0,
@@ -1026,7 +1120,7 @@ class SubtitleService {
     const path = require("path");
 
     try {
-      const content = await fs.readFile(subtitleFile, "utf8");
+      const { document } = await SubtitleFormats.load(subtitleFile);
 
       if (!outputFile) {
         const parsed = path.parse(subtitleFile);
@@ -1037,9 +1131,9 @@ class SubtitleService {
         );
       }
 
-      const adjustedContent = this.adjustAssTimings(content, offsetMs);
+      this.shiftEvents(document, offsetMs);
 
-      await fs.writeFile(outputFile, adjustedContent, "utf8");
+      await fs.writeFile(outputFile, document.toString(), "utf8");
 
       return {
         success: true,
@@ -1059,53 +1153,112 @@ class SubtitleService {
     }
   }
 
-  adjustAssTimings(content, offsetMs) {
-    const lines = content.split("\n");
-    const adjustedLines = lines.map((line) => {
-      if (line.startsWith("Dialogue:") || line.startsWith("Comment:")) {
-        const parts = line.split(",");
-        if (parts.length >= 10) {
-          const startTime = parts[1];
-          const endTime = parts[2];
+  async retimeSubtitle(subtitleFile, retime, outputFile = null) {
+    try {
+      const { document } = await SubtitleFormats.load(subtitleFile);
+
+      if (!outputFile) {
+        const parsed = path.parse(subtitleFile);
+        outputFile = path.join(parsed.dir, `${parsed.name}_retimed${parsed.ext}`);
+      }
+
+      const mapping = this.buildRetimeMapping(retime);
+      const events = this.retimeEvents(document, mapping.mapTime);
+
+      await fs.writeFile(outputFile, document.toString(), "utf8");
+
+      return {
+        success: true,
+        inputFile: subtitleFile,
+        outputFile,
+        events,
+        scale: mapping.scale,
+        shift: mapping.shift,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        inputFile: subtitleFile,
+        outputFile: outputFile || subtitleFile,
+        error: error.message,
+      };
+    }
+  }
+
+  // Combines the retime steps into one function: frame rate scaling, then the two-point
+  // linear sync, then per-segment offsets. Segment timestamps refer to the original file.
+  buildRetimeMapping({ fps = null, points = null, offset = 0, segments = [] } = {}) {
+    let scale = 1;
+    let shift = 0;
 
-          const adjustedStartTime = this.adjustAssTime(startTime, offsetMs);
-          const adjustedEndTime = this.adjustAssTime(endTime, offsetMs);
+    if (fps) {
+      if (!(fps.from > 0) || !(fps.to > 0)) {
+        throw new Error("Frame rates must be positive numbers");
+      }
+      // Subtitles timed against a faster source have to be stretched for a slower one
+      scale *= fps.from / fps.to;
+    }
 
-          parts[1] = adjustedStartTime;
-          parts[2] = adjustedEndTime;
+    if (points) {
+      if (points.length !== 2) {
+        throw new Error("Two-point sync needs exactly two points");
+      }
+      const [a, b] = points.map((point) => ({ from: point.from * scale + shift, to: point.to }));
+      if (a.from === b.from) {
+        throw new Error("Sync points must refer to two different timestamps");
+      }
 
-          return parts.join(",");
-        }
+      const pointScale = (b.to - a.to) / (b.from - a.from);
+      if (pointScale <= 0) {
+        throw new Error("Sync points would reverse the subtitle order");
       }
-      return line;
-    });
+      shift = a.to + (shift - a.from) * pointScale;
+      scale *= pointScale;
+    }
 
-    return adjustedLines.join("\n");
+    const sortedSegments = [...segments].sort((a, b) => a.at - b.at);
+    const offsetAt = (anchor) => {
+      const segment = sortedSegments.filter((entry) => anchor >= entry.at).pop();
+      return segment ? segment.offset : offset;
+    };
+
+    return {
+      scale,
+      shift,
+      mapTime: (ms, anchor) => ms * scale + shift + offsetAt(anchor),
+    };
   }
 
-  adjustAssTime(timeStr, offsetMs) {
-    const regex = /^(\d+):(\d{2}):(\d{2})\.(\d{2})$/;
-    const match = timeStr.match(regex);
+  // mapTime(ms, anchor) receives each event's original start as the anchor, so both ends of an
+  // event fall into the same segment. Works on any document from SubtitleFormats.
+  retimeEvents(document, mapTime) {
+    let count = 0;
 
-    if (!match) return timeStr;
+    for (const event of document.events) {
+      if (event.kind !== "Dialogue" && event.kind !== "Comment") continue;
 
-    const hours = parseInt(match[1]);
-    const minutes = parseInt(match[2]);
-    const seconds = parseInt(match[3]);
-    const centiseconds = parseInt(match[4]);
+      const start = event.start;
+      const end = event.end;
+      const anchor = start !== null ? start : end;
 
-    const totalMs =
-      (hours * 3600 + minutes * 60 + seconds) * 1000 + centiseconds * 10;
-    const adjustedMs = Math.max(0, totalMs + offsetMs);
+      // Unparseable timestamps are left untouched rather than reset to zero
+      if (anchor === null) continue;
 
-    const newHours = Math.floor(adjustedMs / 3600000);
-    const newMinutes = Math.floor((adjustedMs % 3600000) / 60000);
-    const newSeconds = Math.floor((adjustedMs % 60000) / 1000);
-    const newCentiseconds = Math.floor((adjustedMs % 1000) / 10);
+      let newStart = 0;
+      if (start !== null) {
+        newStart = Math.max(0, mapTime(start, anchor));
+        event.start = newStart;
+      }
+      if (end !== null) event.end = Math.max(newStart, mapTime(end, anchor));
+      count++;
+    }
+
+    return count;
+  }
 
-    return `${newHours}:${newMinutes.toString().padStart(2, "0")}:${newSeconds
-      .toString()
-      .padStart(2, "0")}.${newCentiseconds.toString().padStart(2, "0")}`;
+  shiftEvents(document, offsetMs) {
+    this.retimeEvents(document, (ms) => ms + offsetMs);
+    return document;
   }
 }
 
@@ -0,0 +1,294 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const SubtitleService = require('./subtitle-service');
+const AssDocument = require('../utils/ass-document');
+const SubtitleFormats = require('../utils/subtitle-formats');
+
+const SAMPLE_RATE = 8000;
+const FRAME_MS = 10;
+const SAMPLES_PER_FRAME = (SAMPLE_RATE * FRAME_MS) / 1000;
+// The offset search runs on 100ms frames first and is then refined on 10ms frames
+const COARSE_FACTOR = 10;
+const REFINE_FRAMES = 15;
+// Pauses shorter than this are part of the same utterance, blips shorter than MIN_SPEECH are noise
+const MAX_GAP_FRAMES = 25;
+const MIN_SPEECH_FRAMES = 10;
+// Peaks closer than this to the best offset count as the same peak when measuring confidence
+const PEAK_WIDTH_MS = 1500;
+
+const NTSC_FILM = 24000 / 1001;
+// Releases usually drift because one of them was sped up or slowed down between these frame rates
+const FRAME_RATE_RATIOS = [
+  NTSC_FILM / 25,
+  25 / NTSC_FILM,
+  NTSC_FILM / 24,
+  24 / NTSC_FILM,
+  24 / 25,
+  25 / 24
+];
+
+// Signs and typesetting are positioned explicitly and rarely match spoken lines
+const isSpokenEvent = (event) => {
+  if (event.kind !== 'Dialogue' || event.start === null || event.end === null || event.end <= event.start) {
+    return false;
+  }
+  if (AssDocument.isDrawing(event.text) || !event.plainText.trim()) {
+    return false;
+  }
+  return !/\\(pos|move)\(/.test(event.text);
+};
+
+class SubtitleSyncService {
+  constructor(options = {}) {
+    this.audioTrack = options.audioTrack || 0;
+    this.maxOffsetMs = options.maxOffsetMs || 60000;
+    this.onProgress = options.onProgress || null;
+  }
+
+  // Decodes one audio track to 8 kHz mono, band-passed to the voice range, and returns the
+  // energy of every 10ms frame in dB
+  detectEnergy(videoPath) {
+    return new Promise((resolve, reject) => {
+      const args = [
+        '-v', 'error',
+        '-i', videoPath,
+        '-map', `0:a:${this.audioTrack}`,
+        '-ac', '1',
+        '-ar', String(SAMPLE_RATE),
+        '-af', 'highpass=f=200,lowpass=f=3400',
+        '-f', 's16le',
+        '-'
+      ];
+
+      const ffmpeg = spawn('ffmpeg', args);
+      const energy = [];
+      let leftover = Buffer.alloc(0);
+      let stderr = '';
+
+      ffmpeg.stdout.on('data', (chunk) => {
+        const data = leftover.length > 0 ? Buffer.concat([leftover, chunk]) : chunk;
+        const frameBytes = SAMPLES_PER_FRAME * 2;
+        const frames = Math.floor(data.length / frameBytes);
+
+        for (let frame = 0; frame < frames; frame++) {
+          let sum = 0;
+          const offset = frame * frameBytes;
+          for (let i = 0; i < frameBytes; i += 2) {
+            const sample = data.readInt16LE(offset + i) / 32768;
+            sum += sample * sample;
+          }
+          energy.push(10 * Math.log10(sum / SAMPLES_PER_FRAME + 1e-10));
+        }
+
+        leftover = data.subarray(frames * frameBytes);
+        if (this.onProgress && energy.length % 6000 < frames) {
+          this.onProgress({ type: 'decode', seconds: (energy.length * FRAME_MS) / 1000 });
+        }
+      });
+
+      ffmpeg.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffmpeg.on('error', (error) => {
+        reject(error.code === 'ENOENT'
+          ? new Error('FFmpeg is not installed or not available in PATH')
+          : error);
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`FFmpeg failed to decode audio track ${this.audioTrack}: ${stderr.trim() || `exit code ${code}`}`));
+          return;
+        }
+        if (energy.length === 0) {
+          reject(new Error(`Audio track ${this.audioTrack} is empty`));
+          return;
+        }
+        resolve(energy);
+      });
+    });
+  }
+
+  // Frames well above the noise floor are speech; short pauses are bridged and short blips dropped
+  detectSpeech(energy) {
+    const sorted = [...energy].sort((a, b) => a - b);
+    const floor = sorted[Math.floor(sorted.length * 0.1)];
+    const loud = sorted[Math.floor(sorted.length * 0.95)];
+    const threshold = floor + Math.max(6, (loud - floor) * 0.4);
+
+    const speech = new Uint8Array(energy.length);
+    energy.forEach((value, index) => {
+      speech[index] = value > threshold ? 1 : 0;
+    });
+
+    return this.dropShortRuns(this.fillShortGaps(speech, MAX_GAP_FRAMES), MIN_SPEECH_FRAMES);
+  }
+
+  fillShortGaps(activity, maxGap) {
+    let lastActive = -1;
+    for (let i = 0; i < activity.length; i++) {
+      if (!activity[i]) continue;
+      if (lastActive !== -1 && i - lastActive > 1 && i - lastActive <= maxGap) {
+        activity.fill(1, lastActive + 1, i);
+      }
+      lastActive = i;
+    }
+    return activity;
+  }
+
+  dropShortRuns(activity, minLength) {
+    let runStart = -1;
+    for (let i = 0; i <= activity.length; i++) {
+      if (i < activity.length && activity[i]) {
+        if (runStart === -1) runStart = i;
+      } else if (runStart !== -1) {
+        if (i - runStart < minLength) activity.fill(0, runStart, i);
+        runStart = -1;
+      }
+    }
+    return activity;
+  }
+
+  subtitleActivity(events, length, scale = 1) {
+    const activity = new Uint8Array(length);
+    events.forEach((event) => {
+      const start = Math.max(0, Math.round((event.start * scale) / FRAME_MS));
+      const end = Math.min(length, Math.round((event.end * scale) / FRAME_MS));
+      if (end > start) activity.fill(1, start, end);
+    });
+    return activity;
+  }
+
+  // Averages 10ms frames into coarse frames and maps them to -1 (silence) .. +1 (speech)
+  downsample(activity, factor) {
+    const length = Math.ceil(activity.length / factor);
+    const result = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      const end = Math.min(activity.length, (i + 1) * factor);
+      for (let j = i * factor; j < end; j++) sum += activity[j];
+      result[i] = (2 * sum) / (end - i * factor) - 1;
+    }
+    return result;
+  }
+
+  // Agreement between the speech and subtitle signals with the subtitles moved by `shift` frames,
+  // averaged over the frames where both exist
+  score(speech, subtitles, shift, toSigned = (value) => value) {
+    const from = Math.max(0, -shift);
+    const to = Math.min(subtitles.length, speech.length - shift);
+    if (to - from <= 0) {
+      return -Infinity;
+    }
+
+    let sum = 0;
+    for (let i = from; i < to; i++) {
+      sum += toSigned(speech[i + shift]) * toSigned(subtitles[i]);
+    }
+    return sum / (to - from);
+  }
+
+  searchOffsets(speech, subtitles, maxShift) {
+    const scores = [];
+    let best = { shift: 0, score: -Infinity };
+
+    for (let shift = -maxShift; shift <= maxShift; shift++) {
+      const score = this.score(speech, subtitles, shift);
+      scores.push({ shift, score });
+      if (score > best.score) {
+        best = { shift, score };
+      }
+    }
+
+    return { best, scores };
+  }
+
+  // 1 when the best offset is a single clear peak, 0 when another offset fits just as well
+  confidence(scores, best, peakWidth) {
+    const values = scores.map((entry) => entry.score).filter(Number.isFinite).sort((a, b) => a - b);
+    const median = values[Math.floor(values.length / 2)];
+    const runnerUp = Math.max(...scores
+      .filter((entry) => Math.abs(entry.shift - best.shift) > peakWidth && Number.isFinite(entry.score))
+      .map((entry) => entry.score));
+
+    if (!(best.score > median)) {
+      return 0;
+    }
+    const ratio = (best.score - Math.max(runnerUp, median)) / (best.score - median);
+    return Math.min(1, Math.max(0, ratio));
+  }
+
+  estimate(speech, document, options = {}) {
+    const events = document.events.filter(isSpokenEvent);
+    if (events.length === 0) {
+      throw new Error('No spoken dialogue events to align (signs and drawings are ignored)');
+    }
+
+    const coarseSpeech = this.downsample(speech, COARSE_FACTOR);
+    const maxCoarseShift = Math.ceil(this.maxOffsetMs / (FRAME_MS * COARSE_FACTOR));
+    const scales = options.drift ? [1, ...FRAME_RATE_RATIOS] : [1];
+
+    let result = null;
+    scales.forEach((scale) => {
+      const subtitles = this.downsample(this.subtitleActivity(events, speech.length, scale), COARSE_FACTOR);
+      const { best, scores } = this.searchOffsets(coarseSpeech, subtitles, maxCoarseShift);
+
+      // A frame rate change has to fit clearly better than no change at all
+      const margin = scale === 1 ? 0 : 0.02;
+      if (!result || best.score > result.best.score + margin) {
+        result = { scale, best, scores };
+      }
+    });
+
+    // Refine on 10ms frames around the coarse peak
+    const fine = this.subtitleActivity(events, speech.length, result.scale);
+    const toSigned = (value) => 2 * value - 1;
+    const center = result.best.shift * COARSE_FACTOR;
+    let refined = { shift: center, score: -Infinity };
+    for (let shift = center - REFINE_FRAMES; shift <= center + REFINE_FRAMES; shift++) {
+      const score = this.score(speech, fine, shift, toSigned);
+      if (score > refined.score) {
+        refined = { shift, score };
+      }
+    }
+
+    const speechFrames = speech.reduce((sum, value) => sum + value, 0);
+
+    return {
+      offsetMs: refined.shift * FRAME_MS,
+      scale: result.scale,
+      confidence: this.confidence(result.scores, result.best, PEAK_WIDTH_MS / (FRAME_MS * COARSE_FACTOR)),
+      agreement: (refined.score + 1) / 2,
+      events: events.length,
+      speechRatio: speechFrames / speech.length,
+      durationMs: speech.length * FRAME_MS
+    };
+  }
+
+  // The corrected file is only written when the estimate reaches minConfidence
+  async sync(videoPath, subtitleFile, options = {}) {
+    const { document } = await SubtitleFormats.load(subtitleFile);
+    const energy = await this.detectEnergy(videoPath);
+    const estimate = this.estimate(this.detectSpeech(energy), document, options);
+    const result = { videoFile: videoPath, subtitleFile, ...estimate, outputFile: null, written: false };
+
+    if (options.dryRun || estimate.confidence < (options.minConfidence || 0)) {
+      return result;
+    }
+
+    new SubtitleService().retimeEvents(document, (ms) => ms * estimate.scale + estimate.offsetMs);
+
+    const parsed = path.parse(subtitleFile);
+    const outputFile = options.outputFile || path.join(parsed.dir, `${parsed.name}_synced${parsed.ext}`);
+    await fs.writeFile(outputFile, document.toString(), 'utf8');
+
+    return { ...result, outputFile, written: true };
+  }
+}
+
+SubtitleSyncService.FRAME_RATE_RATIOS = FRAME_RATE_RATIOS;
+SubtitleSyncService.isSpokenEvent = isSpokenEvent;
+
+module.exports = SubtitleSyncService;
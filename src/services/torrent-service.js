@@ -10,6 +10,8 @@ class TorrentService {
     this.downloadPath = options.downloadPath || path.join(os.homedir(), '.anitorrent', 'downloads');
     this.seedingTorrents = [];
     this.maxSeedingTorrents = options.maxSeedingTorrents || 10;
+    // Files an unfinished upload still reads from; eviction and cleanup leave them alone
+    this.pinnedFiles = new Set();
     this.torrentPort = options.torrentPort || null;
   }
 
@@ -33,6 +35,16 @@ class TorrentService {
   }
 
   async initializeClient() {
+    // Concurrent downloads share one client, so they wait on the same initialization
+    if (!this.clientInitialization) {
+      this.clientInitialization = this.createClient().finally(() => {
+        this.clientInitialization = null;
+      });
+    }
+    return this.clientInitialization;
+  }
+
+  async createClient() {
     if (!this.client) {
       const { default: WebTorrent } = await import('webtorrent');
       
@@ -100,7 +112,7 @@ class TorrentService {
         const filePath = path.join(this.downloadPath, file);
         const stats = await fs.stat(filePath);
         
-        if (stats.isFile()) {
+        if (stats.isFile() && !this.isPinned(filePath)) {
           await fs.unlink(filePath);
           cleanedCount++;
         }
@@ -183,17 +195,38 @@ class TorrentService {
       }
     }
     
-    return new Promise((resolve, reject) => {
+    return new Promise((resolvePromise, rejectPromise) => {
       const {
         selectLargestFile = true,
         timeout = 300000,
         onProgress = null,
-        keepSeeding = false
+        keepSeeding = false,
+        pin = false
       } = options;
 
       let torrentInstance = null;
       let isResolved = false;
 
+      const onClientError = (error) => {
+        if (isResolved) return;
+        
+        clearTimeout(timeoutId);
+        if (!isResolved) {
+          isResolved = true;
+          reject(new Error(`WebTorrent client error: ${error.message}`));
+        }
+      };
+
+      // The client outlives this download, so its error listener is removed once settled
+      const resolve = (result) => {
+        this.client?.removeListener('error', onClientError);
+        resolvePromise(result);
+      };
+      const reject = (error) => {
+        this.client?.removeListener('error', onClientError);
+        rejectPromise(error);
+      };
+
       const timeoutId = setTimeout(() => {
         if (!isResolved && torrentInstance) {
           this.safeRemoveTorrent(torrentInstance.infoHash);
@@ -259,6 +292,11 @@ class TorrentService {
             await fs.access(filePath);
             this.logger.verbose(`Download completed: ${filePath}`);
             
+            // Pinned before it joins the seeding queue, so adding it can never evict it
+            if (pin) {
+              this.pinFile(filePath);
+            }
+            
             if (keepSeeding) {
               this.addToSeedingQueue(torrent, selectedFile);
             }
@@ -286,7 +324,8 @@ class TorrentService {
           
           clearTimeout(timeoutId);
           clearInterval(progressInterval);
-          this.safeRemoveTorrent(torrent.infoHash);
+          // A partial download that filled the disk is useless, so its pieces are deleted with it
+          this.safeRemoveTorrent(torrent.infoHash, { destroyStore: TorrentService.isDiskSpaceError(error) });
           
           if (!isResolved) {
             isResolved = true;
@@ -295,24 +334,16 @@ class TorrentService {
         });
       });
 
-      this.client.on('error', (error) => {
-        if (isResolved) return;
-        
-        clearTimeout(timeoutId);
-        if (!isResolved) {
-          isResolved = true;
-          reject(new Error(`WebTorrent client error: ${error.message}`));
-        }
-      });
+      this.client.on('error', onClientError);
     });
   }
 
-  safeRemoveTorrent(torrentHash) {
+  safeRemoveTorrent(torrentHash, options = {}) {
     try {
       if (this.client && torrentHash) {
         const torrent = this.client.get(torrentHash);
         if (torrent) {
-          this.client.remove(torrentHash);
+          this.client.remove(torrentHash, { destroyStore: !!options.destroyStore });
           this.logger.verbose(`Safely removed torrent: ${torrentHash}`);
         }
       }
@@ -336,7 +367,13 @@ class TorrentService {
     this.logger.verbose(`Added to seeding queue: ${selectedFile.name}`);
 
     if (this.seedingTorrents.length > this.maxSeedingTorrents) {
-      const oldestSeeding = this.seedingTorrents.shift();
+      const oldestIndex = this.seedingTorrents.findIndex(s => !this.isPinned(s.filePath));
+      if (oldestIndex === -1) {
+        this.logger.verbose('Every seeding file is still being uploaded, keeping them all for now');
+        return;
+      }
+
+      const oldestSeeding = this.seedingTorrents.splice(oldestIndex, 1)[0];
       this.logger.verbose(`Removing oldest seeding torrent: ${oldestSeeding.fileName}`);
       
       this.safeRemoveTorrent(oldestSeeding.hash);
@@ -399,7 +436,24 @@ class TorrentService {
     };
   }
 
+  pinFile(filePath) {
+    this.pinnedFiles.add(path.resolve(filePath));
+  }
+
+  unpinFile(filePath) {
+    this.pinnedFiles.delete(path.resolve(filePath));
+  }
+
+  isPinned(filePath) {
+    return !!filePath && this.pinnedFiles.has(path.resolve(filePath));
+  }
+
   async cleanupFile(filePath) {
+    if (this.isPinned(filePath)) {
+      this.logger.verbose(`Keeping file still in use: ${filePath}`);
+      return;
+    }
+
     try {
       await fs.unlink(filePath);
       this.logger.verbose(`Cleaned up file: ${filePath}`);
@@ -408,13 +462,32 @@ class TorrentService {
     }
   }
 
+  // Removes one download without touching the other torrents sharing the download directory
+  async removeDownload(torrentHash, filePath) {
+    const wasSeeding = await this.stopSeeding(torrentHash, false);
+    if (!wasSeeding) {
+      this.safeRemoveTorrent(torrentHash);
+    }
+    if (filePath) {
+      await this.cleanupFile(filePath);
+    }
+  }
+
+  async stopAllSeeding() {
+    const hashes = this.seedingTorrents.map(s => s.hash);
+    for (const hash of hashes) {
+      await this.stopSeeding(hash, false);
+    }
+    return hashes.length;
+  }
+
   async cleanupDownloadDirectory() {
     try {
       const files = await fs.readdir(this.downloadPath);
       for (const file of files) {
         const filePath = path.join(this.downloadPath, file);
         const stats = await fs.stat(filePath);
-        if (stats.isFile()) {
+        if (stats.isFile() && !this.isPinned(filePath)) {
           await fs.unlink(filePath);
         }
       }
@@ -434,7 +507,7 @@ class TorrentService {
         const filePath = path.join(this.downloadPath, file);
         const stats = await fs.stat(filePath);
         
-        if (stats.isFile() && (now - stats.mtime.getTime()) > maxAge) {
+        if (stats.isFile() && (now - stats.mtime.getTime()) > maxAge && !this.isPinned(filePath)) {
           await fs.unlink(filePath);
           this.logger.verbose(`Cleaned up old file: ${file}`);
         }
@@ -561,6 +634,10 @@ class TorrentService {
     this.seedingTorrents = [];
   }
 
+  static isDiskSpaceError(error) {
+    return !!error && (error.code === 'ENOSPC' || /ENOSPC|disk space/i.test(error.message || ''));
+  }
+
   static async killExistingProcesses() {
     try {
       const { exec } = require('child_process');
@@ -1,6 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { Anthropic } = require('@anthropic-ai/sdk');
+const AssDocument = require('../utils/ass-document');
+const SubtitleFormats = require('../utils/subtitle-formats');
 
 class TranslationService {
     constructor(config) {
@@ -34,20 +36,15 @@ class TranslationService {
 
 
 
-    parseTimestamp(ts) {
-        const [h, m, sms] = ts.split(/[:.]/);
-        return (h * 3600 + m * 60 + parseFloat(sms)) * 1000;
-    }
-
+    // The prompt expects the default Format column order, whatever order the file itself uses
     groupDialogLines(dialogues, maxGroupSize = 8, maxGap = 8500) {
         const groups = [];
         let currentGroup = [];
         let previousEnd = 0;
 
-        for (const dialogue of dialogues) {
-            const parts = dialogue.split(',');
-            const start = this.parseTimestamp(parts[1]);
-            const end = this.parseTimestamp(parts[2]);
+        for (const event of dialogues) {
+            const start = event.start || 0;
+            const end = event.end || start;
 
             if (
                 currentGroup.length > 0 &&
@@ -57,7 +54,7 @@ class TranslationService {
                 currentGroup = [];
             }
 
-            currentGroup.push({ parts, start, end, original: dialogue });
+            currentGroup.push({ event, start, end, original: event.toLine(AssDocument.EVENT_FORMAT) });
             previousEnd = end;
         }
 
@@ -120,10 +117,10 @@ class TranslationService {
         throw new Error(`Translation failed after ${maxRetries} attempts. Last error: ${lastError.message}`);
     }
 
+    // Each helper below returns the translated Text field for every event in the group
     reconstructDialogueLines(group, translatedText) {
         return group.map(dialog => {
-            const originalParts = dialog.original.split(',');
-            const textPart = originalParts.slice(9).join(',').trim();
+            const textPart = dialog.event.text.trim();
             
             let finalTranslatedText = translatedText;
             
@@ -134,10 +131,18 @@ class TranslationService {
                 }
             }
             
-            return [...originalParts.slice(0, 9), finalTranslatedText].join(',');
+            return finalTranslatedText;
         });
     }
 
+    parseTranslatedLine(line) {
+        const entry = AssDocument.Entry.parse(line, AssDocument.EVENT_FORMAT);
+        if (entry.values.length < AssDocument.EVENT_FORMAT.length) {
+            throw new Error(`Malformed dialogue line: ${line}`);
+        }
+        return entry.text;
+    }
+
     processTranslatedBlock(group, responseText) {
         const translatedBlock = responseText
             .replace(/\\\\/g, '\\')
@@ -145,7 +150,8 @@ class TranslationService {
             .replace(/\n/g, '\\N')
             .replace(/<<SPECIAL_N>>/g, '\\N')
             .split(/(?=Dialogue:)/g)
-            .map(line => line.trim())
+            // The newline between two lines was turned into \N above and belongs to neither
+            .map(line => line.trim().replace(/(\\N)+$/, ''))
             .filter(line => line.startsWith('Dialogue:'));
 
         if (translatedBlock.length !== group.length) {
@@ -154,15 +160,9 @@ class TranslationService {
 
         return group.map((dialog, i) => {
             try {
-                const translatedParts = translatedBlock[i].split(/,(?![^{}]*})/);
-                dialog.parts.splice(
-                    9,
-                    dialog.parts.length - 9,
-                    translatedParts.slice(9).join(',')
-                );
-                return dialog.parts.join(',');
+                return this.parseTranslatedLine(translatedBlock[i]);
             } catch (error) {
-                return dialog.original;
+                return dialog.event.text;
             }
         });
     }
@@ -175,24 +175,12 @@ class TranslationService {
             
             if (i < translatedBlock.length) {
                 try {
-                    const translatedParts = translatedBlock[i].split(/,(?![^{}]*})/);
-                    dialog.parts.splice(
-                        9,
-                        dialog.parts.length - 9,
-                        translatedParts.slice(9).join(',')
-                    );
-                    results.push(dialog.parts.join(','));
+                    results.push(this.parseTranslatedLine(translatedBlock[i]));
                 } catch (error) {
-                    results.push(dialog.original);
+                    results.push(dialog.event.text);
                 }
             } else {
-                if (responseText.length > 0) {
-                    const originalParts = dialog.original.split(',');
-                    originalParts[9] = responseText;
-                    results.push(originalParts.join(','));
-                } else {
-                    results.push(dialog.original);
-                }
+                results.push(responseText.length > 0 ? responseText : dialog.event.text);
             }
         }
         
@@ -209,10 +197,10 @@ class TranslationService {
 
 
 
-        const fileContent = await fs.readFile(filePath, 'utf-8');
-        const lines = fileContent.split('\n');
-        const translatedLines = [];
-        const dialogLines = lines.filter(line => line.startsWith('Dialogue:'));
+        // SubRip and WebVTT cues are presented to the model as ASS Dialogue lines too
+        const { document } = await SubtitleFormats.load(filePath);
+        const dialogLines = document.dialogues;
+        let translatedCount = 0;
 
         if (dialogLines.length === 0) {
             throw new Error('No dialogue lines found in subtitle file');
@@ -245,7 +233,11 @@ class TranslationService {
 
             try {
                 const translatedGroup = await this.translateGroup(group, context, onProgress, customPromptPath);
-                translatedLines.push(...translatedGroup);
+                // Events are updated in place, so styles, comments and untranslated lines keep their position
+                group.forEach((dialog, i) => {
+                    dialog.event.text = translatedGroup[i];
+                });
+                translatedCount += group.length;
             } catch (error) {
                 if (onProgress) {
                     onProgress({ 
@@ -260,32 +252,29 @@ class TranslationService {
             await new Promise(resolve => setTimeout(resolve, delay));
         }
 
-        const finalOutputPath = outputPath || filePath.replace('.ass', '_translated.ass');
-        const finalContent = lines
-            .filter(line => !line.startsWith('Dialogue:'))
-            .concat(translatedLines)
-            .join('\n');
-
-        await fs.writeFile(finalOutputPath, finalContent);
+        const parsed = path.parse(filePath);
+        const finalOutputPath = outputPath || path.join(parsed.dir, `${parsed.name}_translated${parsed.ext}`);
+        await fs.writeFile(finalOutputPath, document.toString());
 
         if (onProgress) {
             onProgress({ 
                 type: 'complete', 
                 outputPath: finalOutputPath,
-                translatedCount: translatedLines.length
+                translatedCount
             });
         }
 
         return {
             success: true,
             outputPath: finalOutputPath,
-            translatedCount: translatedLines.length,
+            translatedCount,
             originalCount: dialogLines.length
         };
     }
 
     async translateSubtitlesFromBuffer(content, options = {}) {
-        const tempPath = path.join(require('os').tmpdir(), `temp_subtitle_${Date.now()}.ass`);
+        const extension = SubtitleFormats.extension(options.format || 'ass');
+        const tempPath = path.join(require('os').tmpdir(), `temp_subtitle_${Date.now()}${extension}`);
         
         try {
             await fs.writeFile(tempPath, content);
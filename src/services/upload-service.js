@@ -7,7 +7,9 @@ const AniTorrentService = require('./anitorrent-service');
 const TorrentService = require('./torrent-service');
 const SubtitleService = require('./subtitle-service');
 const AniZipService = require('./anizip-service');
+const NotificationService = require('./notification-service');
 const Validators = require('../utils/validators');
+const SubtitleFormats = require('../utils/subtitle-formats');
 
 class UploadService {
   constructor(config, logger) {
@@ -16,6 +18,10 @@ class UploadService {
     this.r2Config = config.getR2Config();
     this.peertubeConfig = config.getPeerTubeConfig();
     this.defaults = config.getDefaults();
+    this.notificationService = new NotificationService({
+      ...config.getNotificationConfig(),
+      logger,
+    });
   }
 
   async processFileUpload(fileInfo, options = {}) {
@@ -37,12 +43,38 @@ class UploadService {
       customName,
       timestamp,
       useTitle,
+      episodeOffset = 0,
+      direct = false,
+      captions = this.defaults.captions,
+      resume = {},
+      onStage = null,
+      runStage = (stage, task) => task(),
     } = options;
 
     let uploadResult = null;
     let r2FileName = null;
+    let importFailed = false;
+    let episodeRegistered = !!resume.episodeRegistered;
+
+    let stage = null;
+    const checkpoint = async (state, data = {}) => {
+      stage = state;
+      if (onStage) {
+        await onStage(state, data);
+      }
+    };
 
     try {
+      // A resumed job keeps the mode it started in; mixing them would wait on an import or upload that never happened
+      const uploadMode = direct ? 'direct' : 'r2';
+      const resumedMode = resume.uploadMode
+        || (resume.direct ? 'direct' : null)
+        || (resume.r2Key || resume.videoUrl || resume.importId ? 'r2' : null);
+      if (!fileInfo.isUrl && !resume.video && resumedMode && resumedMode !== uploadMode) {
+        const flag = resumedMode === 'direct' ? 'with' : 'without';
+        throw new Error(`This upload was started ${flag} --direct, run it again ${flag} --direct to resume it`);
+      }
+
       let uploadFileName = customName;
       if (timestamp) {
         const ext = path.extname(fileInfo.resolvedPath);
@@ -58,6 +90,8 @@ class UploadService {
 
       let fileSize = 'Unknown';
       let videoUrl = fileInfo.resolvedPath;
+      let directVideoId = null;
+      const peertubeService = new PeerTubeService(this.peertubeConfig);
 
       if (fileInfo.isUrl) {
         this.logger.info(`Source: Direct URL`);
@@ -76,6 +110,75 @@ class UploadService {
           Key: null
         };
         r2FileName = null;
+      } else if (resume.videoUrl) {
+        this.logger.info(`Upload name: ${uploadFileName}`);
+        this.logger.separator();
+
+        this.logger.step('♻️', 'Reusing previous S3 upload');
+        this.logger.info(`Public URL: ${resume.publicUrl}`, 1);
+
+        uploadResult = {
+          publicUrl: resume.publicUrl,
+          Key: resume.r2Key
+        };
+        r2FileName = resume.r2Key;
+        videoUrl = resume.videoUrl;
+      } else if (resume.video) {
+        this.logger.info(`Upload name: ${uploadFileName}`);
+        this.logger.separator();
+
+        // The S3 file was cleaned up after the import, which is all it was needed for
+        this.logger.step('♻️', 'Video already imported, skipping upload');
+        videoUrl = null;
+      } else if (direct) {
+        const fs = require('fs').promises;
+        const stats = await fs.stat(fileInfo.resolvedPath);
+        fileSize = Validators.formatFileSize(stats.size);
+
+        if (fileInfo.downloadedFromTorrent) {
+          this.logger.info(`Source: Torrent download`);
+        } else {
+          this.logger.info(`File: ${fileInfo.originalPath}`);
+          this.logger.info(`Resolved path: ${fileInfo.resolvedPath}`);
+        }
+        this.logger.info(`Size: ${fileSize}`);
+        this.logger.info(`Upload name: ${uploadFileName}`);
+        this.logger.separator();
+
+        if (resume.videoId) {
+          this.logger.step('♻️', 'Reusing previous PeerTube upload');
+          this.logger.info(`Video ID: ${resume.videoId}`, 1);
+          directVideoId = resume.videoId;
+        } else {
+          this.logger.step('📤', 'Uploading directly to PeerTube (skipping S3)');
+          await checkpoint('uploading', { uploadMode });
+
+          const videoName = await this.getVideoName(fileInfo, customName);
+          const uploadResult = await runStage('upload', async () => {
+            const spinner = ora('Uploading to PeerTube...').start();
+
+            const result = await peertubeService.uploadVideoResumable(fileInfo.resolvedPath, {
+              channelId,
+              name: videoName,
+              privacy,
+              videoPasswords: [videoPassword],
+              onProgress: ({ loaded, total, percent }) => {
+                spinner.text = `Uploading to PeerTube... ${percent}% (${Validators.formatFileSize(loaded)} / ${Validators.formatFileSize(total)})`;
+              },
+            });
+
+            spinner.succeed('Upload completed');
+            return result;
+          });
+
+          directVideoId = uploadResult.video?.id;
+          if (!directVideoId) {
+            throw new Error('No video ID returned from upload');
+          }
+
+          this.logger.info(`Video ID: ${directVideoId}`, 1);
+          await checkpoint('importing', { videoId: directVideoId, uploadMode });
+        }
       } else {
         const fs = require('fs').promises;
         const stats = await fs.stat(fileInfo.resolvedPath);
@@ -92,120 +195,135 @@ class UploadService {
         this.logger.separator();
 
         this.logger.step('📤', 'Uploading to S3');
+        await checkpoint('uploading', { uploadMode });
 
-        const s3Service = new S3Service(this.r2Config);
-        const spinner = ora('Uploading to S3...').start();
+        uploadResult = await runStage('upload', async () => {
+          const s3Service = new S3Service(this.r2Config);
+          const spinner = ora('Uploading to S3...').start();
+
+          const result = await s3Service.uploadFile(
+            fileInfo.resolvedPath,
+            `videos/${uploadFileName}`,
+            true,
+            {
+              dedupe: true,
+              onProgress: ({ phase, loaded, total, percent }) => {
+                const action = phase === 'hashing' ? 'Computing checksum' : 'Uploading to S3';
+                spinner.text = `${action}... ${percent}% (${Validators.formatFileSize(loaded)} / ${Validators.formatFileSize(total)})`;
+              },
+            }
+          );
 
-        uploadResult = await s3Service.uploadFile(
-          fileInfo.resolvedPath,
-          `videos/${uploadFileName}`,
-          true
-        );
-        r2FileName = uploadResult.Key;
+          if (result.reused) {
+            spinner.succeed(`Identical file already in S3 as ${result.Key}, upload skipped`);
+          } else if (result.skipped) {
+            spinner.succeed('Identical file already in S3, upload skipped');
+          } else {
+            spinner.succeed('Upload completed and verified');
+          }
+          return result;
+        });
+        // An object reused from another upload belongs to that upload and is never cleaned up here
+        r2FileName = uploadResult.reused ? null : uploadResult.Key;
 
-        spinner.succeed('Upload completed');
         this.logger.info(`Public URL: ${uploadResult.publicUrl}`, 1);
 
         const urlParts = uploadResult.publicUrl.split('/');
         const encodedFileName = encodeURIComponent(urlParts.pop());
         const baseUrl = urlParts.join('/');
         videoUrl = `${baseUrl}/${encodedFileName}`;
-      }
-
-      this.logger.step('📥', 'Importing to PeerTube');
-
-      const peertubeService = new PeerTubeService(this.peertubeConfig);
-
-      let videoName = customName;
-      if (!videoName) {
-        try {
-          const fileName = fileInfo.fileName;
-          const anitomyResult = await anitomy(fileName);
-
-          if (anitomyResult.anime_title && anitomyResult.episode_number) {
-            const animeTitle = anitomyResult.anime_title.replace(/\s+/g, '+');
-            const seasonNumber = parseInt(anitomyResult.anime_season) || 1;
-            const episodeNumber = parseInt(anitomyResult.episode_number);
-
-            const seasonStr =
-              seasonNumber < 10 ? `0${seasonNumber}` : seasonNumber.toString();
-            const episodeStr =
-              episodeNumber < 10
-                ? `0${episodeNumber}`
-                : episodeNumber.toString();
-
-            videoName = `${animeTitle}_S${seasonStr}E${episodeStr}`;
-          } else {
-            videoName = path.parse(fileInfo.resolvedPath).name;
-          }
-        } catch (error) {
-          videoName = path.parse(fileInfo.resolvedPath).name;
-        }
-      }
-
-      const importOptions = {
-        channelId,
-        name: videoName,
-        privacy,
-        videoPasswords: [videoPassword],
-        silent: true,
-      };
 
-      const importSpinner = ora('Importing to PeerTube...').start();
-      const importResult = await peertubeService.importVideo(
-        videoUrl,
-        importOptions
-      );
-      const videoId = importResult.video?.id;
-
-      if (!videoId) {
-        throw new Error('No video ID returned from import');
+        await checkpoint('importing', {
+          r2Key: r2FileName,
+          publicUrl: uploadResult.publicUrl,
+          videoUrl
+        });
       }
 
-      importSpinner.succeed('Import initiated');
-      this.logger.info(`Import ID: ${importResult.id}`, 1);
-      this.logger.info(`Video ID: ${videoId}`, 1);
-
-      this.logger.step('⏳', 'Waiting for PeerTube to import from S3');
-
-      const processingSpinner = ora('Monitoring import status...').start();
-      const processingResult = await peertubeService.waitForProcessing(
-        videoId,
-        maxWaitMinutes
-      );
+      let processingResult;
 
-      if (processingResult.success) {
-        processingSpinner.succeed(
-          `Import completed, final state: ${processingResult.finalState}`
-        );
+      if (resume.video) {
+        this.logger.step('♻️', 'Reusing previous PeerTube import');
+        this.logger.info(`Video ID: ${resume.video.id}`, 1);
+        processingResult = {
+          success: true,
+          finalState: resume.finalState,
+          video: resume.video
+        };
+      } else if (directVideoId) {
+        processingResult = await runStage('import', () => this.waitForVideo(
+          peertubeService,
+          fileInfo,
+          directVideoId,
+          maxWaitMinutes,
+          'Waiting for PeerTube to process the upload'
+        ));
       } else {
-        processingSpinner.warn(
-          `Import timeout: ${processingResult.finalState}`
-        );
+        processingResult = await runStage('import', () => this.importAndWait(
+          peertubeService,
+          fileInfo,
+          videoUrl,
+          { channelId, privacy, videoPassword, maxWaitMinutes, customName },
+          resume,
+          checkpoint
+        ));
       }
 
-      if (animeId && processingResult.video) {
-        await this.updateAnimeEpisode(
-          fileInfo,
-          processingResult.video,
-          animeId,
-          videoPassword,
-          useTitle
-        );
+      if (processingResult.failed) {
+        // The S3 file stays so the import can be retried from the same URL
+        importFailed = true;
+        await checkpoint('importing', { importId: null, videoId: null });
+
+        const reason = processingResult.error ? `${processingResult.finalState} (${processingResult.error})` : processingResult.finalState;
+        const retryHint = processingResult.importId ? `, retry with "anitorrent peertube retry ${processingResult.importId}"` : '';
+        throw new Error(`PeerTube import failed: ${reason}${retryHint}`);
       }
 
       if (processingResult.video) {
-        await this.extractAndUploadSubtitles(
-          fileInfo,
-          processingResult.video,
-          subtitleTrack,
-          subtitleSuffix,
-          ignoredSubtitleTracks
-        );
+        if (!resume.subtitlesDone) {
+          await checkpoint('subtitles', {
+            video: processingResult.video,
+            finalState: processingResult.finalState
+          });
+
+          await this.extractAndUploadSubtitles(
+            fileInfo,
+            processingResult.video,
+            subtitleTrack,
+            subtitleSuffix,
+            ignoredSubtitleTracks,
+            captions
+          );
+
+          if (extractAudio) {
+            await this.extractAndUploadAudio(fileInfo, processingResult.video, audioTrack, audioSuffix, audioLatinoTrack, ignoredAudioTracks);
+          }
 
-        if (extractAudio) {
-          await this.extractAndUploadAudio(fileInfo, processingResult.video, audioTrack, audioSuffix, audioLatinoTrack, ignoredAudioTracks);
+          await checkpoint('subtitles', { subtitlesDone: true });
         }
+
+        if (animeId && !resume.episodeRegistered) {
+          episodeRegistered = await this.updateAnimeEpisode(
+            fileInfo,
+            processingResult.video,
+            animeId,
+            videoPassword,
+            useTitle,
+            episodeOffset
+          );
+          await checkpoint('episode-registered', { episodeRegistered });
+        }
+
+        await this.notificationService.notify(NotificationService.EVENTS.EPISODE_PUBLISHED, {
+          fileName: fileInfo.fileName,
+          title: processingResult.video.name,
+          videoId: processingResult.video.id,
+          shortUUID: processingResult.video.shortUUID,
+          url: processingResult.video.url,
+          finalState: processingResult.finalState,
+          animeId: animeId || null,
+          episodeRegistered,
+        });
       }
 
       if (!keepR2File && r2FileName) {
@@ -217,6 +335,8 @@ class UploadService {
         cleanupSpinner.succeed('S3 file deleted');
       } else if (fileInfo.isUrl) {
         this.logger.step('🔗', 'No S3 cleanup needed (direct URL was used)');
+      } else if (directVideoId) {
+        this.logger.step('📤', 'No S3 cleanup needed (uploaded directly to PeerTube)');
       }
 
       return {
@@ -226,9 +346,12 @@ class UploadService {
         finalState: processingResult.finalState,
         videoUrl: videoUrl,
         keepR2File: keepR2File,
+        episodeRegistered,
       };
     } catch (error) {
-      if (r2FileName && !keepR2File) {
+      if (r2FileName && importFailed) {
+        this.logger.info(`Keeping S3 file for a retry: ${r2FileName}`);
+      } else if (r2FileName && !keepR2File) {
         this.logger.info('Attempting cleanup of S3 file...');
         try {
           const s3Service = new S3Service(this.r2Config);
@@ -240,12 +363,142 @@ class UploadService {
           );
           this.logger.error(`Manual cleanup required for: ${r2FileName}`);
         }
+
+        // A retry must upload again instead of importing from the deleted object
+        try {
+          await checkpoint(stage || 'uploading', { r2Key: null, publicUrl: null, videoUrl: null });
+        } catch (checkpointError) {
+          this.logger.error(`Failed to record the S3 cleanup: ${checkpointError.message}`);
+        }
       }
       throw error;
     }
   }
 
-  async updateAnimeEpisode(fileInfo, video, animeId, videoPassword, useTitle) {
+  async importAndWait(peertubeService, fileInfo, videoUrl, importSettings, resume = {}, checkpoint = async () => {}) {
+    const { channelId, privacy, videoPassword, maxWaitMinutes, customName } = importSettings;
+    let videoId = resume.videoId;
+    let importId = resume.importId || null;
+
+    if (videoId) {
+      this.logger.step('♻️', 'Reusing previous PeerTube import');
+      this.logger.info(`Import ID: ${resume.importId}`, 1);
+      this.logger.info(`Video ID: ${videoId}`, 1);
+    } else {
+      this.logger.step('📥', 'Importing to PeerTube');
+
+      const videoName = await this.getVideoName(fileInfo, customName);
+
+      const importOptions = {
+        channelId,
+        name: videoName,
+        privacy,
+        videoPasswords: [videoPassword],
+        silent: true,
+      };
+
+      const importSpinner = ora('Importing to PeerTube...').start();
+      const importResult = await peertubeService.importVideo(
+        videoUrl,
+        importOptions
+      );
+      videoId = importResult.video?.id;
+
+      if (!videoId) {
+        throw new Error('No video ID returned from import');
+      }
+
+      importId = importResult.id;
+      importSpinner.succeed('Import initiated');
+      this.logger.info(`Import ID: ${importResult.id}`, 1);
+      this.logger.info(`Video ID: ${videoId}`, 1);
+
+      await checkpoint('importing', { importId: importResult.id, videoId });
+    }
+
+    return this.waitForVideo(
+      peertubeService,
+      fileInfo,
+      videoId,
+      maxWaitMinutes,
+      'Waiting for PeerTube to import from S3',
+      importId
+    );
+  }
+
+  async getVideoName(fileInfo, customName = null) {
+    if (customName) {
+      return customName;
+    }
+
+    try {
+      const anitomyResult = await anitomy(fileInfo.fileName);
+
+      if (anitomyResult.anime_title && anitomyResult.episode_number) {
+        const animeTitle = anitomyResult.anime_title.replace(/\s+/g, '+');
+        const seasonNumber = parseInt(anitomyResult.anime_season) || 1;
+        const episodeNumber = parseInt(anitomyResult.episode_number);
+
+        const seasonStr =
+          seasonNumber < 10 ? `0${seasonNumber}` : seasonNumber.toString();
+        const episodeStr =
+          episodeNumber < 10
+            ? `0${episodeNumber}`
+            : episodeNumber.toString();
+
+        return `${animeTitle}_S${seasonStr}E${episodeStr}`;
+      }
+    } catch (error) {
+      // Fall back to the file name below
+    }
+
+    return path.parse(fileInfo.resolvedPath).name;
+  }
+
+  async waitForVideo(peertubeService, fileInfo, videoId, maxWaitMinutes, message, importId = null) {
+    this.logger.step('⏳', message);
+
+    const processingSpinner = ora('Monitoring import status...').start();
+    const processingResult = await peertubeService.waitForProcessing(
+      videoId,
+      maxWaitMinutes,
+      { importId }
+    );
+
+    if (processingResult.success) {
+      processingSpinner.succeed(
+        `Import completed, final state: ${processingResult.finalState}`
+      );
+    } else if (processingResult.failed) {
+      processingSpinner.fail(`Import failed: ${processingResult.finalState}`);
+      if (processingResult.error) {
+        this.logger.error(processingResult.error, 1);
+      }
+
+      await this.notificationService.notify(NotificationService.EVENTS.IMPORT_FAILED, {
+        fileName: fileInfo.fileName,
+        videoId,
+        importId,
+        finalState: processingResult.finalState,
+        error: processingResult.error,
+      });
+    } else {
+      processingSpinner.warn(
+        `Import timeout: ${processingResult.finalState}`
+      );
+
+      await this.notificationService.notify(NotificationService.EVENTS.IMPORT_TIMEOUT, {
+        fileName: fileInfo.fileName,
+        videoId,
+        finalState: processingResult.finalState,
+        maxWaitMinutes,
+      });
+    }
+
+    return { ...processingResult, importId };
+  }
+
+  async updateAnimeEpisode(fileInfo, video, animeId, videoPassword, useTitle, episodeOffset = 0) {
     this.logger.step('📺', 'Updating anime episode');
 
     try {
@@ -258,8 +511,8 @@ class UploadService {
 
       let finalEpisodeNumber = anitomyResult.episode_number || 1;
 
-      const episodeNumber = parseInt(finalEpisodeNumber);
-      const anitorrentService = new AniTorrentService();
+      const episodeNumber = parseInt(finalEpisodeNumber) + episodeOffset;
+      const anitorrentService = new AniTorrentService(this.config);
       const aniZipService = new AniZipService();
 
       let animeTitle = anitomyResult.anime_title || video.name;
@@ -335,13 +588,15 @@ class UploadService {
       episodeSpinner.succeed(`Episode ${episodeNumber} updated successfully`);
       this.logger.info(`Episode: ${episodeNumber}`, 1);
       this.logger.info(`Anime: ${animeTitle}`, 1);
+      return true;
     } catch (error) {
       this.logger.error(`Failed to update episode: ${error.message}`);
       this.logger.warning('Video upload completed but episode update failed');
+      return false;
     }
   }
 
-  async extractAndUploadSubtitles(fileInfo, video, subtitleTrack, customSuffix = null, ignoredTracks = []) {
+  async extractAndUploadSubtitles(fileInfo, video, subtitleTrack, customSuffix = null, ignoredTracks = [], pushCaptions = false) {
     if (customSuffix && subtitleTrack !== null) {
       this.logger.step('🎬', `Extracting subtitle track ${subtitleTrack} with custom suffix`);
     } else {
@@ -402,6 +657,7 @@ class UploadService {
       let successfulUploads = 0;
       let failedExtractions = 0;
       let extractionSpinner;
+      const captionLanguages = new Set();
 
       if (customSuffix && subtitleTrack !== null) {
         extractionSpinner = ora(
@@ -419,6 +675,7 @@ class UploadService {
         if (!targetTrack) {
           extractionSpinner.fail(`Track ${subtitleTrack} not found`);
           this.logger.warning(`Subtitle track ${subtitleTrack} not found in video`);
+          await this.notifySubtitleFailure(fileInfo, video, `Subtitle track ${subtitleTrack} not found in video`);
           return;
         }
 
@@ -449,6 +706,10 @@ class UploadService {
               successfulUploads++;
               extractionSpinner.succeed(`Subtitle track ${subtitleTrack} extracted and uploaded successfully`);
 
+              if (pushCaptions) {
+                await this.pushCaption(video, extractResult.outputPath, customSuffix, captionLanguages, subtitleService);
+              }
+
               try {
                 await fs.unlink(extractResult.outputPath);
               } catch (cleanupError) {
@@ -501,6 +762,11 @@ class UploadService {
 
                 successfulUploads++;
 
+                if (pushCaptions) {
+                  extractionSpinner.text = `Uploading ${outputFileName} caption to PeerTube...`;
+                  await this.pushCaption(video, extractResult.outputPath, suffix, captionLanguages, subtitleService);
+                }
+
                 try {
                   await fs.unlink(extractResult.outputPath);
                 } catch (cleanupError) {
@@ -535,6 +801,12 @@ class UploadService {
           `Successfully uploaded ${successfulUploads} subtitle files`,
           1
         );
+        if (pushCaptions) {
+          this.logger.info(
+            `PeerTube captions: ${captionLanguages.size > 0 ? [...captionLanguages].join(', ') : 'none'}`,
+            1
+          );
+        }
         if (failedExtractions > 0) {
           this.logger.info(`${failedExtractions} extractions failed`, 1);
         }
@@ -542,6 +814,13 @@ class UploadService {
         extractionSpinner.fail('All subtitle extractions failed');
       }
 
+      if (failedExtractions > 0) {
+        await this.notifySubtitleFailure(fileInfo, video, `${failedExtractions} subtitle extractions failed`, {
+          uploaded: successfulUploads,
+          failed: failedExtractions,
+        });
+      }
+
       // Cleanup empty subtitles directory
       try {
         const subtitlesDir = path.join(tempDir, 'subtitles');
@@ -556,7 +835,49 @@ class UploadService {
     } catch (error) {
       this.logger.warning(`Subtitle extraction failed: ${error.message}`);
       this.logger.info('Continuing with video processing...', 1);
+      await this.notifySubtitleFailure(fileInfo, video, error.message);
+    }
+  }
+
+  // Caption problems are only warnings, the R2 subtitle is what the site uses
+  async pushCaption(video, subtitlePath, suffix, captionLanguages, subtitleService) {
+    const isDefault = !suffix || suffix === 'null' || suffix === 'default';
+    const language = subtitleService.getCaptionLanguage(isDefault ? null : suffix);
+
+    if (!language) {
+      this.logger.warning(`No PeerTube caption language for suffix "${suffix}", caption skipped`, 1);
+      return false;
+    }
+
+    // The default (Latino) track replaces other tracks that map to the same language
+    if (captionLanguages.has(language) && !isDefault) {
+      this.logger.info(`Caption "${language}" already uploaded, skipping ${suffix} track`, 1);
+      return false;
     }
+
+    try {
+      const fs = require('fs').promises;
+      const content = await fs.readFile(subtitlePath, 'utf8');
+      const vtt = SubtitleFormats.convert(content, SubtitleFormats.detect(subtitlePath, content), 'vtt');
+
+      const peertubeService = new PeerTubeService(this.peertubeConfig);
+      await peertubeService.uploadCaption(video.id, language, vtt, `${path.parse(subtitlePath).name}.vtt`);
+      captionLanguages.add(language);
+      return true;
+    } catch (error) {
+      this.logger.warning(`Failed to upload "${language}" caption to PeerTube: ${error.message}`, 1);
+      return false;
+    }
+  }
+
+  async notifySubtitleFailure(fileInfo, video, reason, details = {}) {
+    await this.notificationService.notify(NotificationService.EVENTS.SUBTITLES_FAILED, {
+      fileName: fileInfo.fileName,
+      videoId: video.id,
+      shortUUID: video.shortUUID,
+      reason,
+      ...details,
+    });
   }
 
   async extractAndUploadAudio(fileInfo, video, audioTrack = null, customSuffix = null, audioLatinoTrack = null, ignoredTracks = []) {
@@ -778,7 +1099,7 @@ class UploadService {
   }
 
   async downloadFromTorrent(torrentUrl, logger, options = {}) {
-    const torrentService = new TorrentService({ logger });
+    const torrentService = options.torrentService || new TorrentService({ logger });
     await torrentService.ensureDownloadDirectory();
 
     logger.step('📥', 'Downloading from torrent');
@@ -790,6 +1111,7 @@ class UploadService {
         selectLargestFile: true,
         timeout: 600000,
         keepSeeding: options.keepSeeding || false,
+        pin: options.pin || false,
         onProgress: (progress, fileName) => {
           downloadSpinner.text = `Downloading ${fileName}: ${progress}%`;
         },
@@ -824,6 +1146,13 @@ class UploadService {
     }
   }
 
+  // Deletes the S3 file kept after a failed import once nothing is going to retry from it
+  async discardKeptUpload(r2Key) {
+    const s3Service = new S3Service(this.r2Config);
+    await s3Service.deleteFile(r2Key, true);
+    this.logger.info(`Deleted S3 file kept for a retry: ${r2Key}`);
+  }
+
   async cleanupTorrentFile(fileInfo, torrentService, stopSeeding = true) {
     if (fileInfo.downloadedFromTorrent && torrentService) {
       if (stopSeeding) {
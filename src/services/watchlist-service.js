@@ -0,0 +1,131 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { Logger } = require('../utils/logger');
+const PostgreSQLService = require('./postgresql-service');
+
+const STORAGE_TYPES = ['local', 'database'];
+
+class WatchlistService {
+  constructor(options = {}) {
+    this.storage = options.storage || 'local';
+    this.watchlistFile = options.watchlistFile;
+    this.logger = options.logger || new Logger({ verbose: false, quiet: false });
+    this.dbService = null;
+    this.tableReady = false;
+
+    if (!STORAGE_TYPES.includes(this.storage)) {
+      throw new Error(`Unknown watchlist storage "${this.storage}" (use ${STORAGE_TYPES.join(' or ')})`);
+    }
+
+    if (this.storage === 'local' && !this.watchlistFile) {
+      throw new Error('watchlistFile is required for local watchlist storage');
+    }
+
+    if (this.storage === 'database') {
+      if (!options.dbConfig || !options.dbConfig.host || options.dbConfig.host === 'your_db_host') {
+        throw new Error('Database is not configured. Please run "anitorrent config setup" to configure database settings.');
+      }
+      this.dbService = new PostgreSQLService(options.dbConfig);
+    }
+  }
+
+  normalizeEntry(entry) {
+    return {
+      anilistId: parseInt(entry.anilistId ?? entry.idAnilist),
+      title: entry.title || null,
+      subtitleTrack: entry.subtitleTrack !== null && entry.subtitleTrack !== undefined ? parseInt(entry.subtitleTrack) : null,
+      useTitle: !!entry.useTitle,
+      releaseGroup: entry.releaseGroup || null,
+      episodeOffset: parseInt(entry.episodeOffset) || 0,
+      createdAt: entry.createdAt ? new Date(entry.createdAt).toISOString() : new Date().toISOString()
+    };
+  }
+
+  async readLocal() {
+    try {
+      const data = await fs.readFile(this.watchlistFile, 'utf8');
+      const parsed = JSON.parse(data);
+      return Array.isArray(parsed.shows) ? parsed.shows : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Error reading watchlist: ${error.message}`);
+    }
+  }
+
+  async writeLocal(shows) {
+    await fs.mkdir(path.dirname(this.watchlistFile), { recursive: true });
+    await fs.writeFile(this.watchlistFile, JSON.stringify({ version: 1, shows }, null, 2));
+  }
+
+  async ensureTable() {
+    if (!this.tableReady) {
+      await this.dbService.ensureWatchlistTable();
+      this.tableReady = true;
+    }
+  }
+
+  async list() {
+    if (this.storage === 'database') {
+      await this.ensureTable();
+      const rows = await this.dbService.getWatchlist();
+      return rows.map(row => this.normalizeEntry(row));
+    }
+
+    const shows = await this.readLocal();
+    return shows.map(show => this.normalizeEntry(show));
+  }
+
+  async get(anilistId) {
+    const shows = await this.list();
+    return shows.find(show => show.anilistId === parseInt(anilistId)) || null;
+  }
+
+  async add(anilistId, overrides = {}) {
+    const existing = await this.get(anilistId);
+    const entry = this.normalizeEntry({
+      ...existing,
+      ...overrides,
+      anilistId,
+      createdAt: existing ? existing.createdAt : undefined
+    });
+
+    if (this.storage === 'database') {
+      await this.ensureTable();
+      await this.dbService.upsertWatchlistEntry({ ...entry, idAnilist: entry.anilistId });
+      return entry;
+    }
+
+    const shows = (await this.readLocal()).filter(show => parseInt(show.anilistId) !== entry.anilistId);
+    shows.push(entry);
+    await this.writeLocal(shows);
+    return entry;
+  }
+
+  async remove(anilistId) {
+    if (this.storage === 'database') {
+      await this.ensureTable();
+      return this.dbService.deleteWatchlistEntry(parseInt(anilistId));
+    }
+
+    const shows = await this.readLocal();
+    const remaining = shows.filter(show => parseInt(show.anilistId) !== parseInt(anilistId));
+
+    if (remaining.length === shows.length) {
+      return false;
+    }
+
+    await this.writeLocal(remaining);
+    return true;
+  }
+
+  async close() {
+    if (this.dbService) {
+      await this.dbService.close();
+      this.dbService = null;
+    }
+  }
+}
+
+module.exports = WatchlistService;
@@ -0,0 +1,405 @@
+const DEFAULT_EVENT_FORMAT = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+const DEFAULT_SSA_EVENT_FORMAT = ['Marked', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+const DEFAULT_STYLE_FORMAT = [
+    'Name', 'Fontname', 'Fontsize', 'PrimaryColour', 'SecondaryColour', 'OutlineColour', 'BackColour',
+    'Bold', 'Italic', 'Underline', 'StrikeOut', 'ScaleX', 'ScaleY', 'Spacing', 'Angle',
+    'BorderStyle', 'Outline', 'Shadow', 'Alignment', 'MarginL', 'MarginR', 'MarginV', 'Encoding'
+];
+const DEFAULT_SSA_STYLE_FORMAT = [
+    'Name', 'Fontname', 'Fontsize', 'PrimaryColour', 'SecondaryColour', 'TertiaryColour', 'BackColour',
+    'Bold', 'Italic', 'BorderStyle', 'Outline', 'Shadow', 'Alignment', 'MarginL', 'MarginR', 'MarginV',
+    'AlphaLevel', 'Encoding'
+];
+
+const EVENT_KINDS = ['Dialogue', 'Comment', 'Picture', 'Sound', 'Movie', 'Command'];
+
+// Longest names first so \fscx is not read as \fs with value "cx"
+const KNOWN_TAGS = [
+    'xbord', 'ybord', 'xshad', 'yshad', 'iclip', 'alpha', 'fscx', 'fscy', 'fade', 'move', 'clip', 'blur',
+    'bord', 'shad', 'pos', 'org', 'fad', 'frx', 'fry', 'frz', 'fax', 'fay', 'fsp', 'pbo', '1c', '2c', '3c', '4c',
+    '1a', '2a', '3a', '4a', 'fn', 'fs', 'fe', 'fr', 'an', 'be', 'kf', 'ko', 'K', 'k', 'q', 'r', 't', 'p',
+    'a', 'c', 'b', 'i', 'u', 's'
+];
+
+const fieldIndex = (format, field) => format.findIndex(name => name.toLowerCase() === field.toLowerCase());
+
+// A Style or event line whose values are split according to the section's Format line.
+// Values are kept untrimmed so an unmodified entry serializes back to the exact source line.
+class AssEntry {
+    constructor(kind, prefix, values, format) {
+        this.type = 'entry';
+        this.kind = kind;
+        this.prefix = prefix;
+        this.values = values;
+        this.format = format;
+    }
+
+    static parse(line, format) {
+        const match = line.match(/^([A-Za-z]+):[ \t]*/);
+        const values = [];
+        let rest = line.slice(match[0].length);
+
+        // The last field (Text for events) takes the remainder, commas included
+        for (let i = 0; i < format.length - 1; i++) {
+            const comma = rest.indexOf(',');
+            if (comma === -1) {
+                break;
+            }
+            values.push(rest.slice(0, comma));
+            rest = rest.slice(comma + 1);
+        }
+        values.push(rest);
+
+        return new AssEntry(match[1], match[0], values, format);
+    }
+
+    has(field) {
+        return fieldIndex(this.format, field) !== -1;
+    }
+
+    get(field) {
+        const index = fieldIndex(this.format, field);
+        return index === -1 || this.values[index] === undefined ? '' : this.values[index].trim();
+    }
+
+    set(field, value) {
+        const index = fieldIndex(this.format, field);
+        if (index === -1) {
+            throw new Error(`Field ${field} is not part of the Format line`);
+        }
+        while (this.values.length <= index) {
+            this.values.push('');
+        }
+        this.values[index] = String(value);
+    }
+
+    get start() {
+        return AssDocument.parseTime(this.get('Start'));
+    }
+
+    set start(ms) {
+        this.set('Start', AssDocument.formatTime(ms));
+    }
+
+    get end() {
+        return AssDocument.parseTime(this.get('End'));
+    }
+
+    set end(ms) {
+        this.set('End', AssDocument.formatTime(ms));
+    }
+
+    get text() {
+        const index = fieldIndex(this.format, 'Text');
+        return index === -1 || this.values[index] === undefined ? '' : this.values[index];
+    }
+
+    set text(value) {
+        this.set('Text', value);
+    }
+
+    get plainText() {
+        return AssDocument.plainText(this.text);
+    }
+
+    get style() {
+        return this.get('Style');
+    }
+
+    // Serializes the entry with another column order, e.g. the default one expected by external tools
+    toLine(format = this.format) {
+        const values = format.map(field => {
+            if (field.toLowerCase() === 'text') {
+                return this.text;
+            }
+            return this.has(field) ? this.get(field) : '0';
+        });
+        return `${this.kind}: ${values.join(',')}`;
+    }
+
+    toString() {
+        return this.prefix + this.values.join(',');
+    }
+}
+
+class AssSection {
+    constructor(name, header) {
+        this.name = name;
+        this.header = header;
+        this.lines = [];
+        this.format = null;
+    }
+
+    get entries() {
+        return this.lines.filter(line => line.type === 'entry');
+    }
+
+    isEvents() {
+        return this.name.toLowerCase() === 'events';
+    }
+
+    isStyles() {
+        return /^v4\+? styles$/i.test(this.name);
+    }
+
+    isScriptInfo() {
+        return this.name.toLowerCase() === 'script info';
+    }
+
+    defaultFormat() {
+        if (this.isStyles()) {
+            return this.name.toLowerCase() === 'v4 styles' ? DEFAULT_SSA_STYLE_FORMAT : DEFAULT_STYLE_FORMAT;
+        }
+        return this.isSsa ? DEFAULT_SSA_EVENT_FORMAT : DEFAULT_EVENT_FORMAT;
+    }
+
+    parseLine(raw, eol) {
+        const trimmed = raw.trim();
+
+        if (/^format\s*:/i.test(trimmed) && (this.isEvents() || this.isStyles())) {
+            this.format = raw.slice(raw.indexOf(':') + 1).split(',').map(field => field.trim());
+            this.lines.push({ type: 'format', raw, eol });
+            return;
+        }
+
+        const isEntry = this.isStyles()
+            ? /^style\s*:/i.test(trimmed)
+            : this.isEvents() && EVENT_KINDS.some(kind => trimmed.toLowerCase().startsWith(`${kind.toLowerCase()}:`));
+
+        if (isEntry && raw === raw.trimStart()) {
+            const entry = AssEntry.parse(raw, this.format || this.defaultFormat());
+            entry.eol = eol;
+            this.lines.push(entry);
+            return;
+        }
+
+        this.lines.push({ type: 'raw', raw, eol });
+    }
+}
+
+// Lossless model of an ASS/SSA script: every line keeps its original text and line ending,
+// so parse(content).toString() === content until something is changed
+class AssDocument {
+    constructor() {
+        this.bom = '';
+        this.eol = '\n';
+        this.preamble = [];
+        this.sections = [];
+    }
+
+    static parse(content) {
+        const document = new AssDocument();
+        let text = content;
+
+        if (text.startsWith('\uFEFF')) {
+            document.bom = '\uFEFF';
+            text = text.slice(1);
+        }
+        if (text.includes('\r\n')) {
+            document.eol = '\r\n';
+        }
+
+        let current = null;
+        const lineRegex = /([^\r\n]*)(\r\n|\n|\r|$)/g;
+        let match;
+
+        while ((match = lineRegex.exec(text)) !== null) {
+            const [, raw, eol] = match;
+            if (raw === '' && eol === '') {
+                break;
+            }
+
+            const header = raw.trim().match(/^\[(.+)\]$/);
+            if (header) {
+                current = new AssSection(header[1].trim(), { raw, eol });
+                current.isSsa = document.sections.some(section => section.name.toLowerCase() === 'v4 styles');
+                document.sections.push(current);
+            } else if (current) {
+                current.parseLine(raw, eol);
+            } else {
+                document.preamble.push({ type: 'raw', raw, eol });
+            }
+        }
+
+        return document;
+    }
+
+    getSection(name) {
+        return this.sections.find(section => section.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+
+    get scriptInfo() {
+        const section = this.getSection('Script Info');
+        const info = {};
+        if (!section) {
+            return info;
+        }
+
+        section.lines
+            .filter(line => line.type === 'raw' && !/^\s*;/.test(line.raw) && line.raw.includes(':'))
+            .forEach(line => {
+                const separator = line.raw.indexOf(':');
+                info[line.raw.slice(0, separator).trim()] = line.raw.slice(separator + 1).trim();
+            });
+        return info;
+    }
+
+    getInfo(key) {
+        const info = this.scriptInfo;
+        const match = Object.keys(info).find(name => name.toLowerCase() === key.toLowerCase());
+        return match ? info[match] : null;
+    }
+
+    setInfo(key, value) {
+        let section = this.getSection('Script Info');
+        if (!section) {
+            section = new AssSection('Script Info', { raw: '[Script Info]', eol: this.eol });
+            this.sections.unshift(section);
+        }
+
+        const line = section.lines.find(entry => entry.type === 'raw' && new RegExp(`^\\s*${key}\\s*:`, 'i').test(entry.raw));
+        if (line) {
+            line.raw = `${key}: ${value}`;
+            return;
+        }
+
+        // Keep new keys above the blank line that separates sections
+        let index = section.lines.length;
+        while (index > 0 && section.lines[index - 1].type === 'raw' && section.lines[index - 1].raw.trim() === '') {
+            index--;
+        }
+        section.lines.splice(index, 0, { type: 'raw', raw: `${key}: ${value}`, eol: this.eol });
+    }
+
+    get styles() {
+        return this.sections
+            .filter(section => section.isStyles())
+            .flatMap(section => section.entries);
+    }
+
+    getStyle(name) {
+        return this.styles.find(style => style.get('Name') === name) || null;
+    }
+
+    get events() {
+        const section = this.getSection('Events');
+        return section ? section.entries : [];
+    }
+
+    get dialogues() {
+        return this.events.filter(event => event.kind === 'Dialogue');
+    }
+
+    toString() {
+        const lines = [...this.preamble];
+        this.sections.forEach(section => {
+            lines.push(section.header, ...section.lines);
+        });
+
+        return this.bom + lines
+            .map((line, index) => {
+                const text = line.type === 'entry' ? line.toString() : line.raw;
+                // A line that used to be last needs a line ending once something is added after it
+                const eol = index < lines.length - 1 ? line.eol || this.eol : line.eol || '';
+                return text + eol;
+            })
+            .join('');
+    }
+
+    // H:MM:SS.cc, tolerating missing leading zeros and 1-3 fractional digits
+    static parseTime(timeStr) {
+        const match = (timeStr || '').trim().match(/^(\d+):(\d{1,2}):(\d{1,2})(?:[.:](\d{1,3}))?$/);
+        if (!match) {
+            return null;
+        }
+
+        const fraction = match[4] ? parseInt(match[4].padEnd(3, '0'), 10) : 0;
+        return (parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10)) * 1000 + fraction;
+    }
+
+    static formatTime(ms) {
+        const centiseconds = Math.max(0, Math.round(ms / 10));
+        const hours = Math.floor(centiseconds / 360000);
+        const minutes = Math.floor((centiseconds % 360000) / 6000);
+        const seconds = Math.floor((centiseconds % 6000) / 100);
+
+        return `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${(centiseconds % 100).toString().padStart(2, '0')}`;
+    }
+
+    // Splits event text into override blocks ({...}) and text runs, in order
+    static parseText(text) {
+        const segments = [];
+        const regex = /\{[^}]*\}/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = regex.exec(text)) !== null) {
+            if (match.index > lastIndex) {
+                segments.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+            }
+            segments.push({ type: 'tag', text: match[0], tags: AssDocument.parseTags(match[0]) });
+            lastIndex = regex.lastIndex;
+        }
+        if (lastIndex < text.length) {
+            segments.push({ type: 'text', text: text.slice(lastIndex) });
+        }
+
+        return segments;
+    }
+
+    // "{\b1\pos(10,20)}" -> [{ name: 'b', value: '1' }, { name: 'pos', value: '(10,20)' }]
+    // Tags that are not part of the ASS spec are returned with known: false
+    static parseTags(block) {
+        const inner = block.replace(/^\{|\}$/g, '');
+        const tags = [];
+        let current = null;
+        let depth = 0;
+
+        // Backslashes inside \t(...) belong to the animated tags, not to a new tag
+        for (const char of inner) {
+            if (char === '\\' && depth === 0) {
+                current = { raw: '' };
+                tags.push(current);
+                continue;
+            }
+            if (char === '(') depth++;
+            if (char === ')') depth = Math.max(0, depth - 1);
+            if (current) {
+                current.raw += char;
+            }
+        }
+
+        return tags.map(({ raw }) => {
+            const name = KNOWN_TAGS.find(tag => raw.startsWith(tag));
+            if (name) {
+                return { name, value: raw.slice(name.length), known: true };
+            }
+            const fallback = raw.match(/^[a-zA-Z]*/)[0];
+            return { name: fallback, value: raw.slice(fallback.length), known: false };
+        });
+    }
+
+    static plainText(text) {
+        return AssDocument.parseText(text)
+            .filter(segment => segment.type === 'text')
+            .map(segment => segment.text)
+            .join('')
+            .replace(/\\[Nn]/g, '\n')
+            .replace(/\\h/g, ' ');
+    }
+
+    // Vector drawings ({\p1}...) contain path commands rather than readable text
+    static isDrawing(text) {
+        return AssDocument.parseText(text).some(segment =>
+            segment.type === 'tag' && segment.tags.some(tag => tag.name === 'p' && /^[1-9]/.test(tag.value))
+        );
+    }
+}
+
+AssDocument.Entry = AssEntry;
+AssDocument.Section = AssSection;
+AssDocument.EVENT_FORMAT = DEFAULT_EVENT_FORMAT;
+AssDocument.STYLE_FORMAT = DEFAULT_STYLE_FORMAT;
+AssDocument.KNOWN_TAGS = KNOWN_TAGS;
+
+module.exports = AssDocument;
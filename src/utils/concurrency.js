@@ -0,0 +1,69 @@
+class ConcurrencyLimiter {
+    constructor(limit = 1) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error(`Concurrency limit must be a positive integer, got: ${limit}`);
+        }
+
+        this.limit = limit;
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    get pending() {
+        return this.waiting.length;
+    }
+
+    async run(task) {
+        await this.acquire();
+        try {
+            return await task();
+        } finally {
+            this.release();
+        }
+    }
+
+    acquire() {
+        if (this.active < this.limit) {
+            this.active++;
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            // The slot passes straight to the next waiter, so the active count stays the same
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    static parseStageLimits(value, stages, defaultLimit = 1) {
+        const limits = Object.fromEntries(stages.map(stage => [stage, defaultLimit]));
+
+        if (!value) {
+            return limits;
+        }
+
+        for (const part of String(value).split(',').map(item => item.trim()).filter(Boolean)) {
+            const [stage, rawLimit] = part.split('=').map(item => item.trim());
+            const limit = Number(rawLimit);
+
+            if (!stages.includes(stage)) {
+                throw new Error(`Unknown pipeline stage "${stage}" (use ${stages.join(', ')})`);
+            }
+            if (!Number.isInteger(limit) || limit < 1) {
+                throw new Error(`Invalid concurrency for ${stage}: ${rawLimit}`);
+            }
+
+            limits[stage] = limit;
+        }
+
+        return limits;
+    }
+}
+
+module.exports = ConcurrencyLimiter;
@@ -0,0 +1,271 @@
+const Validators = require('./validators');
+const NotificationService = require('../services/notification-service');
+
+// Bumped whenever a migration below changes how config.json is stored
+const CONFIG_VERSION = 1;
+
+const SCHEMA = {
+    R2_ACCESS_KEY_ID: { type: 'string', required: true, sensitive: true },
+    R2_SECRET_ACCESS_KEY: { type: 'string', required: true, sensitive: true },
+    R2_ENDPOINT: { type: 'url', required: true },
+    R2_BUCKET_NAME: { type: 'string', required: true },
+    R2_PUBLIC_DOMAIN: { type: 'url', default: 'https://cdn.anitorrent.com' },
+    R2_PART_SIZE_MB: { type: 'integer', min: 5, max: 5120, default: 16 },
+    R2_UPLOAD_CONCURRENCY: { type: 'integer', min: 1, max: 32, default: 4 },
+    PEERTUBE_API_URL: { type: 'url', default: 'https://peertube.anitorrent.com/api/v1' },
+    PEERTUBE_USERNAME: { type: 'string', required: true },
+    PEERTUBE_PASSWORD: { type: 'string', required: true, sensitive: true },
+    PEERTUBE_UPLOAD_CHUNK_SIZE_MB: { type: 'integer', min: 1, max: 512, default: 8 },
+    PEERTUBE_CAPTIONS: { type: 'boolean', default: false },
+    DEFAULT_CHANNEL_ID: { type: 'integer', min: 1 },
+    DEFAULT_PRIVACY_LEVEL: { type: 'integer', min: 1, max: 5, default: 5 },
+    DEFAULT_VIDEO_PASSWORD: { type: 'string', sensitive: true },
+    CLAUDE_API_KEY: { type: 'string', sensitive: true },
+    ANITORRENT_API_KEY: { type: 'string', sensitive: true },
+    ANITORRENT_API_URL: { type: 'url', default: 'https://api.anitorrent.com' },
+    DB_HOST: { type: 'string' },
+    DB_PORT: { type: 'integer', min: 1, max: 65535, default: 5432 },
+    DB_NAME: { type: 'string' },
+    DB_USER: { type: 'string' },
+    DB_PASSWORD: { type: 'string', sensitive: true },
+    DB_SSL: { type: 'boolean', default: false },
+    RSS_FEEDS: { type: 'array' },
+    RSS_GROUP_PRIORITY: { type: 'list', default: [] },
+    RSS_CODEC_PRIORITY: { type: 'list', values: ['AVC', 'HEVC', 'AV1'] },
+    RSS_WATCHLIST_STORAGE: { type: 'enum', values: ['local', 'database'], default: 'local' },
+    NOTIFY_WEBHOOK_URL: { type: 'url', sensitive: true },
+    NOTIFY_DISCORD_WEBHOOK_URL: { type: 'url', sensitive: true },
+    NOTIFY_COMMAND: { type: 'string' },
+    NOTIFY_EVENTS: { type: 'list', values: Object.values(NotificationService.EVENTS), default: [] }
+};
+
+// Keys the CLI writes itself and never reads through get()
+const INTERNAL_KEYS = ['CONFIG_VERSION', 'PROFILES', 'ACTIVE_PROFILE'];
+
+const LIST_KEYS = Object.keys(SCHEMA).filter(key => SCHEMA[key].type === 'list');
+
+// Each migration upgrades a top-level config or profile from version - 1 to version
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Drop empty placeholder values and store comma-separated lists as arrays',
+        migrate(values) {
+            const migrated = {};
+            Object.entries(values).forEach(([key, value]) => {
+                if (value === '' || value === null) {
+                    return;
+                }
+                migrated[key] = LIST_KEYS.includes(key) && typeof value === 'string'
+                    ? value.split(',').map(item => item.trim()).filter(Boolean)
+                    : value;
+            });
+            return migrated;
+        }
+    }
+];
+
+class ConfigSchema {
+    static has(key) {
+        return Object.prototype.hasOwnProperty.call(SCHEMA, key);
+    }
+
+    static getDefault(key) {
+        return ConfigSchema.has(key) && SCHEMA[key].default !== undefined ? SCHEMA[key].default : null;
+    }
+
+    static getRequiredKeys() {
+        return Object.keys(SCHEMA).filter(key => SCHEMA[key].required);
+    }
+
+    static getSensitiveKeys() {
+        return Object.keys(SCHEMA).filter(key => SCHEMA[key].sensitive);
+    }
+
+    static isEmpty(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    // Values may be stored as strings (config.json, environment) or as JSON types
+    static coerce(key, value) {
+        const definition = SCHEMA[key];
+        if (!definition || ConfigSchema.isEmpty(value)) {
+            return value;
+        }
+
+        switch (definition.type) {
+            case 'integer':
+                return Number(value);
+            case 'boolean':
+                return value === true || String(value).toLowerCase() === 'true';
+            case 'list':
+                return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+            default:
+                return value;
+        }
+    }
+
+    static validateValue(key, value) {
+        const definition = SCHEMA[key];
+        if (!definition || ConfigSchema.isEmpty(value)) {
+            return null;
+        }
+
+        const shown = JSON.stringify(value);
+        switch (definition.type) {
+            case 'string':
+                return typeof value === 'string' ? null : `${key} must be text (got ${shown})`;
+            case 'url':
+                return typeof value === 'string' && Validators.isValidUrl(value)
+                    ? null
+                    : `${key} must be an http(s) URL (got ${shown})`;
+            case 'integer': {
+                const number = Number(value);
+                if (typeof value === 'boolean' || String(value).trim() === '' || !Number.isInteger(number)) {
+                    return `${key} must be an integer (got ${shown})`;
+                }
+                if (definition.min !== undefined && number < definition.min) {
+                    return `${key} must be at least ${definition.min} (got ${number})`;
+                }
+                if (definition.max !== undefined && number > definition.max) {
+                    return `${key} must be at most ${definition.max} (got ${number})`;
+                }
+                return null;
+            }
+            case 'boolean':
+                return [true, false, 'true', 'false'].includes(value)
+                    ? null
+                    : `${key} must be true or false (got ${shown})`;
+            case 'enum':
+                return definition.values.includes(value)
+                    ? null
+                    : `${key} must be one of ${definition.values.join(', ')} (got ${shown})`;
+            case 'list': {
+                // Unknown entries are skipped by the code that reads the list, see getUnknownValues()
+                return Array.isArray(value) || typeof value === 'string'
+                    ? null
+                    : `${key} must be a list or comma-separated text (got ${shown})`;
+            }
+            case 'array':
+                return Array.isArray(value) ? null : `${key} must be a JSON array (got ${shown})`;
+            default:
+                return null;
+        }
+    }
+
+    static getUnknownValues(key, value) {
+        const definition = SCHEMA[key];
+        if (!definition || definition.type !== 'list' || !definition.values || ConfigSchema.validateValue(key, value)) {
+            return [];
+        }
+
+        const allowed = definition.values.map(item => item.toLowerCase());
+        return (ConfigSchema.coerce(key, value) || []).filter(item => !allowed.includes(String(item).toLowerCase()));
+    }
+
+    // Returns errors for invalid values and warnings for keys or list values the CLI does not know (usually typos)
+    static validate(config) {
+        const errors = [];
+        const warnings = [];
+
+        Object.entries(config).forEach(([key, value]) => {
+            if (INTERNAL_KEYS.includes(key)) {
+                return;
+            }
+            if (!ConfigSchema.has(key)) {
+                const suggestion = ConfigSchema.suggest(key);
+                warnings.push(`Unknown configuration key ${key}${suggestion ? ` (did you mean ${suggestion}?)` : ''}`);
+                return;
+            }
+
+            const error = ConfigSchema.validateValue(key, value);
+            if (error) {
+                errors.push(error);
+                return;
+            }
+
+            const unknown = ConfigSchema.getUnknownValues(key, value);
+            if (unknown.length > 0) {
+                warnings.push(`${key} has unknown values ${unknown.join(', ')}, they are ignored (use ${SCHEMA[key].values.join(', ')})`);
+            }
+        });
+
+        return { errors, warnings };
+    }
+
+    static suggest(key) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        Object.keys(SCHEMA).forEach(candidate => {
+            const distance = ConfigSchema.distance(key.toUpperCase(), candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+
+        return bestDistance <= Math.max(2, Math.floor(key.length / 5)) ? best : null;
+    }
+
+    static distance(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(
+                    previous[j] + 1,
+                    previous[j - 1] + 1,
+                    diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diagonal = above;
+            }
+        }
+
+        return previous[b.length];
+    }
+
+    // Profiles hold the same keys as the top level, so they go through the same migrations
+    static migrate(fileConfig) {
+        const fromVersion = fileConfig.CONFIG_VERSION || 0;
+
+        if (fromVersion > CONFIG_VERSION) {
+            throw new Error(`Configuration was written by a newer CLI (config version ${fromVersion}, this CLI supports ${CONFIG_VERSION}). Please upgrade anitorrent-cli`);
+        }
+
+        const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+        if (pending.length === 0) {
+            return { config: fileConfig, applied: [] };
+        }
+
+        const { PROFILES, ACTIVE_PROFILE } = fileConfig;
+        let baseConfig = Object.fromEntries(Object.entries(fileConfig).filter(([key]) => !INTERNAL_KEYS.includes(key)));
+        const profiles = PROFILES ? { ...PROFILES } : undefined;
+
+        pending.forEach(migration => {
+            baseConfig = migration.migrate(baseConfig);
+            if (profiles) {
+                Object.keys(profiles).forEach(name => {
+                    profiles[name] = migration.migrate(profiles[name]);
+                });
+            }
+        });
+
+        const config = { CONFIG_VERSION, ...baseConfig };
+        if (profiles) {
+            config.PROFILES = profiles;
+        }
+        if (ACTIVE_PROFILE) {
+            config.ACTIVE_PROFILE = ACTIVE_PROFILE;
+        }
+
+        return { config, applied: pending, fromVersion };
+    }
+}
+
+ConfigSchema.VERSION = CONFIG_VERSION;
+ConfigSchema.KEYS = SCHEMA;
+
+module.exports = ConfigSchema;
@@ -1,12 +1,43 @@
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const ConfigEncryption = require('./encryption');
+const ConfigSchema = require('./config-schema');
+
+// Used when RSS_FEEDS is not configured. v2/REPACK releases are ranked instead of excluded
+const DEFAULT_RSS_FEED = {
+    name: 'erai-raws',
+    type: 'animetosho',
+    query: '"[Erai-raws] ""1080p""MultiSub"',
+    exclude: ['(ita)', '~', 'BATCH', 'HIDIVE', 'HEVC'],
+    resolution: '1080p'
+};
+
+// Keys that differ between PeerTube instances and can be overridden per profile
+const PROFILE_KEY_PREFIXES = ['PEERTUBE_', 'R2_', 'DB_', 'ANITORRENT_'];
+const PROFILE_KEYS = ['DEFAULT_CHANNEL_ID'];
+const DEFAULT_PROFILE = 'default';
+
+// ANITLAN_<KEY> overrides any config key; these names configure the CLI itself
+const ENV_PREFIX = 'ANITLAN_';
+const RESERVED_ENV_KEYS = ['PROFILE', 'CONFIG_PASSPHRASE', 'CONFIG_PASSPHRASE_FILE'];
+const FILE_SUFFIX = '_FILE';
 
 class ConfigManager {
-    constructor(configFile = null) {
+    constructor(configFile = null, options = {}) {
         this.globalConfigDir = this.getGlobalConfigDir();
-        this.configFile = configFile || path.join(this.globalConfigDir, 'config.json');
-        this.tokenFile = path.join(this.globalConfigDir, 'peertube-token.json');
+        this.configFile = configFile ? path.resolve(configFile) : path.join(this.globalConfigDir, 'config.json');
+        this.instanceId = this.getInstanceId();
+        // Tokens, job queues and upload state are kept per config file, so --config never shares them
+        this.stateDir = this.instanceId ? path.join(this.globalConfigDir, 'instances', this.instanceId) : this.globalConfigDir;
+        this.requestedProfile = options.profile || process.env.ANITLAN_PROFILE || null;
+        this.passphrase = options.passphrase || this.getEnvPassphrase();
+        this.encrypted = false;
+        this.watchlistFile = path.join(this.stateDir, 'rss-watchlist.json');
+        this.uploadStateDir = path.join(this.stateDir, 's3-uploads');
+        this.peertubeUploadStateDir = path.join(this.stateDir, 'peertube-uploads');
+        this.fileConfig = {};
         this.config = {};
         this.loadConfigSync();
     }
@@ -24,56 +55,260 @@ class ConfigManager {
         return configDir;
     }
 
+    // Named after the config file and its full path, so staging.json and prod.json in one folder stay apart
+    getInstanceId() {
+        if (this.configFile === path.join(this.globalConfigDir, 'config.json')) {
+            return null;
+        }
+        const name = path.basename(this.configFile, path.extname(this.configFile)).replace(/[^\w.-]/g, '_');
+        const hash = crypto.createHash('sha256').update(this.configFile).digest('hex').slice(0, 8);
+        return `${name}-${hash}`;
+    }
+
     async ensureConfigDir() {
-        try {
-            await fs.mkdir(this.globalConfigDir, { recursive: true });
-        } catch (error) {
-            if (error.code !== 'EEXIST') {
-                throw error;
+        for (const dir of [path.dirname(this.configFile), this.stateDir]) {
+            try {
+                await fs.mkdir(dir, { recursive: true });
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
             }
         }
     }
 
     loadConfigSync(customConfigFile = null) {
         const configPath = customConfigFile || this.configFile;
+        let fileConfig = {};
         try {
             const fsSync = require('fs');
             const configData = fsSync.readFileSync(configPath, 'utf8');
-            this.config = JSON.parse(configData);
+            fileConfig = JSON.parse(configData);
         } catch (error) {
             if (customConfigFile) {
                 throw new Error(`Config file not found: ${configPath}`);
             }
-            this.config = {};
         }
+        this.applyProfile(this.migrateConfig(this.unlockConfig(fileConfig), configPath));
     }
 
     async loadConfig(customConfigFile = null) {
         const configPath = customConfigFile || this.configFile;
+        let fileConfig = {};
         try {
             const configData = await fs.readFile(configPath, 'utf8');
-            this.config = JSON.parse(configData);
+            fileConfig = JSON.parse(configData);
         } catch (error) {
             if (customConfigFile) {
                 throw new Error(`Config file not found: ${configPath}`);
             }
-            this.config = {};
         }
+        this.applyProfile(this.migrateConfig(this.unlockConfig(fileConfig), configPath));
+    }
+
+    getEnvPassphrase() {
+        if (process.env.ANITLAN_CONFIG_PASSPHRASE_FILE) {
+            return this.readSecretFile(process.env.ANITLAN_CONFIG_PASSPHRASE_FILE, 'ANITLAN_CONFIG_PASSPHRASE_FILE');
+        }
+        return process.env.ANITLAN_CONFIG_PASSPHRASE || null;
+    }
+
+    unlockConfig(fileConfig) {
+        this.encrypted = ConfigEncryption.isEncrypted(fileConfig);
+        if (!this.encrypted) {
+            return fileConfig;
+        }
+
+        if (!this.passphrase) {
+            const error = new Error('Configuration is encrypted. Enter the passphrase when asked or set ANITLAN_CONFIG_PASSPHRASE');
+            error.code = 'CONFIG_LOCKED';
+            throw error;
+        }
+
+        try {
+            return ConfigEncryption.decryptJson(fileConfig, this.passphrase);
+        } catch (error) {
+            error.message = `Unable to unlock configuration: ${error.message}`;
+            error.code = 'CONFIG_LOCKED';
+            throw error;
+        }
+    }
+
+    // Older config files are upgraded in place; the file that was read is kept as <name>.v<version>.bak
+    migrateConfig(fileConfig, configPath = this.configFile) {
+        const { config, applied, fromVersion } = ConfigSchema.migrate(fileConfig);
+        this.appliedMigrations = applied;
+
+        if (applied.length > 0 && Object.keys(fileConfig).length > 0 && config.CONFIG_VERSION !== fileConfig.CONFIG_VERSION) {
+            const fsSync = require('fs');
+            fsSync.copyFileSync(configPath, `${configPath}.v${fromVersion}.bak`);
+            this.fileConfig = config;
+            fsSync.writeFileSync(configPath, this.serializeConfig(), { mode: 0o600 });
+        }
+
+        return config;
+    }
+
+    // Profile values are layered over the top-level keys, which act as the "default" profile
+    applyProfile(fileConfig) {
+        const profiles = fileConfig.PROFILES || {};
+        const profile = this.requestedProfile || fileConfig.ACTIVE_PROFILE || DEFAULT_PROFILE;
+
+        if (profile !== DEFAULT_PROFILE && !profiles[profile]) {
+            throw new Error(`Profile "${profile}" does not exist. Run "anitlan config profile list" to see available profiles`);
+        }
+
+        const { PROFILES, ACTIVE_PROFILE, ...baseConfig } = fileConfig;
+        const profileConfig = profiles[profile] || {};
+        this.fileConfig = fileConfig;
+        this.profile = profile;
+        this.config = { ...baseConfig, ...profileConfig };
+        this.sources = Object.fromEntries(Object.keys(this.config).map(key => [
+            key,
+            key in profileConfig ? `profile:${profile}` : 'config'
+        ]));
+        this.applyOverrides();
+
+        this.profileSuffix = profile === DEFAULT_PROFILE ? '' : `-${profile}`;
+        this.tokenFile = this.getProfileTokenFile(profile);
+        this.jobsFile = path.join(this.stateDir, `rss-jobs${this.profileSuffix}.json`);
+    }
+
+    // Secrets can live outside config.json: KEY_FILE in the config and ANITLAN_KEY_FILE in the
+    // environment point to a file holding the value, ANITLAN_KEY sets it directly
+    applyOverrides(env = process.env) {
+        Object.keys(this.config)
+            .filter(key => key.endsWith(FILE_SUFFIX))
+            .forEach(fileKey => {
+                const key = fileKey.slice(0, -FILE_SUFFIX.length);
+                this.config[key] = this.readSecretFile(this.config[fileKey], fileKey);
+                this.sources[key] = `${this.sources[fileKey]} via ${fileKey}`;
+                delete this.config[fileKey];
+                delete this.sources[fileKey];
+            });
+
+        const envKeys = Object.keys(env)
+            .filter(name => name.startsWith(ENV_PREFIX) && /^[A-Z0-9_]+$/.test(name))
+            .map(name => name.slice(ENV_PREFIX.length))
+            .filter(key => key && !RESERVED_ENV_KEYS.includes(key));
+
+        envKeys.filter(key => key.endsWith(FILE_SUFFIX)).forEach(fileKey => {
+            const key = fileKey.slice(0, -FILE_SUFFIX.length);
+            if (envKeys.includes(key)) {
+                throw new Error(`Both ${ENV_PREFIX}${key} and ${ENV_PREFIX}${fileKey} are set, use only one`);
+            }
+            this.config[key] = this.readSecretFile(env[ENV_PREFIX + fileKey], ENV_PREFIX + fileKey);
+            this.sources[key] = `env:${ENV_PREFIX}${fileKey}`;
+        });
+
+        envKeys.filter(key => !key.endsWith(FILE_SUFFIX)).forEach(key => {
+            this.config[key] = ConfigManager.parseEnvValue(env[ENV_PREFIX + key]);
+            this.sources[key] = `env:${ENV_PREFIX}${key}`;
+        });
+    }
+
+    readSecretFile(filePath, name) {
+        try {
+            const fsSync = require('fs');
+            return fsSync.readFileSync(path.resolve(path.dirname(this.configFile), filePath), 'utf8').replace(/[\r\n]+$/, '');
+        } catch (error) {
+            throw new Error(`Error reading ${name} (${filePath}): ${error.message}`);
+        }
+    }
+
+    getSource(key) {
+        return this.sources[key] || null;
+    }
+
+    hasEnvOverrides() {
+        return Object.values(this.sources).some(source => source.startsWith('env:'));
+    }
+
+    serializeConfig() {
+        const data = this.encrypted ? ConfigEncryption.encryptJson(this.fileConfig, this.passphrase) : this.fileConfig;
+        return JSON.stringify(data, null, 2);
     }
 
     async saveConfig() {
         await this.ensureConfigDir();
-        await fs.writeFile(this.configFile, JSON.stringify(this.config, null, 2));
+        await fs.writeFile(this.configFile, this.serializeConfig(), { mode: 0o600 });
+    }
+
+    // Switching modes rewrites the config file and every profile's PeerTube token
+    async setEncryption(passphrase) {
+        const tokenFiles = this.getProfiles().map(name => this.getProfileTokenFile(name));
+        const tokens = [];
+        for (const tokenFile of tokenFiles) {
+            try {
+                const data = JSON.parse(await fs.readFile(tokenFile, 'utf8'));
+                tokens.push([tokenFile, ConfigEncryption.isEncrypted(data) ? ConfigEncryption.decryptJson(data, this.passphrase) : data]);
+            } catch (error) {
+                // Missing or unreadable tokens are simply requested again
+            }
+        }
+
+        this.encrypted = Boolean(passphrase);
+        this.passphrase = passphrase || null;
+        await this.saveConfig();
+
+        for (const [tokenFile, data] of tokens) {
+            const content = this.encrypted ? ConfigEncryption.encryptJson(data, this.passphrase) : data;
+            await fs.writeFile(tokenFile, JSON.stringify(content, null, 2), { mode: 0o600 });
+        }
+
+        return tokens.length;
+    }
+
+    isEncrypted() {
+        return this.encrypted;
+    }
+
+    getConfigVersion() {
+        return this.fileConfig.CONFIG_VERSION || ConfigSchema.VERSION;
     }
 
     get(key, defaultValue = null) {
         return this.config[key] || defaultValue;
     }
 
+    // The value written in config.json (or the active profile), without environment or _FILE overrides
+    getStored(key) {
+        const profileConfig = (this.fileConfig.PROFILES || {})[this.profile] || {};
+        return key in profileConfig ? profileConfig[key] : this.fileConfig[key];
+    }
+
+    // Converts the stored value to the schema type, falling back to the schema default
+    getTyped(key) {
+        const value = this.config[key];
+        if (ConfigSchema.isEmpty(value)) {
+            const defaultValue = ConfigSchema.getDefault(key);
+            return Array.isArray(defaultValue) ? [...defaultValue] : defaultValue;
+        }
+        return ConfigSchema.coerce(key, value);
+    }
+
     set(key, value) {
+        if (this.profile !== DEFAULT_PROFILE && ConfigManager.isProfileKey(key)) {
+            this.fileConfig.PROFILES[this.profile][key] = value;
+            this.sources[key] = `profile:${this.profile}`;
+        } else {
+            this.fileConfig[key] = value;
+            this.sources[key] = 'config';
+        }
         this.config[key] = value;
     }
 
+    unset(key) {
+        const profileConfig = (this.fileConfig.PROFILES || {})[this.profile];
+        if (profileConfig && key in profileConfig) {
+            delete profileConfig[key];
+        } else {
+            delete this.fileConfig[key];
+        }
+        // Applying the profile again brings back a top-level or environment value the removed key was hiding
+        this.applyProfile(this.fileConfig);
+    }
+
     getRequired(key) {
         const value = this.config[key];
         if (!value) {
@@ -94,6 +329,7 @@ class ConfigManager {
     async createTemplate() {
         await this.ensureConfigDir();
         const template = {
+            CONFIG_VERSION: ConfigSchema.VERSION,
             R2_ACCESS_KEY_ID: 'your_access_key_id',
             R2_SECRET_ACCESS_KEY: 'your_secret_access_key',
             R2_ENDPOINT: 'https://your-account-id.r2.cloudflarestorage.com',
@@ -102,7 +338,6 @@ class ConfigManager {
             PEERTUBE_USERNAME: 'your_username',
             PEERTUBE_PASSWORD: 'your_password',
             PEERTUBE_API_URL: 'https://peertube.anitorrent.com/api/v1',
-            DEFAULT_CHANNEL_ID: '',
             DEFAULT_PRIVACY_LEVEL: '5',
             DEFAULT_VIDEO_PASSWORD: 'AniTorrent108',
             CLAUDE_API_KEY: 'your_claude_api_key',
@@ -115,60 +350,79 @@ class ConfigManager {
             DB_SSL: 'false'
         };
         
-        this.config = template;
+        this.requestedProfile = null;
+        this.applyProfile(template);
         await this.saveConfig();
     }
 
     validateRequired() {
-        const requiredVars = [
-            'R2_ACCESS_KEY_ID',
-            'R2_SECRET_ACCESS_KEY', 
-            'R2_ENDPOINT',
-            'R2_BUCKET_NAME',
-            'PEERTUBE_USERNAME',
-            'PEERTUBE_PASSWORD'
-        ];
-
-        const missing = requiredVars.filter(varName => !this.config[varName] || this.config[varName].startsWith('your_'));
+        const requiredVars = ConfigSchema.getRequiredKeys();
+
+        const missing = requiredVars.filter(varName => !this.config[varName] || String(this.config[varName]).startsWith('your_'));
         
         if (missing.length > 0) {
             throw new Error(`Missing required configuration variables: ${missing.join(', ')}`);
         }
 
+        const { errors } = this.validate();
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration: ${errors.join('; ')}`);
+        }
+
         return true;
     }
 
+    validate() {
+        const result = ConfigSchema.validate(this.config);
+        result.errors = result.errors.map(error => this.describeError(error));
+        return result;
+    }
+
+    // Points at the profile or environment variable a bad value came from
+    describeError(error) {
+        const key = error.split(' ')[0];
+        const source = this.getSource(key);
+        return source && source !== 'config' ? `${error} [${source}]` : error;
+    }
+
     getR2Config() {
         return {
             accessKeyId: this.getRequired('R2_ACCESS_KEY_ID'),
             secretAccessKey: this.getRequired('R2_SECRET_ACCESS_KEY'),
             endpoint: this.getRequired('R2_ENDPOINT'),
             bucketName: this.getRequired('R2_BUCKET_NAME'),
-            publicDomain: this.get('R2_PUBLIC_DOMAIN', 'https://cdn.anitorrent.com')
+            publicDomain: this.getTyped('R2_PUBLIC_DOMAIN'),
+            partSizeMb: this.getTyped('R2_PART_SIZE_MB'),
+            uploadConcurrency: this.getTyped('R2_UPLOAD_CONCURRENCY'),
+            uploadStateDir: this.uploadStateDir
         };
     }
 
     getPeerTubeConfig() {
         return {
-            apiUrl: this.get('PEERTUBE_API_URL', 'https://peertube.anitorrent.com/api/v1'),
+            apiUrl: this.getTyped('PEERTUBE_API_URL'),
             username: this.getRequired('PEERTUBE_USERNAME'),
             password: this.getRequired('PEERTUBE_PASSWORD'),
-            tokenFile: this.tokenFile
+            tokenFile: this.tokenFile,
+            tokenPassphrase: this.encrypted ? this.passphrase : null,
+            uploadChunkSizeMb: this.getTyped('PEERTUBE_UPLOAD_CHUNK_SIZE_MB'),
+            uploadStateDir: this.peertubeUploadStateDir
         };
     }
 
     getDefaults() {
         return {
-            channelId: this.get('DEFAULT_CHANNEL_ID') ? parseInt(this.get('DEFAULT_CHANNEL_ID')) : null,
-            privacy: parseInt(this.get('DEFAULT_PRIVACY_LEVEL', '5')),
-            videoPassword: this.get('DEFAULT_VIDEO_PASSWORD') || null
+            channelId: this.getTyped('DEFAULT_CHANNEL_ID'),
+            privacy: this.getTyped('DEFAULT_PRIVACY_LEVEL'),
+            videoPassword: this.get('DEFAULT_VIDEO_PASSWORD') || null,
+            captions: this.getTyped('PEERTUBE_CAPTIONS')
         };
     }
 
     async getDefaultChannelId() {
-        const configuredChannelId = this.get('DEFAULT_CHANNEL_ID');
+        const configuredChannelId = this.getTyped('DEFAULT_CHANNEL_ID');
         if (configuredChannelId) {
-            return parseInt(configuredChannelId);
+            return configuredChannelId;
         }
 
         const PeerTubeService = require('../services/peertube-service');
@@ -190,11 +444,7 @@ class ConfigManager {
         const config = { ...this.config };
         
         if (hideSensitive) {
-            const sensitiveKeys = [
-                'R2_ACCESS_KEY_ID', 'R2_SECRET_ACCESS_KEY', 
-                'PEERTUBE_PASSWORD', 'DEFAULT_VIDEO_PASSWORD', 'CLAUDE_API_KEY', 'ANITORRENT_API_KEY',
-                'DB_PASSWORD'
-            ];
+            const sensitiveKeys = ConfigSchema.getSensitiveKeys();
             
             sensitiveKeys.forEach(key => {
                 if (config[key]) {
@@ -215,24 +465,193 @@ class ConfigManager {
     getAniTorrentConfig() {
         return {
             apiKey: this.get('ANITORRENT_API_KEY'),
-            apiUrl: 'https://api.anitorrent.com'
+            apiUrl: this.getTyped('ANITORRENT_API_URL')
         };
     }
 
     getDatabaseConfig() {
         return {
             host: this.get('DB_HOST'),
-            port: parseInt(this.get('DB_PORT', '5432')),
+            port: this.getTyped('DB_PORT'),
             database: this.get('DB_NAME'),
             user: this.get('DB_USER'),
             password: this.get('DB_PASSWORD'),
-            ssl: this.get('DB_SSL', 'false') === 'true'
+            ssl: this.getTyped('DB_SSL')
         };
     }
 
+    getRssFeeds() {
+        const feeds = this.get('RSS_FEEDS') || [DEFAULT_RSS_FEED];
+
+        if (!Array.isArray(feeds)) {
+            throw new Error('RSS_FEEDS must be an array of feed definitions');
+        }
+
+        const names = new Set();
+        return feeds.map((feed, index) => {
+            const name = feed.name || `feed-${index + 1}`;
+            const type = feed.type || (feed.url ? 'rss' : 'animetosho');
+
+            if (names.has(name)) {
+                throw new Error(`Duplicate RSS feed name: ${name}`);
+            }
+            names.add(name);
+
+            if (!['animetosho', 'rss'].includes(type)) {
+                throw new Error(`RSS feed "${name}" has unknown type "${type}" (use animetosho or rss)`);
+            }
+            if (type === 'animetosho' && !feed.query) {
+                throw new Error(`RSS feed "${name}" requires a query`);
+            }
+            if (type === 'rss' && !feed.url) {
+                throw new Error(`RSS feed "${name}" requires a url`);
+            }
+
+            return {
+                ...feed,
+                name,
+                type,
+                enabled: feed.enabled !== false,
+                include: feed.include || [],
+                exclude: feed.exclude || [],
+                resolution: feed.resolution || null,
+                channelId: feed.channelId ? parseInt(feed.channelId) : null,
+                privacy: feed.privacy ? parseInt(feed.privacy) : null,
+                subtitleTrack: feed.subtitleTrack !== undefined && feed.subtitleTrack !== null ? parseInt(feed.subtitleTrack) : null,
+                anilistId: feed.anilistId ? parseInt(feed.anilistId) : null
+            };
+        });
+    }
+
     getConfigPath() {
         return this.configFile;
     }
+
+    getJobsFile() {
+        return this.jobsFile;
+    }
+
+    getReleaseRankingConfig() {
+        return {
+            groupPriority: this.getTyped('RSS_GROUP_PRIORITY'),
+            codecPriority: this.getTyped('RSS_CODEC_PRIORITY')
+        };
+    }
+
+    getWatchlistConfig() {
+        return {
+            storage: this.getTyped('RSS_WATCHLIST_STORAGE'),
+            watchlistFile: this.watchlistFile
+        };
+    }
+
+    getNotificationConfig() {
+        return {
+            webhookUrl: this.get('NOTIFY_WEBHOOK_URL'),
+            discordWebhookUrl: this.get('NOTIFY_DISCORD_WEBHOOK_URL'),
+            command: this.get('NOTIFY_COMMAND'),
+            events: this.getTyped('NOTIFY_EVENTS')
+        };
+    }
+
+    getControlSocketPath() {
+        if (os.platform() === 'win32') {
+            return `\\\\.\\pipe\\anitorrent-cli-rss${this.instanceId ? `-${this.instanceId}` : ''}${this.profileSuffix}`;
+        }
+        return path.join(this.stateDir, `rss-control${this.profileSuffix}.sock`);
+    }
+
+    getProfileName() {
+        return this.profile;
+    }
+
+    getProfiles() {
+        return [DEFAULT_PROFILE, ...Object.keys(this.fileConfig.PROFILES || {})];
+    }
+
+    getActiveProfile() {
+        return this.fileConfig.ACTIVE_PROFILE || DEFAULT_PROFILE;
+    }
+
+    getProfileValues(name) {
+        if (name === DEFAULT_PROFILE) {
+            const { PROFILES, ACTIVE_PROFILE, ...baseConfig } = this.fileConfig;
+            return Object.fromEntries(Object.entries(baseConfig).filter(([key]) => ConfigManager.isProfileKey(key)));
+        }
+        if (!this.fileConfig.PROFILES || !this.fileConfig.PROFILES[name]) {
+            throw new Error(`Profile "${name}" does not exist`);
+        }
+        return { ...this.fileConfig.PROFILES[name] };
+    }
+
+    validateProfileName(name) {
+        if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+            throw new Error(`Invalid profile name "${name}" (use letters, numbers, - and _)`);
+        }
+        if (this.getProfiles().includes(name)) {
+            throw new Error(`Profile "${name}" already exists`);
+        }
+    }
+
+    addProfile(name, values = {}) {
+        this.validateProfileName(name);
+
+        const invalid = Object.keys(values).filter(key => !ConfigManager.isProfileKey(key));
+        if (invalid.length > 0) {
+            throw new Error(`These keys cannot be set per profile: ${invalid.join(', ')}`);
+        }
+
+        this.fileConfig.PROFILES = { ...(this.fileConfig.PROFILES || {}), [name]: values };
+    }
+
+    removeProfile(name) {
+        if (name === DEFAULT_PROFILE) {
+            throw new Error('The default profile cannot be removed');
+        }
+        if (!this.fileConfig.PROFILES || !this.fileConfig.PROFILES[name]) {
+            throw new Error(`Profile "${name}" does not exist`);
+        }
+
+        delete this.fileConfig.PROFILES[name];
+        if (this.fileConfig.ACTIVE_PROFILE === name) {
+            delete this.fileConfig.ACTIVE_PROFILE;
+        }
+    }
+
+    useProfile(name) {
+        if (!this.getProfiles().includes(name)) {
+            throw new Error(`Profile "${name}" does not exist`);
+        }
+
+        if (name === DEFAULT_PROFILE) {
+            delete this.fileConfig.ACTIVE_PROFILE;
+        } else {
+            this.fileConfig.ACTIVE_PROFILE = name;
+        }
+    }
+
+    getProfileTokenFile(name) {
+        const suffix = name === DEFAULT_PROFILE ? '' : `-${name}`;
+        return path.join(this.stateDir, `peertube-token${suffix}.json`);
+    }
+
+    // JSON arrays and objects (e.g. RSS_FEEDS) are parsed, everything else stays a string like in config.json
+    static parseEnvValue(value) {
+        if (/^\s*[\[{]/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        }
+        return value;
+    }
+
+    static isProfileKey(key) {
+        return PROFILE_KEYS.includes(key) || PROFILE_KEY_PREFIXES.some(prefix => key.startsWith(prefix));
+    }
 }
 
+ConfigManager.DEFAULT_PROFILE = DEFAULT_PROFILE;
+
 module.exports = ConfigManager; 
\ No newline at end of file
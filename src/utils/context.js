@@ -0,0 +1,85 @@
+const ConfigManager = require('./config');
+const { Logger, logger: defaultLogger } = require('./logger');
+
+class CommandContext {
+    constructor(options = {}) {
+        this.configFile = options.config || null;
+        this.profile = options.profile || null;
+        this.quiet = Boolean(options.quiet);
+        this.passphrase = null;
+        this._config = null;
+
+        // Commands that import the shared logger directly follow the global flags too
+        this.logger = defaultLogger;
+        this.logger.setQuiet(this.quiet);
+    }
+
+    // Loaded on first use, so commands that never read the config don't fail on a bad --config or --profile
+    // and never ask for the passphrase of an encrypted one
+    get config() {
+        if (!this._config) {
+            this._config = this.loadConfig();
+        }
+        return this._config;
+    }
+
+    loadConfig(options = {}) {
+        const create = () => new ConfigManager(this.configFile, {
+            profile: this.profile,
+            passphrase: this.passphrase,
+            ...options
+        });
+
+        try {
+            return create();
+        } catch (error) {
+            const hasEnvPassphrase = process.env.ANITLAN_CONFIG_PASSPHRASE || process.env.ANITLAN_CONFIG_PASSPHRASE_FILE;
+            if (error.code !== 'CONFIG_LOCKED' || this.passphrase || hasEnvPassphrase || !process.stdin.isTTY) {
+                throw error;
+            }
+        }
+
+        this.passphrase = CommandContext.promptPassphrase();
+        return create();
+    }
+
+    // The config is read synchronously, so the prompt runs in a child process that shares the terminal
+    static promptPassphrase() {
+        const { execFileSync } = require('child_process');
+        const script = `require(${JSON.stringify(require.resolve('inquirer'))})
+            .createPromptModule({ output: process.stderr })([{ type: 'password', name: 'passphrase', message: 'Configuration passphrase:', mask: '*' }])
+            .then(({ passphrase }) => process.stdout.write(passphrase));`;
+
+        try {
+            return execFileSync(process.execPath, ['-e', script], {
+                stdio: ['inherit', 'pipe', 'inherit'],
+                encoding: 'utf8'
+            });
+        } catch (error) {
+            const cancelled = new Error('Configuration is encrypted and no passphrase was entered');
+            cancelled.code = 'CONFIG_LOCKED';
+            throw cancelled;
+        }
+    }
+
+    createLogger(options = {}) {
+        return new Logger({
+            verbose: Boolean(options.debug),
+            quiet: this.quiet || Boolean(options.quiet)
+        });
+    }
+
+    static fromCommand(command) {
+        let root = command;
+        while (root.parent) {
+            root = root.parent;
+        }
+
+        if (!root.context) {
+            root.context = new CommandContext(root.opts());
+        }
+        return root.context;
+    }
+}
+
+module.exports = CommandContext;
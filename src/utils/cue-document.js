@@ -0,0 +1,359 @@
+const AssDocument = require('./ass-document');
+
+const TIMING_REGEX = /^(\S+)([ \t]+-->[ \t]+)(\S+)(.*)$/;
+const VTT_BLOCKS = ['NOTE', 'STYLE', 'REGION'];
+const SIMPLE_TAGS = { srt: ['i', 'b', 'u', 's'], vtt: ['i', 'b', 'u'] };
+
+// "&H00BBGGRR" / "&HBBGGRR&" -> "#RRGGBB"
+const assColorToHex = (value) => {
+    const hex = (value.match(/[0-9a-f]+/i) || [''])[0].slice(1).padStart(6, '0').slice(-6);
+    return `#${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toUpperCase();
+};
+
+const hexToAssColor = (value) => {
+    const hex = value.replace('#', '').padStart(6, '0');
+    return `&H${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}&`.toUpperCase();
+};
+
+// A SubRip or WebVTT cue. It exposes the same start/end/text interface as an ASS event, with
+// text converted to ASS override syntax on read and back to the cue's own markup on write.
+class SubtitleCue {
+    constructor(format, lines, timingIndex) {
+        const [, startRaw, arrow, endRaw, settings] = lines[timingIndex].match(TIMING_REGEX);
+
+        this.type = 'entry';
+        this.kind = 'Dialogue';
+        this.format = format;
+        this.identifier = timingIndex === 1 ? lines[0] : null;
+        this.startRaw = startRaw;
+        this.arrow = arrow;
+        this.endRaw = endRaw;
+        this.settings = settings;
+        this.lines = lines.slice(timingIndex + 1);
+    }
+
+    static isCue(lines, format) {
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1 || timingIndex > 1) {
+            return -1;
+        }
+        if (format === 'vtt' && VTT_BLOCKS.some(block => lines[0].startsWith(block))) {
+            return -1;
+        }
+
+        const match = lines[timingIndex].match(TIMING_REGEX);
+        if (!match || CueDocument.parseTime(match[1]) === null || CueDocument.parseTime(match[3]) === null) {
+            return -1;
+        }
+        return timingIndex;
+    }
+
+    get start() {
+        return CueDocument.parseTime(this.startRaw);
+    }
+
+    set start(ms) {
+        this.startRaw = CueDocument.formatTime(ms, this.format);
+    }
+
+    get end() {
+        return CueDocument.parseTime(this.endRaw);
+    }
+
+    set end(ms) {
+        this.endRaw = CueDocument.formatTime(ms, this.format);
+    }
+
+    get voice() {
+        const match = (this.lines[0] || '').match(/^<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+        return this.format === 'vtt' && match ? match[1].trim() : '';
+    }
+
+    get alignment() {
+        return this.format === 'vtt' ? CueDocument.settingsToAlignment(this.settings) : null;
+    }
+
+    get text() {
+        const alignment = this.alignment;
+        const prefix = alignment && alignment !== 2 ? `{\\an${alignment}}` : '';
+        return prefix + CueDocument.toAssText(this.lines.join('\n'), this.format);
+    }
+
+    set text(value) {
+        let text = CueDocument.fromAssText(value, this.format);
+
+        if (this.format === 'vtt') {
+            const alignment = CueDocument.getAlignment(value) || 2;
+            if (alignment !== (this.alignment || 2)) {
+                this.settings = CueDocument.alignmentToSettings(alignment, this.settings);
+            }
+            if (this.voice) {
+                text = `<v ${this.voice}>${text}`;
+            }
+        }
+
+        this.lines = text.split('\n');
+    }
+
+    get plainText() {
+        return AssDocument.plainText(this.text);
+    }
+
+    get style() {
+        return 'Default';
+    }
+
+    has(field) {
+        return ['start', 'end', 'text', 'style', 'name'].includes(field.toLowerCase());
+    }
+
+    // Mirrors AssDocument entries so code written for ASS events can read cue fields
+    get(field) {
+        switch (field.toLowerCase()) {
+            case 'start':
+                return AssDocument.formatTime(this.start);
+            case 'end':
+                return AssDocument.formatTime(this.end);
+            case 'style':
+                return this.style;
+            case 'name':
+                return this.voice;
+            case 'text':
+                return this.text;
+            case 'effect':
+                return '';
+            default:
+                return '0';
+        }
+    }
+
+    toLine(format = AssDocument.EVENT_FORMAT) {
+        return `${this.kind}: ${format.map(field => field.toLowerCase() === 'text' ? this.text : this.get(field).replace(/,/g, ' ')).join(',')}`;
+    }
+
+    toString() {
+        const lines = [`${this.startRaw}${this.arrow}${this.endRaw}${this.settings}`, ...this.lines];
+        if (this.identifier !== null) {
+            lines.unshift(this.identifier);
+        }
+        return lines.join('\n');
+    }
+}
+
+// SubRip (.srt) and WebVTT (.vtt) files as a list of blocks. Cues are parsed, everything else
+// (the WEBVTT header, NOTE/STYLE/REGION blocks, stray text) is kept verbatim with its spacing.
+class CueDocument {
+    constructor(format) {
+        this.format = format;
+        this.bom = '';
+        this.eol = '\n';
+        this.blocks = [];
+    }
+
+    static parse(content, format) {
+        const document = new CueDocument(format);
+        let text = content;
+
+        if (text.startsWith('\uFEFF')) {
+            document.bom = '\uFEFF';
+            text = text.slice(1);
+        }
+        if (text.includes('\r\n')) {
+            document.eol = '\r\n';
+        }
+
+        const tokens = text.replace(/\r\n?/g, '\n').split(/(\n(?:[ \t]*\n)+)/);
+
+        for (let i = 0; i < tokens.length; i += 2) {
+            let raw = tokens[i];
+            let separator = tokens[i + 1] || '';
+
+            // A single newline at the end of the file belongs to the separator, not the block
+            if (i === tokens.length - 1 && raw.endsWith('\n')) {
+                raw = raw.slice(0, -1);
+                separator = '\n';
+            }
+
+            const lines = raw.split('\n');
+            const timingIndex = raw ? SubtitleCue.isCue(lines, format) : -1;
+            const block = timingIndex === -1
+                ? { type: 'raw', raw }
+                : new SubtitleCue(format, lines, timingIndex);
+
+            block.separator = separator;
+            document.blocks.push(block);
+        }
+
+        return document;
+    }
+
+    get events() {
+        return this.blocks.filter(block => block.type === 'entry');
+    }
+
+    get dialogues() {
+        return this.events;
+    }
+
+    get styles() {
+        return [];
+    }
+
+    getStyle() {
+        return null;
+    }
+
+    toString() {
+        const content = this.blocks
+            .map(block => (block.type === 'entry' ? block.toString() : block.raw) + block.separator)
+            .join('');
+        return this.bom + (this.eol === '\n' ? content : content.replace(/\n/g, this.eol));
+    }
+
+    // SubRip uses 00:00:01,000 and WebVTT 00:00:01.000 (hours optional)
+    static parseTime(timeStr) {
+        const match = (timeStr || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+        if (!match) {
+            return null;
+        }
+
+        return (parseInt(match[1] || '0', 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10)) * 1000 +
+            parseInt(match[4].padEnd(3, '0'), 10);
+    }
+
+    static formatTime(ms, format) {
+        const total = Math.max(0, Math.round(ms));
+        const hours = Math.floor(total / 3600000);
+        const minutes = Math.floor((total % 3600000) / 60000);
+        const seconds = Math.floor((total % 60000) / 1000);
+        const separator = format === 'srt' ? ',' : '.';
+
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}${separator}${(total % 1000).toString().padStart(3, '0')}`;
+    }
+
+    static getAlignment(assText) {
+        let alignment = null;
+        AssDocument.parseText(assText)
+            .filter(segment => segment.type === 'tag')
+            .forEach(segment => segment.tags.forEach(tag => {
+                if (tag.name === 'an' && /^[1-9]$/.test(tag.value)) {
+                    alignment = parseInt(tag.value, 10);
+                }
+            }));
+        return alignment;
+    }
+
+    // Maps WebVTT line/align settings onto the ASS numpad alignment
+    static settingsToAlignment(settings) {
+        const line = (settings.match(/\bline:(-?[\d.]+)(%?)/) || []);
+        const align = (settings.match(/\balign:(\w+)/) || [])[1];
+
+        let top = false;
+        if (line[1] !== undefined) {
+            const value = parseFloat(line[1]);
+            top = line[2] === '%' ? value < 50 : value >= 0 && value < 5;
+        }
+
+        let alignment = top ? 8 : 2;
+        if (align === 'start' || align === 'left') alignment -= 1;
+        if (align === 'end' || align === 'right') alignment += 1;
+        return alignment;
+    }
+
+    static alignmentToSettings(alignment, settings = '') {
+        const kept = settings.split(/\s+/).filter(setting => setting && !/^(line|align):/.test(setting));
+        if (alignment >= 7) kept.push('line:0');
+        if ([1, 4, 7].includes(alignment)) kept.push('align:start');
+        if ([3, 6, 9].includes(alignment)) kept.push('align:end');
+        return kept.length > 0 ? ` ${kept.join(' ')}` : '';
+    }
+
+    // SubRip/WebVTT markup -> ASS override tags; {\an8} style prefixes common in SubRip are kept as-is
+    static toAssText(text, format) {
+        let result = text
+            .replace(/<(\/?)([ibus])(?:\.[^>]*)?>/gi, (match, closing, tag) => `{\\${tag.toLowerCase()}${closing ? '0' : '1'}}`)
+            .replace(/<font\s+[^>]*color\s*=\s*["']?#?([0-9a-f]{6})["']?[^>]*>/gi, (match, color) => `{\\c${hexToAssColor(color)}}`)
+            .replace(/<\/font>/gi, '{\\c}')
+            .replace(/<[^>]*>/g, '');
+
+        if (format === 'vtt') {
+            result = result
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&nbsp;/g, '\\h')
+                .replace(/&amp;/g, '&');
+        }
+
+        return result.replace(/\n/g, '\\N').replace(/\}\{/g, '');
+    }
+
+    // ASS override tags -> SubRip/WebVTT markup, keeping what the target format can express
+    static fromAssText(assText, format) {
+        const allowed = SIMPLE_TAGS[format] || [];
+        const open = [];
+        let fontTag = null;
+        let alignment = null;
+        let result = '';
+
+        const openTag = (name) => (name === 'font' ? fontTag : `<${name}>`);
+        const closeTag = (name) => `</${name}>`;
+
+        // Markup has to nest, so tags opened after the one being closed are closed and reopened
+        const close = (name) => {
+            const index = open.lastIndexOf(name);
+            if (index === -1) return;
+            const after = open.splice(index).slice(1);
+            result += [...after].reverse().map(closeTag).join('') + closeTag(name);
+            result += after.map(openTag).join('');
+            open.push(...after);
+        };
+
+        AssDocument.parseText(assText).forEach(segment => {
+            if (segment.type === 'text') {
+                let text = segment.text.replace(/\\[Nn]/g, '\n').replace(/\\h/g, ' ');
+                if (format === 'vtt') {
+                    text = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+                }
+                result += text;
+                return;
+            }
+
+            segment.tags.forEach(tag => {
+                if (allowed.includes(tag.name)) {
+                    // \b700 is a weight, which still means bold
+                    const enabled = tag.value !== '' && tag.value !== '0';
+                    if (enabled && !open.includes(tag.name)) {
+                        open.push(tag.name);
+                        result += `<${tag.name}>`;
+                    } else if (!enabled) {
+                        close(tag.name);
+                    }
+                } else if (format === 'srt' && (tag.name === 'c' || tag.name === '1c')) {
+                    close('font');
+                    if (tag.value) {
+                        fontTag = `<font color="${assColorToHex(tag.value)}">`;
+                        open.push('font');
+                        result += fontTag;
+                    }
+                } else if (tag.name === 'r') {
+                    while (open.length > 0) close(open[open.length - 1]);
+                } else if (tag.name === 'an' && /^[1-9]$/.test(tag.value)) {
+                    alignment = tag.value;
+                }
+            });
+        });
+
+        while (open.length > 0) close(open[open.length - 1]);
+
+        // WebVTT carries alignment in the cue settings instead
+        if (format === 'srt' && alignment && alignment !== '2') {
+            result = `{\\an${alignment}}${result}`;
+        }
+        return result;
+    }
+}
+
+CueDocument.Cue = SubtitleCue;
+CueDocument.assColorToHex = assColorToHex;
+
+module.exports = CueDocument;
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+const FORMAT = 'anitorrent-cli/encrypted';
+const VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+class ConfigEncryption {
+    static isEncrypted(data) {
+        return Boolean(data) && data.format === FORMAT;
+    }
+
+    // A fresh salt and IV are generated for every write
+    static encrypt(plaintext, passphrase) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = crypto.scryptSync(passphrase, salt, KEY_LENGTH, SCRYPT_PARAMS);
+        const cipher = crypto.createCipheriv(CIPHER, key, iv);
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        return {
+            format: FORMAT,
+            version: VERSION,
+            cipher: CIPHER,
+            kdf: { name: 'scrypt', ...SCRYPT_PARAMS },
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    static decrypt(envelope, passphrase) {
+        if (envelope.version !== VERSION || envelope.cipher !== CIPHER) {
+            throw new Error(`Unsupported encrypted file (version ${envelope.version}, ${envelope.cipher})`);
+        }
+
+        try {
+            const { N, r, p } = envelope.kdf;
+            const key = crypto.scryptSync(passphrase, Buffer.from(envelope.salt, 'base64'), KEY_LENGTH, { N, r, p });
+            const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+            return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new Error('Wrong passphrase or corrupted file');
+        }
+    }
+
+    static encryptJson(value, passphrase) {
+        return ConfigEncryption.encrypt(JSON.stringify(value, null, 2), passphrase);
+    }
+
+    static decryptJson(envelope, passphrase) {
+        return JSON.parse(ConfigEncryption.decrypt(envelope, passphrase));
+    }
+}
+
+module.exports = ConfigEncryption;
@@ -0,0 +1,160 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AssDocument = require('./ass-document');
+const CueDocument = require('./cue-document');
+
+const EXTENSIONS = {
+    ass: ['.ass', '.ssa'],
+    srt: ['.srt'],
+    vtt: ['.vtt']
+};
+
+const ASS_HEADER = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    'PlayResX: 1920',
+    'PlayResY: 1080',
+    '',
+    '[V4+ Styles]',
+    `Format: ${AssDocument.STYLE_FORMAT.join(', ')}`,
+    'Style: Default,Arial,72,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1.5,2,60,60,50,1',
+    '',
+    '[Events]',
+    `Format: ${AssDocument.EVENT_FORMAT.join(', ')}`
+];
+
+// Style attributes that SubRip and WebVTT can carry as inline markup
+const styleTags = (style) => {
+    if (!style) {
+        return '';
+    }
+
+    const tags = [];
+    const flag = (field) => style.get(field) !== '' && style.get(field) !== '0';
+    if (flag('Bold')) tags.push('\\b1');
+    if (flag('Italic')) tags.push('\\i1');
+    if (style.has('Underline') && flag('Underline')) tags.push('\\u1');
+    if (style.has('StrikeOut') && flag('StrikeOut')) tags.push('\\s1');
+
+    const colour = style.get('PrimaryColour');
+    if (colour && CueDocument.assColorToHex(colour) !== '#FFFFFF') {
+        tags.push(`\\c${colour.replace(/^&H[0-9a-f]{2}([0-9a-f]{6})$/i, '&H$1&')}`);
+    }
+
+    const alignment = parseInt(style.get('Alignment'), 10);
+    if (alignment && alignment !== 2) tags.push(`\\an${alignment}`);
+
+    return tags.length > 0 ? `{${tags.join('')}}` : '';
+};
+
+class SubtitleFormats {
+    static fromExtension(filePath) {
+        const ext = path.extname(filePath || '').toLowerCase();
+        return Object.keys(EXTENSIONS).find(format => EXTENSIONS[format].includes(ext)) || null;
+    }
+
+    static isSupported(filePath) {
+        return SubtitleFormats.fromExtension(filePath) !== null;
+    }
+
+    static extension(format) {
+        return EXTENSIONS[format][0];
+    }
+
+    // The extension wins; content sniffing covers files saved with the wrong or no extension
+    static detect(filePath, content = '') {
+        const byExtension = SubtitleFormats.fromExtension(filePath);
+        if (byExtension) {
+            return byExtension;
+        }
+
+        const text = content.replace(/^\uFEFF/, '').trimStart();
+        if (text.startsWith('WEBVTT')) return 'vtt';
+        if (/^\[(script info|v4\+? styles|events)\]/im.test(text)) return 'ass';
+        if (/^\d+\s*\r?\n[\d:,.]+\s+-->/m.test(text)) return 'srt';
+        return null;
+    }
+
+    static parse(content, format) {
+        switch (format) {
+            case 'ass':
+                return AssDocument.parse(content);
+            case 'srt':
+            case 'vtt':
+                return CueDocument.parse(content, format);
+            default:
+                throw new Error(`Unsupported subtitle format: ${format || 'unknown'} (use ${Object.keys(EXTENSIONS).join(', ')})`);
+        }
+    }
+
+    static async load(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const format = SubtitleFormats.detect(filePath, content);
+        return { content, format, document: SubtitleFormats.parse(content, format) };
+    }
+
+    // Dialogue as { start, end, name, text } with text in ASS override syntax, in display order
+    static toCues(document) {
+        return document.dialogues
+            .filter(event => event.start !== null && event.end !== null && event.end > event.start)
+            .filter(event => !AssDocument.isDrawing(event.text))
+            .map(event => ({
+                start: event.start,
+                end: event.end,
+                name: event.get('Name'),
+                text: styleTags(document.getStyle(event.style)) + event.text
+            }))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    static convert(content, from, to) {
+        if (from === to) {
+            return content;
+        }
+
+        const document = SubtitleFormats.parse(content, from);
+        const cues = SubtitleFormats.toCues(document);
+        const eol = document.eol || '\n';
+        let output;
+
+        if (to === 'ass') {
+            const lines = cues.map(cue =>
+                `Dialogue: 0,${AssDocument.formatTime(cue.start)},${AssDocument.formatTime(cue.end)},Default,${cue.name.replace(/,/g, ' ')},0,0,0,,${cue.text}`
+            );
+            output = [...ASS_HEADER, ...lines].join('\n') + '\n';
+        } else if (to === 'srt' || to === 'vtt') {
+            const blocks = cues
+                .map(cue => {
+                    const text = CueDocument.fromAssText(cue.text, to)
+                        .split('\n')
+                        .map(line => line.trim())
+                        .filter(Boolean)
+                        .join('\n');
+                    return { ...cue, alignment: CueDocument.getAlignment(cue.text) || 2, text };
+                })
+                .filter(cue => cue.text)
+                .map((cue, index) => {
+                    const timing = `${CueDocument.formatTime(cue.start, to)} --> ${CueDocument.formatTime(cue.end, to)}`;
+                    if (to === 'srt') {
+                        return `${index + 1}\n${timing}\n${cue.text}`;
+                    }
+                    const voice = cue.name ? `<v ${cue.name}>` : '';
+                    return `${timing}${CueDocument.alignmentToSettings(cue.alignment)}\n${voice}${cue.text}`;
+                });
+
+            output = to === 'vtt'
+                ? `WEBVTT\n\n${blocks.join('\n\n')}\n`
+                : `${blocks.join('\n\n')}\n`;
+        } else {
+            throw new Error(`Unsupported subtitle format: ${to} (use ${Object.keys(EXTENSIONS).join(', ')})`);
+        }
+
+        return eol === '\n' ? output : output.replace(/\n/g, eol);
+    }
+}
+
+SubtitleFormats.FORMATS = Object.keys(EXTENSIONS);
+
+module.exports = SubtitleFormats;
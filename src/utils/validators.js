@@ -59,7 +59,7 @@ class Validators {
     }
 
     static isValidSubtitleFile(filename) {
-        const subtitleExtensions = ['.ass', '.srt', '.vtt', '.sub'];
+        const subtitleExtensions = ['.ass', '.ssa', '.srt', '.vtt', '.sub'];
         const ext = filename.toLowerCase().substring(filename.lastIndexOf('.'));
         return subtitleExtensions.includes(ext);
     }
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../src/utils/config');
+const ConfigSchema = require('../src/utils/config-schema');
+
+const REQUIRED = {
+  R2_ACCESS_KEY_ID: 'key',
+  R2_SECRET_ACCESS_KEY: 'secret',
+  R2_ENDPOINT: 'https://r2.example.com',
+  R2_BUCKET_NAME: 'bucket',
+  PEERTUBE_USERNAME: 'user',
+  PEERTUBE_PASSWORD: 'password'
+};
+
+const loadConfig = (values) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anitlan-config-'));
+  const configFile = path.join(dir, 'config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ CONFIG_VERSION: ConfigSchema.VERSION, ...REQUIRED, ...values }));
+  return new ConfigManager(configFile);
+};
+
+test('unknown NOTIFY_EVENTS are a warning, not an invalid configuration', () => {
+  const config = loadConfig({ NOTIFY_EVENTS: 'episode.published,typo.event' });
+
+  assert.strictEqual(config.validateRequired(), true);
+
+  const { errors, warnings } = config.validate();
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /NOTIFY_EVENTS has unknown values typo\.event/);
+});
+
+test('list values that are not a list or text are still invalid', () => {
+  const config = loadConfig({ NOTIFY_EVENTS: 42 });
+
+  assert.throws(() => config.validateRequired(), /NOTIFY_EVENTS must be a list/);
+});
+
+test('migration backs up and rewrites the file that was read, once', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anitlan-config-'));
+  const configFile = path.join(dir, 'custom.json');
+  fs.writeFileSync(configFile, JSON.stringify({ ...REQUIRED, NOTIFY_EVENTS: 'episode.published', DB_HOST: '' }));
+
+  new ConfigManager(configFile);
+  assert.ok(fs.existsSync(`${configFile}.v0.bak`));
+  const migrated = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  assert.strictEqual(migrated.CONFIG_VERSION, ConfigSchema.VERSION);
+  assert.deepStrictEqual(migrated.NOTIFY_EVENTS, ['episode.published']);
+
+  const { mtimeMs } = fs.statSync(configFile);
+  fs.unlinkSync(`${configFile}.v0.bak`);
+  new ConfigManager(configFile);
+  assert.strictEqual(fs.statSync(configFile).mtimeMs, mtimeMs);
+  assert.ok(!fs.existsSync(`${configFile}.v0.bak`));
+});